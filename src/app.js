@@ -6,6 +6,7 @@ const logger = require('./config/logger');
 const routes = require('./routes');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorMiddleware');
 const { apiLimiter } = require('./middlewares/rateLimitMiddleware');
+const notifications = require('./events/notifications');
 
 /**
  * Express Application Setup
@@ -13,6 +14,9 @@ const { apiLimiter } = require('./middlewares/rateLimitMiddleware');
  */
 const app = express();
 
+// In-app notifications are generated from task events
+notifications.subscribe();
+
 // Security middleware
 app.use(helmet()); // Set security HTTP headers
 
@@ -22,6 +26,7 @@ const corsOptions = {
     ? process.env.ALLOWED_ORIGINS.split(',')
     : '*',
   credentials: true,
+  exposedHeaders: ['ETag'], // Needed by browser clients for conditional requests
   optionsSuccessStatus: 200,
 };
 app.use(cors(corsOptions));
@@ -30,7 +35,7 @@ app.use(cors(corsOptions));
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/*+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware (development only)
@@ -9,11 +9,15 @@ module.exports = {
     OK: 200,
     CREATED: 201,
     NO_CONTENT: 204,
+    NOT_MODIFIED: 304,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    PRECONDITION_FAILED: 412,
+    PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
     UNPROCESSABLE_ENTITY: 422,
     INTERNAL_SERVER_ERROR: 500,
   },
@@ -24,6 +28,12 @@ module.exports = {
     USER: 'user',
   },
 
+  // Access levels a user can hold on a shared resource
+  ACCESS_LEVELS: {
+    OWNER: 'owner',
+    ASSIGNEE: 'assignee',
+  },
+
   // Task Status
   TASK_STATUS: {
     PENDING: 'pending',
@@ -40,6 +50,227 @@ module.exports = {
     URGENT: 'urgent',
   },
 
+  // Task Assignment
+  TASK_ASSIGNMENT: {
+    MAX_ASSIGNEES: 20,
+    // Fields an assignee (who is not the owner) may change
+    ASSIGNEE_UPDATABLE_FIELDS: ['status', 'position'],
+  },
+
+  // Task Recurrence
+  RECURRENCE_FREQUENCY: {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+  },
+
+  // RRULE weekday codes, indexed like Date.prototype.getUTCDay()
+  WEEKDAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+
+  // Task Dependencies
+  TASK_DEPENDENCIES: {
+    MAX_BLOCKERS: 50,
+    MAX_GRAPH_NODES: 200,
+  },
+
+  // Task events, each addressed to an audience of users (see src/events)
+  TASK_EVENTS: {
+    CHANGED: 'task.changed', // To the task's watchers
+    MENTIONED: 'task.mentioned', // To users mentioned in a comment
+    DUE_SOON: 'task.due_soon', // To the watchers of a batch of tasks, once per due date
+    OVERDUE: 'task.overdue', // To the watchers of a batch of tasks, once per due date
+  },
+
+  // In-app notifications, generated from task events
+  NOTIFICATIONS: {
+    TYPES: {
+      ASSIGNED: 'assigned',
+      MENTIONED: 'mentioned',
+      DUE_SOON: 'due_soon',
+      OVERDUE: 'overdue',
+      TASK_CHANGED: 'task_changed',
+    },
+    RETENTION_DAYS: parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90,
+    DUE_SOON_HOURS: parseInt(process.env.NOTIFICATION_DUE_SOON_HOURS) || 24,
+    // Tasks already overdue for longer are not reported, so a first run
+    // does not flood users with reminders about long-forgotten tasks
+    OVERDUE_LOOKBACK_DAYS: 7,
+    REMINDER_INTERVAL_MINUTES: parseInt(process.env.NOTIFICATION_REMINDER_INTERVAL_MINUTES) || 15,
+    REMINDER_BATCH_SIZE: 100, // Tasks reminded per query
+  },
+
+  // Task Checklists
+  TASK_CHECKLIST: {
+    MAX_ITEMS: 100,
+    MAX_TEXT_LENGTH: 200,
+  },
+
+  // Bulk Task Operations
+  TASK_BULK: {
+    MAX_IDS: 100,
+    ACTIONS: {
+      UPDATE: 'update',
+      DELETE: 'delete',
+    },
+    // Fields a bulk update may change
+    UPDATABLE_FIELDS: ['status', 'priority', 'tags', 'dueDate', 'project'],
+  },
+
+  // PATCH request formats
+  TASK_PATCH: {
+    CONTENT_TYPES: {
+      MERGE_PATCH: 'application/merge-patch+json', // RFC 7396
+      JSON_PATCH: 'application/json-patch+json', // RFC 6902
+    },
+  },
+
+  // Task import and export
+  TASK_TRANSFER: {
+    FORMATS: {
+      CSV: 'csv',
+      JSON: 'json',
+    },
+    // Fields an import reads; exports add the ID and timestamps
+    FIELDS: [
+      'title',
+      'description',
+      'status',
+      'priority',
+      'dueDate',
+      'tags',
+      'estimatedMinutes',
+      'project',
+      'assignees',
+      'recurrence',
+      'customFields',
+    ],
+    LIST_FIELDS: ['tags', 'assignees'], // Comma separated in CSV
+    OBJECT_FIELDS: ['recurrence', 'customFields'], // JSON text in CSV
+    MAX_IMPORT_ROWS: 1000,
+    MAX_IMPORT_SIZE: '5mb',
+  },
+
+  // Task templates: a task and its subtasks, created again on demand
+  TASK_TEMPLATES: {
+    MAX_SUBTASKS: 50,
+  },
+
+  // iCalendar feed of due dates, read with a secret token instead of a JWT
+  CALENDAR: {
+    TOKEN_BYTES: 32,
+    MAX_ITEMS: 1000, // Tasks per feed; the oldest due dates are left out first
+    UID_DOMAIN: process.env.CALENDAR_UID_DOMAIN || 'task-manager.local',
+    PRODUCT_ID: '-//Task Management API//Due Dates//EN',
+    COMPONENTS: {
+      EVENT: 'event', // VEVENT: shows up in every calendar app
+      TODO: 'todo', // VTODO: for apps with task lists
+    },
+  },
+
+  // Trash: soft-deleted tasks are purged for good once retention runs out
+  TRASH: {
+    RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    SWEEP_INTERVAL_MINUTES: parseInt(process.env.TRASH_SWEEP_INTERVAL_MINUTES) || 60,
+    SWEEP_BATCH_SIZE: 100, // Tasks purged per sweep query
+  },
+
+  // Task Attachments
+  ATTACHMENTS: {
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+    LOCAL_STORAGE_PATH: process.env.STORAGE_LOCAL_PATH || 'uploads',
+    MAX_FILE_SIZE: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+    USER_QUOTA: parseInt(process.env.ATTACHMENT_USER_QUOTA) || 100 * 1024 * 1024, // 100 MB
+    ALLOWED_CONTENT_TYPES: [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/zip',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+  },
+
+  // Board ordering: positions are spaced GAP apart and a move takes the
+  // midpoint of its neighbors; a column is renumbered only once the
+  // space between two neighbors drops below MIN_GAP
+  TASK_POSITION: {
+    GAP: 1024,
+    MIN_GAP: 1e-6,
+  },
+
+  // Full-text Search
+  SEARCH: {
+    MAX_QUERY_LENGTH: 200,
+    MAX_TERMS: 10,
+    MAX_MATCHES: 1000, // Matches ranked per query; the rest are dropped
+    COMMENT_WEIGHT: 0.5, // Relevance of a comment match relative to the task itself
+    MAX_COMMENT_SCOPE: 5000, // Newest tasks whose comments are searched
+    SNIPPET_LENGTH: 160,
+  },
+
+  // Custom Fields
+  CUSTOM_FIELD_TYPES: {
+    TEXT: 'text',
+    NUMBER: 'number',
+    DATE: 'date',
+    SELECT: 'select',
+    MULTI_SELECT: 'multi_select',
+    USER: 'user',
+  },
+
+  CUSTOM_FIELDS: {
+    KEY_PATTERN: /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/,
+    MAX_OPTIONS: 50,
+    MAX_TEXT_LENGTH: 1000,
+  },
+
+  // Task Activity History
+  TASK_ACTIVITY: {
+    ACTIONS: {
+      CREATED: 'created',
+      UPDATED: 'updated',
+      STATUS_CHANGED: 'status_changed',
+      DELETED: 'deleted',
+      RESTORED: 'restored',
+    },
+    // Task fields whose changes are recorded
+    TRACKED_FIELDS: [
+      'title',
+      'description',
+      'status',
+      'priority',
+      'dueDate',
+      'tags',
+      'project',
+      'parent',
+      'assignees',
+      'blockedBy',
+      'recurrence',
+      'estimatedMinutes',
+      'customFields',
+      'checklist',
+      'requireChecklist',
+    ],
+  },
+
+  // Time Tracking
+  TIME_TRACKING: {
+    MAX_ESTIMATE_MINUTES: 100000,
+    MAX_ENTRY_MINUTES: 24 * 60, // A manual entry covers at most one day
+    DEFAULT_REPORT_DAYS: 30,
+  },
+
+  TIME_ENTRY_SOURCE: {
+    TIMER: 'timer',
+    MANUAL: 'manual',
+  },
+
   // Pagination Defaults
   PAGINATION: {
     DEFAULT_PAGE: 1,
@@ -61,6 +292,10 @@ module.exports = {
     NOT_FOUND: 'Resource not found',
     VALIDATION_ERROR: 'Validation error',
     DUPLICATE_ENTRY: 'Duplicate entry',
+    CONFLICT: 'Resource conflict',
+    PRECONDITION_FAILED: 'Precondition failed',
+    PAYLOAD_TOO_LARGE: 'Payload too large',
+    UNSUPPORTED_MEDIA_TYPE: 'Unsupported media type',
     INVALID_CREDENTIALS: 'Invalid credentials',
     TOKEN_EXPIRED: 'Token has expired',
     INVALID_TOKEN: 'Invalid token',
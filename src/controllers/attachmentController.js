@@ -0,0 +1,79 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const AttachmentService = require('../services/AttachmentService');
+const AttachmentRepository = require('../repositories/AttachmentRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+const { createStorage } = require('../storage');
+
+// Dependency Injection: Create instances
+const attachmentRepository = new AttachmentRepository();
+const taskRepository = new TaskRepository();
+const storage = createStorage();
+const attachmentService = new AttachmentService(attachmentRepository, taskRepository, storage);
+
+/**
+ * Attachment Controller
+ * Handles HTTP requests for task attachments
+ */
+
+/**
+ * @route   POST /api/v1/tasks/:id/attachments
+ * @desc    Upload a file to a task (multipart field "file")
+ * @access  Private
+ */
+const uploadAttachment = asyncHandler(async (req, res) => {
+  const result = await attachmentService.uploadAttachment(
+    req.params.id,
+    req.user.userId,
+    req.file
+  );
+
+  res.status(201).json(
+    ApiResponse.created(result.attachment, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const { attachment, stream } = await attachmentService.getAttachmentFile(
+    req.params.id,
+    req.params.attachmentId,
+    req.user.userId
+  );
+
+  res.attachment(attachment.filename);
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+  });
+
+  stream.on('error', (error) => res.destroy(error));
+  stream.pipe(res);
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private/Uploader or task owner
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const result = await attachmentService.deleteAttachment(
+    req.params.id,
+    req.params.attachmentId,
+    req.user.userId
+  );
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+};
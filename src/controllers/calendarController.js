@@ -0,0 +1,73 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const CalendarService = require('../services/CalendarService');
+const TaskFilterService = require('../services/TaskFilterService');
+const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+
+// Dependency Injection: Create instances
+const taskRepository = new TaskRepository();
+const calendarService = new CalendarService(
+  new UserRepository(),
+  taskRepository,
+  new TaskFilterService(taskRepository, new ProjectRepository(), new CustomFieldRepository())
+);
+
+/**
+ * Calendar Controller
+ * Handles HTTP requests for the iCalendar feed of due dates
+ */
+
+/**
+ * @route   GET /api/v1/calendar/:token.ics
+ * @desc    iCalendar feed of due dates (the token in the URL is the credential)
+ * @access  Public (token)
+ */
+const getFeed = asyncHandler(async (req, res) => {
+  const calendar = await calendarService.getFeed(req.params.token, req.query);
+
+  res.status(200).set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': 'private, no-cache',
+  }).send(calendar);
+});
+
+/**
+ * @route   POST /api/v1/users/calendar-token
+ * @desc    Generate a calendar feed token, revoking the previous one
+ * @access  Private
+ */
+const regenerateToken = asyncHandler(async (req, res) => {
+  const result = await calendarService.regenerateToken(req.user.userId);
+
+  const apiRoot = `${req.protocol}://${req.get('host')}/api/${process.env.API_VERSION || 'v1'}`;
+
+  res.status(200).json(
+    ApiResponse.success({
+      token: result.token,
+      url: `${apiRoot}/calendar/${result.token}.ics`,
+    }, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/users/calendar-token
+ * @desc    Disable the calendar feed
+ * @access  Private
+ */
+const revokeToken = asyncHandler(async (req, res) => {
+  const result = await calendarService.revokeToken(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+module.exports = {
+  getFeed,
+  regenerateToken,
+  revokeToken,
+};
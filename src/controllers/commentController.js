@@ -0,0 +1,117 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const CommentService = require('../services/CommentService');
+const CommentRepository = require('../repositories/CommentRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+const UserRepository = require('../repositories/UserRepository');
+
+// Dependency Injection: Create instances
+const commentRepository = new CommentRepository();
+const taskRepository = new TaskRepository();
+const userRepository = new UserRepository();
+const commentService = new CommentService(commentRepository, taskRepository, userRepository);
+
+/**
+ * Comment Controller
+ * Handles HTTP requests for task comments
+ */
+
+/**
+ * @route   POST /api/v1/tasks/:id/comments
+ * @desc    Add a comment or reply to a task
+ * @access  Private
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const result = await commentService.createComment(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(201).json(
+    ApiResponse.created(result.comment, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/comments
+ * @desc    Get comments of a task with replies
+ * @access  Private
+ */
+const getTaskComments = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await commentService.getTaskComments(
+    req.params.id,
+    req.user.userId,
+    { page, limit }
+  );
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Comments retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   PUT /api/v1/tasks/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private/Author
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const result = await commentService.updateComment(
+    req.params.id,
+    req.params.commentId,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.comment, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/comments/:commentId
+ * @desc    Delete a comment and its replies
+ * @access  Private/Author or task owner
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const result = await commentService.deleteComment(
+    req.params.id,
+    req.params.commentId,
+    req.user.userId
+  );
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/comments/mentions
+ * @desc    Get comments mentioning current user
+ * @access  Private
+ */
+const getMentions = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await commentService.getMentions(req.user.userId, { page, limit });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Mentions retrieved successfully'
+    )
+  );
+});
+
+module.exports = {
+  createComment,
+  getTaskComments,
+  updateComment,
+  deleteComment,
+  getMentions,
+};
@@ -0,0 +1,84 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const CustomFieldService = require('../services/CustomFieldService');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+
+// Dependency Injection: Create instances
+const customFieldRepository = new CustomFieldRepository();
+const projectRepository = new ProjectRepository();
+const taskRepository = new TaskRepository();
+const customFieldService = new CustomFieldService(
+  customFieldRepository,
+  projectRepository,
+  taskRepository
+);
+
+/**
+ * Custom Field Controller
+ * Handles HTTP requests for custom field definitions
+ */
+
+/**
+ * @route   POST /api/v1/custom-fields
+ * @desc    Define a global or project custom field
+ * @access  Private (admin or project owner)
+ */
+const createField = asyncHandler(async (req, res) => {
+  const result = await customFieldService.createField(req.user, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.field, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/custom-fields
+ * @desc    List global fields, plus a project's fields when ?project is given
+ * @access  Private
+ */
+const getFields = asyncHandler(async (req, res) => {
+  const fields = await customFieldService.getFields(req.user, req.query.project);
+
+  res.status(200).json(
+    ApiResponse.success(fields, 'Custom fields retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/custom-fields/:id
+ * @desc    Update a custom field
+ * @access  Private (admin or project owner)
+ */
+const updateField = asyncHandler(async (req, res) => {
+  const result = await customFieldService.updateField(
+    req.params.id,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.field, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/custom-fields/:id
+ * @desc    Delete a custom field and its values
+ * @access  Private (admin or project owner)
+ */
+const deleteField = asyncHandler(async (req, res) => {
+  const result = await customFieldService.deleteField(req.params.id, req.user);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+module.exports = {
+  createField,
+  getFields,
+  updateField,
+  deleteField,
+};
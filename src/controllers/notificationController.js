@@ -0,0 +1,102 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const NotificationService = require('../services/NotificationService');
+const NotificationRepository = require('../repositories/NotificationRepository');
+
+// Dependency Injection: Create instances
+const notificationService = new NotificationService(new NotificationRepository());
+
+/**
+ * Notification Controller
+ * Handles HTTP requests for the in-app notification inbox
+ */
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get notifications of current user, newest first
+ * @access  Private
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const {
+    unread,
+    page,
+    limit,
+    cursor,
+    withTotal,
+  } = req.query;
+  const result = await notificationService.getNotifications(req.user.userId, {
+    unread,
+    page,
+    limit,
+    cursor,
+    withTotal,
+  });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Notifications retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Get the number of unread notifications, in total and by type
+ * @access  Private
+ */
+const getUnreadCounts = asyncHandler(async (req, res) => {
+  const counts = await notificationService.getUnreadCounts(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(counts, 'Unread notifications counted successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/notifications/read-all
+ * @desc    Mark every notification as read
+ * @access  Private
+ */
+const markAllRead = asyncHandler(async (req, res) => {
+  const result = await notificationService.markAllRead(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success({ updated: result.updated }, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (recipient)
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const result = await notificationService.markRead(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.notification, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/notifications/:id/unread
+ * @desc    Mark a notification as unread
+ * @access  Private (recipient)
+ */
+const markUnread = asyncHandler(async (req, res) => {
+  const result = await notificationService.markUnread(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.notification, result.message)
+  );
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCounts,
+  markAllRead,
+  markRead,
+  markUnread,
+};
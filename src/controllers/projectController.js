@@ -0,0 +1,143 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const ProjectService = require('../services/ProjectService');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+
+// Dependency Injection: Create instances
+const projectRepository = new ProjectRepository();
+const taskRepository = new TaskRepository();
+const projectService = new ProjectService(projectRepository, taskRepository);
+
+/**
+ * Project Controller
+ * Handles HTTP requests for project management
+ */
+
+/**
+ * @route   POST /api/v1/projects
+ * @desc    Create a new project
+ * @access  Private
+ */
+const createProject = asyncHandler(async (req, res) => {
+  const result = await projectService.createProject(req.user.userId, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.project, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/projects
+ * @desc    Get projects of current user
+ * @access  Private
+ */
+const getProjects = asyncHandler(async (req, res) => {
+  const { archived, page, limit } = req.query;
+  const result = await projectService.getUserProjects(req.user.userId, {
+    archived,
+    page,
+    limit,
+  });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Projects retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   GET /api/v1/projects/:id
+ * @desc    Get project by ID
+ * @access  Private
+ */
+const getProjectById = asyncHandler(async (req, res) => {
+  const project = await projectService.getProjectById(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(project, 'Project retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id
+ * @desc    Update project
+ * @access  Private
+ */
+const updateProject = asyncHandler(async (req, res) => {
+  const result = await projectService.updateProject(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.project, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/archive
+ * @desc    Archive project
+ * @access  Private
+ */
+const archiveProject = asyncHandler(async (req, res) => {
+  const result = await projectService.setArchived(req.params.id, req.user.userId, true);
+
+  res.status(200).json(
+    ApiResponse.success(result.project, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/unarchive
+ * @desc    Restore archived project
+ * @access  Private
+ */
+const unarchiveProject = asyncHandler(async (req, res) => {
+  const result = await projectService.setArchived(req.params.id, req.user.userId, false);
+
+  res.status(200).json(
+    ApiResponse.success(result.project, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id
+ * @desc    Delete project
+ * @access  Private
+ */
+const deleteProject = asyncHandler(async (req, res) => {
+  const result = await projectService.deleteProject(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/statistics
+ * @desc    Get task statistics for a project
+ * @access  Private
+ */
+const getProjectStatistics = asyncHandler(async (req, res) => {
+  const stats = await projectService.getProjectStatistics(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(stats, 'Statistics retrieved successfully')
+  );
+});
+
+module.exports = {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  archiveProject,
+  unarchiveProject,
+  deleteProject,
+  getProjectStatistics,
+};
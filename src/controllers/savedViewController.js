@@ -0,0 +1,140 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const SavedViewService = require('../services/SavedViewService');
+const TaskService = require('../services/TaskService');
+const SavedViewRepository = require('../repositories/SavedViewRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+
+// Dependency Injection: Create instances
+const savedViewRepository = new SavedViewRepository();
+const taskService = new TaskService(
+  new TaskRepository(),
+  new ProjectRepository(),
+  new UserRepository(),
+  new TaskActivityRepository(),
+  new TimeEntryRepository(),
+  new CustomFieldRepository(),
+  new CommentRepository()
+);
+const savedViewService = new SavedViewService(savedViewRepository, taskService);
+
+/**
+ * Saved View Controller
+ * Handles HTTP requests for saved task views
+ */
+
+/**
+ * @route   POST /api/v1/views
+ * @desc    Save a named task filter
+ * @access  Private
+ */
+const createView = asyncHandler(async (req, res) => {
+  const result = await savedViewService.createView(req.user.userId, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.view, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/views
+ * @desc    Get all saved views of current user
+ * @access  Private
+ */
+const getViews = asyncHandler(async (req, res) => {
+  const views = await savedViewService.getViews(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(views, 'Views retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/views/:id
+ * @desc    Get a saved view
+ * @access  Private
+ */
+const getViewById = asyncHandler(async (req, res) => {
+  const view = await savedViewService.getViewById(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(view, 'View retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/views/:id
+ * @desc    Update a saved view
+ * @access  Private
+ */
+const updateView = asyncHandler(async (req, res) => {
+  const result = await savedViewService.updateView(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.view, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/views/:id
+ * @desc    Delete a saved view
+ * @access  Private
+ */
+const deleteView = asyncHandler(async (req, res) => {
+  const result = await savedViewService.deleteView(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/views/:id/tasks
+ * @desc    Get the tasks matching a saved view
+ * @access  Private
+ */
+const getViewTasks = asyncHandler(async (req, res) => {
+  const {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  } = req.query;
+  const result = await savedViewService.getViewTasks(
+    req.params.id,
+    req.user.userId,
+    {
+      page,
+      limit,
+      cursor,
+      withTotal,
+    }
+  );
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Tasks retrieved successfully'
+    )
+  );
+});
+
+module.exports = {
+  createView,
+  getViews,
+  getViewById,
+  updateView,
+  deleteView,
+  getViewTasks,
+};
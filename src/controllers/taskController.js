@@ -1,11 +1,33 @@
 const asyncHandler = require('../utils/asyncHandler');
 const ApiResponse = require('../utils/ApiResponse');
+const { setETag } = require('../utils/etag');
+const { TASK_PATCH } = require('../config/constants');
 const TaskService = require('../services/TaskService');
 const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const CommentRepository = require('../repositories/CommentRepository');
 
 // Dependency Injection: Create instances
 const taskRepository = new TaskRepository();
-const taskService = new TaskService(taskRepository);
+const projectRepository = new ProjectRepository();
+const userRepository = new UserRepository();
+const taskActivityRepository = new TaskActivityRepository();
+const timeEntryRepository = new TimeEntryRepository();
+const customFieldRepository = new CustomFieldRepository();
+const commentRepository = new CommentRepository();
+const taskService = new TaskService(
+  taskRepository,
+  projectRepository,
+  userRepository,
+  taskActivityRepository,
+  timeEntryRepository,
+  customFieldRepository,
+  commentRepository
+);
 
 /**
  * Task Controller
@@ -19,6 +41,8 @@ const taskService = new TaskService(taskRepository);
  */
 const createTask = asyncHandler(async (req, res) => {
   const result = await taskService.createTask(req.user.userId, req.body);
+
+  setETag(res, result.task.__v);
   
   res.status(201).json(
     ApiResponse.created(result.task, result.message)
@@ -27,14 +51,27 @@ const createTask = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/v1/tasks
- * @desc    Get all tasks for current user
+ * @desc    Get all tasks for current user (or assigned to them with ?assignedTo=me)
  * @access  Private
  */
 const getTasks = asyncHandler(async (req, res) => {
-  const { status, priority, search, page, limit, sort } = req.query;
-  
-  const filters = { status, priority, search };
-  const paginationOptions = { page, limit, sort };
+  // Everything but pagination is a filter validated by taskQuerySchema
+  const {
+    page,
+    limit,
+    sort,
+    cursor,
+    withTotal,
+    ...filters
+  } = req.query;
+
+  const paginationOptions = {
+    page,
+    limit,
+    sort,
+    cursor,
+    withTotal,
+  };
   
   const result = await taskService.getUserTasks(
     req.user.userId,
@@ -53,28 +90,35 @@ const getTasks = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/v1/tasks/:id
- * @desc    Get task by ID
+ * @desc    Get task by ID (If-None-Match gives 304 while the response is unchanged)
  * @access  Private
  */
 const getTaskById = asyncHandler(async (req, res) => {
-  const task = await taskService.getTaskById(req.params.id, req.user.userId);
+  const result = await taskService.getTaskById(req.params.id, req.user.userId);
+
+  // Attachments, subtask progress and due date flags change without a
+  // version bump, so the response body is part of the tag
+  setETag(res, result.version, result.task);
   
   res.status(200).json(
-    ApiResponse.success(task, 'Task retrieved successfully')
+    ApiResponse.success(result.task, 'Task retrieved successfully')
   );
 });
 
 /**
  * @route   PUT /api/v1/tasks/:id
- * @desc    Update task
+ * @desc    Update task (If-Match gives 412 when the task has changed)
  * @access  Private
  */
 const updateTask = asyncHandler(async (req, res) => {
   const result = await taskService.updateTask(
     req.params.id,
     req.user.userId,
-    req.body
+    req.body,
+    { ifMatch: req.ifMatch }
   );
+
+  setETag(res, result.task.__v);
   
   res.status(200).json(
     ApiResponse.success(result.task, result.message)
@@ -82,18 +126,323 @@ const updateTask = asyncHandler(async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/v1/tasks/:id
- * @desc    Delete task
+ * @route   PATCH /api/v1/tasks/:id
+ * @desc    Partially update task with a JSON Merge Patch or JSON Patch
  * @access  Private
  */
+const patchTask = asyncHandler(async (req, res) => {
+  const result = await taskService.patchTask(
+    req.params.id,
+    req.user.userId,
+    req.body,
+    {
+      format: req.is(Object.values(TASK_PATCH.CONTENT_TYPES)) || null,
+      ifMatch: req.ifMatch,
+    }
+  );
+
+  setETag(res, result.task.__v);
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id
+ * @desc    Delete task (If-Match gives 412 when the task has changed)
+ * @access  Private/Owner
+ */
 const deleteTask = asyncHandler(async (req, res) => {
-  const result = await taskService.deleteTask(req.params.id, req.user.userId);
+  const result = await taskService.deleteTask(req.params.id, req.user.userId, {
+    ifMatch: req.ifMatch,
+  });
   
   res.status(200).json(
     ApiResponse.success(null, result.message)
   );
 });
 
+/**
+ * @route   POST /api/v1/tasks/bulk
+ * @desc    Update or delete several tasks, with a result per task
+ * @access  Private/Owner
+ */
+const bulkTasks = asyncHandler(async (req, res) => {
+  const result = await taskService.bulkUpdateTasks(req.user.userId, req.body);
+
+  res.status(200).json(
+    ApiResponse.success({ results: result.results, summary: result.summary }, result.message)
+  );
+});
+
+/**
+ * @route   PATCH /api/v1/tasks/:id/move
+ * @desc    Move task on the board (status column and position)
+ * @access  Private
+ */
+const moveTask = asyncHandler(async (req, res) => {
+  const result = await taskService.moveTask(req.params.id, req.user.userId, req.body);
+
+  res.status(200).json(
+    ApiResponse.success(result.task, 'Task moved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/subtasks
+ * @desc    Create a subtask under a task
+ * @access  Private
+ */
+const createSubtask = asyncHandler(async (req, res) => {
+  const result = await taskService.createSubtask(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(201).json(
+    ApiResponse.created(result.task, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/subtasks
+ * @desc    Get subtasks of a task with roll-up progress
+ * @access  Private
+ */
+const getSubtasks = asyncHandler(async (req, res) => {
+  const result = await taskService.getSubtasks(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result, 'Subtasks retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/history
+ * @desc    Get change history of a task
+ * @access  Private
+ */
+const getTaskHistory = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await taskService.getTaskHistory(req.params.id, req.user.userId, { page, limit });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Task history retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/dependencies
+ * @desc    Get dependency graph around a task
+ * @access  Private
+ */
+const getDependencyGraph = asyncHandler(async (req, res) => {
+  const graph = await taskService.getDependencyGraph(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(graph, 'Dependencies retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/dependencies
+ * @desc    Mark task as blocked by another task
+ * @access  Private
+ */
+const addDependency = asyncHandler(async (req, res) => {
+  const result = await taskService.addDependency(
+    req.params.id,
+    req.user.userId,
+    req.body.blockerId
+  );
+
+  res.status(201).json(
+    ApiResponse.created(result.task, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/dependencies/:blockerId
+ * @desc    Remove a blocking task
+ * @access  Private
+ */
+const removeDependency = asyncHandler(async (req, res) => {
+  const result = await taskService.removeDependency(
+    req.params.id,
+    req.user.userId,
+    req.params.blockerId
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/watching
+ * @desc    Get the tasks current user watches
+ * @access  Private
+ */
+const getWatchedTasks = asyncHandler(async (req, res) => {
+  const {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  } = req.query;
+  const result = await taskService.getWatchedTasks(req.user.userId, {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Watched tasks retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/watch
+ * @desc    Watch a task
+ * @access  Private (owner or assignee)
+ */
+const watchTask = asyncHandler(async (req, res) => {
+  const result = await taskService.watchTask(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/unwatch
+ * @desc    Stop watching a task
+ * @access  Private (owner or assignee)
+ */
+const unwatchTask = asyncHandler(async (req, res) => {
+  const result = await taskService.unwatchTask(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/checklist
+ * @desc    Add a checklist item
+ * @access  Private
+ */
+const addChecklistItem = asyncHandler(async (req, res) => {
+  const result = await taskService.addChecklistItem(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(201).json(
+    ApiResponse.created(result.task, result.message)
+  );
+});
+
+/**
+ * @route   PUT /api/v1/tasks/:id/checklist/:itemId
+ * @desc    Rename a checklist item
+ * @access  Private
+ */
+const renameChecklistItem = asyncHandler(async (req, res) => {
+  const result = await taskService.renameChecklistItem(
+    req.params.id,
+    req.user.userId,
+    req.params.itemId,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/checklist/:itemId/check
+ * @desc    Check a checklist item
+ * @access  Private (owner or assignee)
+ */
+const checkChecklistItem = asyncHandler(async (req, res) => {
+  const result = await taskService.setChecklistItemChecked(
+    req.params.id,
+    req.user.userId,
+    req.params.itemId,
+    true
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/checklist/:itemId/uncheck
+ * @desc    Uncheck a checklist item
+ * @access  Private (owner or assignee)
+ */
+const uncheckChecklistItem = asyncHandler(async (req, res) => {
+  const result = await taskService.setChecklistItemChecked(
+    req.params.id,
+    req.user.userId,
+    req.params.itemId,
+    false
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   PUT /api/v1/tasks/:id/checklist/order
+ * @desc    Reorder the checklist
+ * @access  Private
+ */
+const reorderChecklist = asyncHandler(async (req, res) => {
+  const result = await taskService.reorderChecklist(
+    req.params.id,
+    req.user.userId,
+    req.body.itemIds
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/checklist/:itemId
+ * @desc    Remove a checklist item
+ * @access  Private
+ */
+const removeChecklistItem = asyncHandler(async (req, res) => {
+  const result = await taskService.removeChecklistItem(
+    req.params.id,
+    req.user.userId,
+    req.params.itemId
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
 /**
  * @route   GET /api/v1/tasks/statistics/summary
  * @desc    Get task statistics
@@ -139,7 +488,25 @@ module.exports = {
   getTasks,
   getTaskById,
   updateTask,
+  patchTask,
   deleteTask,
+  bulkTasks,
+  moveTask,
+  createSubtask,
+  getSubtasks,
+  getTaskHistory,
+  getDependencyGraph,
+  addDependency,
+  removeDependency,
+  getWatchedTasks,
+  watchTask,
+  unwatchTask,
+  addChecklistItem,
+  renameChecklistItem,
+  checkChecklistItem,
+  uncheckChecklistItem,
+  reorderChecklist,
+  removeChecklistItem,
   getTaskStatistics,
   getOverdueTasks,
   getUpcomingTasks,
@@ -0,0 +1,131 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const TaskTemplateService = require('../services/TaskTemplateService');
+const TaskService = require('../services/TaskService');
+const TaskTemplateRepository = require('../repositories/TaskTemplateRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+
+// Dependency Injection: Create instances
+const taskRepository = new TaskRepository();
+const taskActivityRepository = new TaskActivityRepository();
+const taskService = new TaskService(
+  taskRepository,
+  new ProjectRepository(),
+  new UserRepository(),
+  taskActivityRepository,
+  new TimeEntryRepository(),
+  new CustomFieldRepository(),
+  new CommentRepository()
+);
+const taskTemplateService = new TaskTemplateService(
+  new TaskTemplateRepository(),
+  taskService,
+  taskRepository,
+  taskActivityRepository
+);
+
+/**
+ * Task Template Controller
+ * Handles HTTP requests for task templates
+ */
+
+/**
+ * @route   POST /api/v1/templates
+ * @desc    Save a task template
+ * @access  Private
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const result = await taskTemplateService.createTemplate(req.user.userId, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.template, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/templates
+ * @desc    Get all task templates of current user
+ * @access  Private
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await taskTemplateService.getTemplates(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(templates, 'Templates retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/templates/:id
+ * @desc    Get a task template
+ * @access  Private
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await taskTemplateService.getTemplateById(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(template, 'Template retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/templates/:id
+ * @desc    Update a task template
+ * @access  Private
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const result = await taskTemplateService.updateTemplate(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json(
+    ApiResponse.success(result.template, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/templates/:id
+ * @desc    Delete a task template
+ * @access  Private
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const result = await taskTemplateService.deleteTemplate(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/templates/:id/instantiate
+ * @desc    Create a task and its subtasks from a template
+ * @access  Private
+ */
+const instantiateTemplate = asyncHandler(async (req, res) => {
+  const result = await taskTemplateService.instantiateTemplate(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(201).json(
+    ApiResponse.created({ task: result.task, subtasks: result.subtasks }, result.message)
+  );
+});
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+};
@@ -0,0 +1,94 @@
+const { pipeline } = require('stream');
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const logger = require('../config/logger');
+const { TASK_TRANSFER } = require('../config/constants');
+const TaskTransferService = require('../services/TaskTransferService');
+const TaskService = require('../services/TaskService');
+const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+
+// Dependency Injection: Create instances
+const taskRepository = new TaskRepository();
+const taskActivityRepository = new TaskActivityRepository();
+const taskService = new TaskService(
+  taskRepository,
+  new ProjectRepository(),
+  new UserRepository(),
+  taskActivityRepository,
+  new TimeEntryRepository(),
+  new CustomFieldRepository(),
+  new CommentRepository()
+);
+const taskTransferService = new TaskTransferService(
+  taskService,
+  taskRepository,
+  taskActivityRepository
+);
+
+// Request body types an import accepts
+const IMPORT_CONTENT_TYPES = {
+  'text/csv': TASK_TRANSFER.FORMATS.CSV,
+  'application/json': TASK_TRANSFER.FORMATS.JSON,
+};
+
+/**
+ * Task Transfer Controller
+ * Handles HTTP requests for task import and export
+ */
+
+/**
+ * @route   GET /api/v1/tasks/export
+ * @desc    Download the tasks matching the list filters as CSV or JSON
+ * @access  Private
+ */
+const exportTasks = asyncHandler(async (req, res) => {
+  const { format, sort, ...filters } = req.query;
+
+  const result = await taskTransferService.exportTasks(req.user.userId, filters, {
+    format,
+    sort,
+  });
+
+  res.status(200).set({
+    'Content-Type': result.contentType,
+    'Content-Disposition': `attachment; filename="${result.filename}"`,
+  });
+
+  // Headers are gone once streaming starts, so a failure can only cut the download short
+  pipeline(result.stream, res, (error) => {
+    if (error) {
+      logger.error('Task export failed:', error);
+    }
+  });
+});
+
+/**
+ * @route   POST /api/v1/tasks/import
+ * @desc    Import tasks from CSV or JSON; ?dryRun=true only checks them
+ * @access  Private
+ */
+const importTasks = asyncHandler(async (req, res) => {
+  const result = await taskTransferService.importTasks(req.user.userId, req.body, {
+    format: IMPORT_CONTENT_TYPES[req.is(Object.keys(IMPORT_CONTENT_TYPES))] || null,
+    dryRun: req.query.dryRun,
+  });
+
+  const { message, ...report } = result;
+
+  if (result.dryRun) {
+    res.status(200).json(ApiResponse.success(report, message));
+  } else {
+    res.status(201).json(ApiResponse.created(report, message));
+  }
+});
+
+module.exports = {
+  exportTasks,
+  importTasks,
+};
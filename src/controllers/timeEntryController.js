@@ -0,0 +1,131 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const TimeEntryService = require('../services/TimeEntryService');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const TaskRepository = require('../repositories/TaskRepository');
+
+// Dependency Injection: Create instances
+const timeEntryRepository = new TimeEntryRepository();
+const taskRepository = new TaskRepository();
+const timeEntryService = new TimeEntryService(timeEntryRepository, taskRepository);
+
+/**
+ * Time Entry Controller
+ * Handles HTTP requests for time tracking
+ */
+
+/**
+ * @route   POST /api/v1/tasks/:id/timer/start
+ * @desc    Start a timer on a task
+ * @access  Private
+ */
+const startTimer = asyncHandler(async (req, res) => {
+  const result = await timeEntryService.startTimer(req.params.id, req.user.userId, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.entry, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/timer/stop
+ * @desc    Stop the running timer on a task
+ * @access  Private
+ */
+const stopTimer = asyncHandler(async (req, res) => {
+  const result = await timeEntryService.stopTimer(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.entry, result.message)
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/time-entries
+ * @desc    Log time on a task manually
+ * @access  Private
+ */
+const addManualEntry = asyncHandler(async (req, res) => {
+  const result = await timeEntryService.addManualEntry(req.params.id, req.user.userId, req.body);
+
+  res.status(201).json(
+    ApiResponse.created(result.entry, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/tasks/:id/time-entries
+ * @desc    Get time entries of a task with totals
+ * @access  Private
+ */
+const getTaskTimeEntries = asyncHandler(async (req, res) => {
+  const result = await timeEntryService.getTaskTimeEntries(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result, 'Time entries retrieved successfully')
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/time-entries/:entryId
+ * @desc    Delete own time entry
+ * @access  Private
+ */
+const deleteTimeEntry = asyncHandler(async (req, res) => {
+  const result = await timeEntryService.deleteTimeEntry(
+    req.params.id,
+    req.params.entryId,
+    req.user.userId
+  );
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+/**
+ * @route   GET /api/v1/time-entries/running
+ * @desc    Get current user's running timer
+ * @access  Private
+ */
+const getRunningTimer = asyncHandler(async (req, res) => {
+  const entry = await timeEntryService.getRunningTimer(req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(entry, entry ? 'Running timer retrieved successfully' : 'No timer running')
+  );
+});
+
+/**
+ * @route   GET /api/v1/time-entries
+ * @desc    Report tracked time by date range, project or tag
+ * @access  Private
+ */
+const getTimeReport = asyncHandler(async (req, res) => {
+  const {
+    from,
+    to,
+    project,
+    tag,
+  } = req.query;
+  const report = await timeEntryService.getTimeReport(req.user.userId, {
+    from,
+    to,
+    project,
+    tag,
+  });
+
+  res.status(200).json(
+    ApiResponse.success(report, 'Time report retrieved successfully')
+  );
+});
+
+module.exports = {
+  startTimer,
+  stopTimer,
+  addManualEntry,
+  getTaskTimeEntries,
+  deleteTimeEntry,
+  getRunningTimer,
+  getTimeReport,
+};
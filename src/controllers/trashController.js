@@ -0,0 +1,91 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const TrashService = require('../services/TrashService');
+const TaskRepository = require('../repositories/TaskRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+const AttachmentRepository = require('../repositories/AttachmentRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const { createStorage } = require('../storage');
+
+// Dependency Injection: Create instances
+const taskRepository = new TaskRepository();
+const taskActivityRepository = new TaskActivityRepository();
+const commentRepository = new CommentRepository();
+const attachmentRepository = new AttachmentRepository();
+const timeEntryRepository = new TimeEntryRepository();
+const storage = createStorage();
+const trashService = new TrashService(
+  taskRepository,
+  taskActivityRepository,
+  commentRepository,
+  attachmentRepository,
+  timeEntryRepository,
+  storage
+);
+
+/**
+ * Trash Controller
+ * Handles HTTP requests for soft-deleted tasks
+ */
+
+/**
+ * @route   GET /api/v1/tasks/trash
+ * @desc    Get trashed tasks, most recently deleted first
+ * @access  Private/Owner
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  } = req.query;
+
+  const result = await trashService.getTrash(req.user.userId, {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  });
+
+  res.status(200).json(
+    ApiResponse.successWithPagination(
+      result.data,
+      result.pagination,
+      'Trashed tasks retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @route   POST /api/v1/tasks/:id/restore
+ * @desc    Restore a trashed task
+ * @access  Private/Owner
+ */
+const restoreTask = asyncHandler(async (req, res) => {
+  const result = await trashService.restoreTask(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(result.task, result.message)
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/permanent
+ * @desc    Permanently delete a trashed task
+ * @access  Private/Owner
+ */
+const purgeTask = asyncHandler(async (req, res) => {
+  const result = await trashService.purgeTask(req.params.id, req.user.userId);
+
+  res.status(200).json(
+    ApiResponse.success(null, result.message)
+  );
+});
+
+module.exports = {
+  getTrash,
+  restoreTask,
+  purgeTask,
+};
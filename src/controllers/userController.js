@@ -1,5 +1,6 @@
 const asyncHandler = require('../utils/asyncHandler');
 const ApiResponse = require('../utils/ApiResponse');
+const { setETag } = require('../utils/etag');
 const UserService = require('../services/UserService');
 const UserRepository = require('../repositories/UserRepository');
 
@@ -14,11 +15,13 @@ const userService = new UserService(userRepository);
 
 /**
  * @route   GET /api/v1/users/profile
- * @desc    Get user profile
+ * @desc    Get user profile (ETag is the user version; If-None-Match gives 304)
  * @access  Private
  */
 const getProfile = asyncHandler(async (req, res) => {
   const user = await userService.getProfile(req.user.userId);
+
+  setETag(res, user.__v);
   
   res.status(200).json(
     ApiResponse.success(user, 'Profile retrieved successfully')
@@ -27,11 +30,15 @@ const getProfile = asyncHandler(async (req, res) => {
 
 /**
  * @route   PUT /api/v1/users/profile
- * @desc    Update user profile
+ * @desc    Update user profile (If-Match gives 412 when the profile has changed)
  * @access  Private
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const result = await userService.updateProfile(req.user.userId, req.body);
+  const result = await userService.updateProfile(req.user.userId, req.body, {
+    ifMatch: req.ifMatch,
+  });
+
+  setETag(res, result.user.__v);
   
   res.status(200).json(
     ApiResponse.success(result.user, result.message)
@@ -58,11 +65,13 @@ const changePassword = asyncHandler(async (req, res) => {
 
 /**
  * @route   DELETE /api/v1/users/account
- * @desc    Deactivate user account
+ * @desc    Deactivate user account (If-Match gives 412 when the profile has changed)
  * @access  Private
  */
 const deactivateAccount = asyncHandler(async (req, res) => {
-  const result = await userService.deactivateAccount(req.user.userId);
+  const result = await userService.deactivateAccount(req.user.userId, {
+    ifMatch: req.ifMatch,
+  });
   
   res.status(200).json(
     ApiResponse.success(null, result.message)
@@ -75,8 +84,18 @@ const deactivateAccount = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { page, limit } = req.query;
-  const result = await userService.getAllUsers({ page, limit });
+  const {
+    page,
+    limit,
+    cursor,
+    withTotal,
+  } = req.query;
+  const result = await userService.getAllUsers({
+    page,
+    limit,
+    cursor,
+    withTotal,
+  });
   
   res.status(200).json(
     ApiResponse.successWithPagination(
@@ -0,0 +1,41 @@
+const { TASK_EVENTS, NOTIFICATIONS } = require('../config/constants');
+const taskEvents = require('./taskEvents');
+const NotificationService = require('../services/NotificationService');
+const NotificationRepository = require('../repositories/NotificationRepository');
+
+// Dependency Injection: Create instances
+const notificationService = new NotificationService(new NotificationRepository());
+
+/**
+ * Notification Subscriber
+ * Turns task events into in-app notifications. Listeners return their
+ * promise, so a failure reaches the emitter's error handler.
+ */
+
+let subscribed = false;
+
+/**
+ * Start listening to task events (once per process)
+ */
+const subscribe = () => {
+  if (subscribed) {
+    return;
+  }
+
+  subscribed = true;
+
+  taskEvents.on(TASK_EVENTS.CHANGED, (event) => notificationService.notifyTaskChanged(event));
+  taskEvents.on(TASK_EVENTS.MENTIONED, (event) => notificationService.notifyMentioned(event));
+  taskEvents.on(
+    TASK_EVENTS.DUE_SOON,
+    (event) => notificationService.notifyDue(NOTIFICATIONS.TYPES.DUE_SOON, event)
+  );
+  taskEvents.on(
+    TASK_EVENTS.OVERDUE,
+    (event) => notificationService.notifyDue(NOTIFICATIONS.TYPES.OVERDUE, event)
+  );
+};
+
+module.exports = {
+  subscribe,
+};
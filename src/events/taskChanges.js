@@ -0,0 +1,65 @@
+const { TASK_EVENTS } = require('../config/constants');
+const logger = require('../config/logger');
+const taskEvents = require('./taskEvents');
+
+/**
+ * Task Changes
+ * Addresses task events to the watchers of a task and emits them.
+ * A failing listener never fails the change itself.
+ */
+
+/**
+ * Users to notify of a change: watchers who can still see the task,
+ * except whoever made the change
+ * @param {Task} task - Changed task
+ * @param {string|null} actorId - User who made the change (null for reminders)
+ * @returns {string[]}
+ */
+const watcherAudience = (task, actorId) => (task.watchers || [])
+  .map((id) => id.toString())
+  .filter((id) => id !== String(actorId) && task.getAccessLevel(id));
+
+/**
+ * Emit a change event for a recorded history entry
+ * @param {Object} entry - History entry ({ task, actor, action, changes })
+ * @param {Task} task - Task after the change
+ */
+const publishChange = (entry, task) => {
+  try {
+    taskEvents.emit(TASK_EVENTS.CHANGED, {
+      action: entry.action,
+      task: { _id: task._id, title: task.title },
+      actor: entry.actor,
+      changes: entry.changes,
+      audience: watcherAudience(task, entry.actor),
+      occurredAt: new Date(),
+    });
+  } catch (error) {
+    logger.error('Error in task event listener:', error);
+  }
+};
+
+/**
+ * Emit the due date reminders of a batch of tasks as one event
+ * @param {string} event - One of TASK_EVENTS
+ * @param {Task[]} tasks - Tasks that are due
+ */
+const publishReminders = (event, tasks) => {
+  try {
+    taskEvents.emit(event, {
+      reminders: tasks.map((task) => ({
+        task: { _id: task._id, title: task.title },
+        dueDate: task.dueDate,
+        audience: watcherAudience(task, null),
+      })),
+      occurredAt: new Date(),
+    });
+  } catch (error) {
+    logger.error('Error in task event listener:', error);
+  }
+};
+
+module.exports = {
+  publishChange,
+  publishReminders,
+};
@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+const logger = require('../config/logger');
+
+/**
+ * Task Events
+ * Process-wide emitter for task events. TaskService and TrashService
+ * emit TASK_EVENTS.CHANGED after every recorded change, TaskService the
+ * due date reminders (both through taskChanges); CommentService emits
+ * TASK_EVENTS.MENTIONED. Each event carries its audience; notification
+ * channels subscribe here.
+ * Listeners run during the request, so slow work should be deferred.
+ * A listener that rejects is logged instead of crashing the process.
+ */
+const taskEvents = new EventEmitter({ captureRejections: true });
+
+taskEvents.on('error', (error) => {
+  logger.error('Error in task event listener:', error);
+});
+
+module.exports = taskEvents;
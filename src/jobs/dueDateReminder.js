@@ -0,0 +1,78 @@
+const { NOTIFICATIONS } = require('../config/constants');
+const logger = require('../config/logger');
+const TaskService = require('../services/TaskService');
+const TaskRepository = require('../repositories/TaskRepository');
+const ProjectRepository = require('../repositories/ProjectRepository');
+const UserRepository = require('../repositories/UserRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../repositories/CustomFieldRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+
+// Dependency Injection: Create instances
+const taskService = new TaskService(
+  new TaskRepository(),
+  new ProjectRepository(),
+  new UserRepository(),
+  new TaskActivityRepository(),
+  new TimeEntryRepository(),
+  new CustomFieldRepository(),
+  new CommentRepository()
+);
+
+/**
+ * Due Date Reminder
+ * Periodically reminds watchers of tasks that are due soon or overdue
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one check, skipping it while the previous one is still going
+ * @returns {Promise<void>}
+ */
+const check = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    await taskService.sendDueReminders();
+  } catch (error) {
+    logger.error('Due date reminder check failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking: once right away, then every NOTIFICATIONS.REMINDER_INTERVAL_MINUTES
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(check, NOTIFICATIONS.REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Never keeps the process alive on its own
+
+  check();
+
+  logger.info(`Due date reminder started (due soon: ${NOTIFICATIONS.DUE_SOON_HOURS} hours)`);
+};
+
+/**
+ * Stop checking
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+};
@@ -0,0 +1,76 @@
+const { TRASH } = require('../config/constants');
+const logger = require('../config/logger');
+const TrashService = require('../services/TrashService');
+const TaskRepository = require('../repositories/TaskRepository');
+const TaskActivityRepository = require('../repositories/TaskActivityRepository');
+const CommentRepository = require('../repositories/CommentRepository');
+const AttachmentRepository = require('../repositories/AttachmentRepository');
+const TimeEntryRepository = require('../repositories/TimeEntryRepository');
+const { createStorage } = require('../storage');
+
+// Dependency Injection: Create instances
+const trashService = new TrashService(
+  new TaskRepository(),
+  new TaskActivityRepository(),
+  new CommentRepository(),
+  new AttachmentRepository(),
+  new TimeEntryRepository(),
+  createStorage()
+);
+
+/**
+ * Trash Sweeper
+ * Periodically purges tasks whose trash retention period has run out
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep, skipping it while the previous one is still going
+ * @returns {Promise<void>}
+ */
+const sweep = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    await trashService.purgeExpired();
+  } catch (error) {
+    logger.error('Trash sweep failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start sweeping: once right away, then every TRASH.SWEEP_INTERVAL_MINUTES
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(sweep, TRASH.SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Never keeps the process alive on its own
+
+  sweep();
+
+  logger.info(`Trash sweeper started (retention: ${TRASH.RETENTION_DAYS} days)`);
+};
+
+/**
+ * Stop sweeping
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+};
@@ -0,0 +1,15 @@
+const { parseIfMatch } = require('../utils/etag');
+
+/**
+ * If-Match Middleware
+ * Exposes the versions accepted by the If-Match header as req.ifMatch
+ * (null when the header is absent), for services to check before writing
+ */
+const ifMatch = (req, res, next) => {
+  req.ifMatch = parseIfMatch(req.get('If-Match'));
+  next();
+};
+
+module.exports = {
+  ifMatch,
+};
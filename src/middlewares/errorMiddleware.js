@@ -36,6 +36,14 @@ const errorHandler = (err, req, res, next) => {
         `${field} already exists`
       );
     }
+    // Mongoose version error (document saved concurrently)
+    else if (error.name === 'VersionError') {
+      error = new ApiError(
+        HTTP_STATUS.CONFLICT,
+        'Resource conflict',
+        'The resource was modified concurrently; please retry'
+      );
+    }
     // Mongoose cast error (invalid ObjectId)
     else if (error.name === 'CastError') {
       error = new ApiError(HTTP_STATUS.BAD_REQUEST, 'Invalid ID format');
@@ -0,0 +1,51 @@
+const multer = require('multer');
+const ApiError = require('../utils/ApiError');
+const { HTTP_STATUS, ATTACHMENTS, ERROR_MESSAGES } = require('../config/constants');
+
+/**
+ * Multipart parser for attachments
+ * Files are buffered in memory (bounded by MAX_FILE_SIZE) and handed
+ * to the storage driver by the service layer
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENTS.MAX_FILE_SIZE,
+    files: 1,
+  },
+});
+
+/**
+ * Parse a single uploaded file into req.file
+ * Multer errors are converted to ApiError
+ * @param {string} fieldName - Multipart field holding the file
+ */
+const uploadSingle = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new ApiError(
+          HTTP_STATUS.PAYLOAD_TOO_LARGE,
+          ERROR_MESSAGES.PAYLOAD_TOO_LARGE,
+          `File cannot exceed ${ATTACHMENTS.MAX_FILE_SIZE} bytes`
+        ));
+      }
+
+      return next(new ApiError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_MESSAGES.VALIDATION_ERROR,
+        err.message
+      ));
+    }
+
+    return next(err);
+  });
+};
+
+module.exports = {
+  uploadSingle,
+};
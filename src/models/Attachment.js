@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Schema
+ * Metadata of a file attached to a task; contents live in the storage driver
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Attachment must belong to a task'],
+      index: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Attachment must have an uploader'],
+      index: true,
+    },
+    filename: {
+      type: String,
+      required: [true, 'Filename is required'],
+      trim: true,
+      maxlength: [255, 'Filename cannot exceed 255 characters'],
+    },
+    contentType: {
+      type: String,
+      required: [true, 'Content type is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: [0, 'File size cannot be negative'],
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      select: false, // Internal to the storage driver
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.storageKey;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comment Schema
+ * Discussion on a task, with one level of threaded replies
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Comment must belong to a task'],
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Comment must have an author'],
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment body is required'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null, // Set only for replies
+      index: true,
+    },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Indexes for better query performance
+commentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+commentSchema.index({ body: 'text' }, { name: 'comment_text' });
+
+/**
+ * Virtual edited marker
+ */
+commentSchema.virtual('isEdited').get(function () {
+  return Boolean(this.editedAt);
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES, CUSTOM_FIELDS } = require('../config/constants');
+
+const SELECT_TYPES = [CUSTOM_FIELD_TYPES.SELECT, CUSTOM_FIELD_TYPES.MULTI_SELECT];
+
+/**
+ * Custom Field Schema
+ * Definition of a typed task field, either global (defined by an admin)
+ * or scoped to one project (defined by its owner)
+ */
+const customFieldSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Field name is required'],
+      trim: true,
+      maxlength: [50, 'Field name cannot exceed 50 characters'],
+    },
+    key: {
+      type: String,
+      required: [true, 'Field key is required'],
+      match: [
+        CUSTOM_FIELDS.KEY_PATTERN,
+        'Field key must start with a letter and contain only letters, digits and underscores',
+      ],
+    },
+    type: {
+      type: String,
+      enum: Object.values(CUSTOM_FIELD_TYPES),
+      required: [true, 'Field type is required'],
+    },
+    options: {
+      type: [String],
+      default: undefined, // Only select fields have options
+      validate: {
+        validator: function (value) {
+          return !SELECT_TYPES.includes(this.type) || (Array.isArray(value) && value.length > 0);
+        },
+        message: 'Select fields need at least one option',
+      },
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null, // null for global fields
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Keys are unique within a scope
+customFieldSchema.index({ project: 1, key: 1 }, { unique: true });
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+
+module.exports = CustomField;
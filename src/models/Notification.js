@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { NOTIFICATIONS, TASK_ACTIVITY } = require('../config/constants');
+
+/**
+ * Notification Schema
+ * Tells a user about something that happened to a task they follow.
+ * The task title is copied in, so the notification still reads well
+ * once the task is renamed or deleted.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Notification must have a recipient'],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(NOTIFICATIONS.TYPES),
+        message: '{VALUE} is not a valid notification type',
+      },
+      required: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Notification must refer to a task'],
+    },
+    title: {
+      type: String,
+      default: '', // Task title when the notification was created
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Not set for due date reminders
+    },
+    action: {
+      type: String,
+      enum: {
+        values: [...Object.values(TASK_ACTIVITY.ACTIONS), null],
+        message: '{VALUE} is not a valid activity action',
+      },
+      default: null, // History action of a task change
+    },
+    fields: [{
+      type: String, // Task fields touched by a task change
+    }],
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null, // Set for mentions
+    },
+    dueDate: {
+      type: Date,
+      default: null, // Set for due date reminders
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Inbox listing (all or unread only) and unread counts, newest first
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+// Old notifications expire on their own
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATIONS.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Virtual read marker
+ */
+notificationSchema.virtual('isRead').get(function () {
+  return Boolean(this.readAt);
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
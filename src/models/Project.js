@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project Schema
+ * Groups related tasks under a single initiative
+ */
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      minlength: [2, 'Name must be at least 2 characters'],
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Project must belong to a user'],
+      index: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Project names are unique per owner
+projectSchema.index({ owner: 1, name: 1 }, { unique: true });
+projectSchema.index({ owner: 1, isArchived: 1 });
+
+/**
+ * Virtual for task count (will be populated by repository)
+ */
+projectSchema.virtual('taskCount', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'project',
+  count: true,
+  match: { isDeleted: false },
+});
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { TASK_STATUS, TASK_PRIORITY } = require('../config/constants');
+
+/**
+ * Saved filters of a view, mirroring the GET /tasks query parameters
+ * Date bounds keep their date tokens and are resolved on every run
+ */
+const viewFiltersSchema = new mongoose.Schema(
+  {
+    status: {
+      type: [{ type: String, enum: Object.values(TASK_STATUS) }],
+      default: undefined,
+    },
+    priority: {
+      type: [{ type: String, enum: Object.values(TASK_PRIORITY) }],
+      default: undefined,
+    },
+    tags: {
+      type: [String],
+      default: undefined,
+    },
+    tagMatch: {
+      type: String,
+      enum: ['any', 'all'],
+    },
+    search: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    assignedTo: String, // "me" or a user ID
+    hasDueDate: Boolean,
+    overdue: Boolean,
+    dueAfter: String,
+    dueBefore: String,
+    createdAfter: String,
+    createdBefore: String,
+    completedAfter: String,
+    completedBefore: String,
+    customField: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+/**
+ * Saved View Schema
+ * A named task filter and sort order kept per user
+ */
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: [100, 'View name cannot exceed 100 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'View must belong to a user'],
+    },
+    filters: {
+      type: viewFiltersSchema,
+      default: () => ({}),
+    },
+    sort: {
+      type: String,
+      default: '-createdAt',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// View names are unique per user
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
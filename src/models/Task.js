@@ -1,5 +1,75 @@
 const mongoose = require('mongoose');
-const { TASK_STATUS, TASK_PRIORITY } = require('../config/constants');
+const {
+  TASK_STATUS,
+  TASK_PRIORITY,
+  RECURRENCE_FREQUENCY,
+  WEEKDAYS,
+  ACCESS_LEVELS,
+  TASK_CHECKLIST,
+} = require('../config/constants');
+const versioning = require('./plugins/versioning');
+
+/**
+ * Recurrence Schema
+ * RRULE-style schedule embedded in recurring tasks
+ */
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: Object.values(RECURRENCE_FREQUENCY),
+      required: [true, 'Recurrence frequency is required'],
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1'],
+      default: 1,
+    },
+    byWeekday: [{
+      type: String,
+      enum: WEEKDAYS,
+    }],
+    byMonthDay: {
+      type: Number,
+      min: [1, 'Day of month must be between 1 and 31'],
+      max: [31, 'Day of month must be between 1 and 31'],
+    },
+    until: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Checklist Item Schema
+ * Lightweight steps inside a task, kept in display order
+ */
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, 'Checklist item text is required'],
+      trim: true,
+      maxlength: [
+        TASK_CHECKLIST.MAX_TEXT_LENGTH,
+        `Checklist item cannot exceed ${TASK_CHECKLIST.MAX_TEXT_LENGTH} characters`,
+      ],
+    },
+    checked: {
+      type: Boolean,
+      default: false,
+    },
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
+  }
+);
 
 /**
  * Task Schema
@@ -33,8 +103,10 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       validate: {
         validator: function (value) {
-          // Due date should be in the future for new tasks
-          if (this.isNew) {
+          // Due date should be in the future for new tasks.
+          // Generated occurrences keep their series schedule even if it
+          // has already passed, so they are exempt.
+          if (this.isNew && !this.series) {
             return value > new Date();
           }
           return true;
@@ -46,22 +118,99 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    position: {
+      type: Number,
+      default: 0, // Order within the status column on the board
+    },
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}), // Values keyed by CustomField.key
+    },
+    estimatedMinutes: {
+      type: Number,
+      min: [0, 'Estimate cannot be negative'],
+      default: null,
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: [true, 'Task must belong to a user'],
       index: true,
     },
+    assignees: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    // Audience of change events. Watching is not a change to the task:
+    // the list is written without a version bump.
+    watchers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true, // Set only for subtasks
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+      index: true,
+    },
+    blockedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    }],
     tags: [{
       type: String,
       trim: true,
       lowercase: true,
     }],
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    checklist: {
+      type: [checklistItemSchema],
+      default: [],
+    },
+    requireChecklist: {
+      type: Boolean,
+      default: false, // Block completion while checklist items are unchecked
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true, // First occurrence of a recurring series
+    },
+    occurrence: {
+      type: Number,
+      default: null, // 1-based position within the series
+    },
+    nextOccurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
       select: false, // Soft delete flag
     },
+    deletedAt: {
+      type: Date,
+      default: null,
+      select: false, // Set while the task is in the trash
+    },
+    // Due date each reminder was last sent for, so a new due date is
+    // reminded again. Not a user change: written without a version bump.
+    reminders: {
+      dueSoon: { type: Date, default: null, select: false },
+      overdue: { type: Date, default: null, select: false },
+    },
   },
   {
     timestamps: true,
@@ -70,6 +219,7 @@ const taskSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret.__v;
         delete ret.isDeleted;
+        delete ret.reminders;
         return ret;
       },
     },
@@ -85,6 +235,21 @@ taskSchema.index({ user: 1, priority: 1 });
 taskSchema.index({ user: 1, dueDate: 1 });
 taskSchema.index({ status: 1, priority: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ user: 1, status: 1, position: 1 });
+taskSchema.index({ 'customFields.$**': 1 });
+taskSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'task_text', weights: { title: 10, tags: 5, description: 2 } }
+);
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ user: 1, project: 1 });
+taskSchema.index({ assignees: 1, status: 1 });
+taskSchema.index({ watchers: 1, updatedAt: -1 });
+taskSchema.index({ isDeleted: 1, deletedAt: 1 }); // Trash listing and retention sweep
+taskSchema.index({ status: 1, dueDate: 1 }); // Due date reminders
+
+// Every write bumps __v, which is served as the task's ETag
+taskSchema.plugin(versioning);
 
 /**
  * Pre-save middleware to set completedAt when status changes to completed
@@ -106,7 +271,8 @@ taskSchema.pre('save', function (next) {
  * Virtual for checking if task is overdue
  */
 taskSchema.virtual('isOverdue').get(function () {
-  if (!this.dueDate || this.status === TASK_STATUS.COMPLETED) {
+  // Same rule as TaskRepository.overdueCriteria: open and past due
+  if (!this.dueDate || ![TASK_STATUS.PENDING, TASK_STATUS.IN_PROGRESS].includes(this.status)) {
     return false;
   }
   return new Date() > this.dueDate;
@@ -125,6 +291,32 @@ taskSchema.virtual('daysUntilDue').get(function () {
   return diffDays;
 });
 
+/**
+ * Virtual for checklist progress (null when the task has no checklist)
+ */
+taskSchema.virtual('checklistProgress').get(function () {
+  if (!this.checklist || this.checklist.length === 0) {
+    return null;
+  }
+  const total = this.checklist.length;
+  const checked = this.checklist.filter((item) => item.checked).length;
+  return {
+    total,
+    checked,
+    percent: Math.round((checked / total) * 100),
+  };
+});
+
+/**
+ * Virtual populate for attachment metadata
+ */
+taskSchema.virtual('attachments', {
+  ref: 'Attachment',
+  localField: '_id',
+  foreignField: 'task',
+  options: { sort: { createdAt: 1 } },
+});
+
 /**
  * Static method to find tasks by user
  * @param {string} userId
@@ -175,11 +367,32 @@ taskSchema.statics.getStatistics = async function (userId) {
   }, {});
 };
 
+/**
+ * Instance method to resolve a user's access level on this task
+ * @param {string} userId - User ID
+ * @returns {string|null} - owner, assignee or null
+ */
+taskSchema.methods.getAccessLevel = function (userId) {
+  const id = userId.toString();
+  const ownerId = this.user._id ? this.user._id.toString() : this.user.toString();
+
+  if (ownerId === id) {
+    return ACCESS_LEVELS.OWNER;
+  }
+
+  if ((this.assignees || []).some((assignee) => assignee.toString() === id)) {
+    return ACCESS_LEVELS.ASSIGNEE;
+  }
+
+  return null;
+};
+
 /**
  * Instance method for soft delete
  */
 taskSchema.methods.softDelete = async function () {
   this.isDeleted = true;
+  this.deletedAt = new Date();
   await this.save();
 };
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { TASK_ACTIVITY } = require('../config/constants');
+
+/**
+ * Field Change Schema
+ * Old and new value of a single task field
+ */
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Task Activity Schema
+ * Append-only change log entry of a task
+ */
+const taskActivitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Activity must belong to a task'],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Activity must have an actor'],
+    },
+    action: {
+      type: String,
+      enum: {
+        values: Object.values(TASK_ACTIVITY.ACTIONS),
+        message: '{VALUE} is not a valid activity action',
+      },
+      required: true,
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// History is always read per task, newest first
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+
+const TaskActivity = mongoose.model('TaskActivity', taskActivitySchema);
+
+module.exports = TaskActivity;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { TASK_PRIORITY } = require('../config/constants');
+
+/**
+ * Fields copied to each task created from a template
+ * Due dates are kept as offsets (e.g. "+3d") from the start date
+ * chosen when the template is instantiated
+ */
+const templateTaskFields = {
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    minlength: [3, 'Title must be at least 3 characters'],
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  priority: {
+    type: String,
+    enum: Object.values(TASK_PRIORITY),
+  },
+  tags: [
+    {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  ],
+  dueOffset: String,
+};
+
+const templateSubtaskSchema = new mongoose.Schema(templateTaskFields, { _id: false });
+
+/**
+ * Task Template Schema
+ * A task and its subtasks that a user creates over and over
+ */
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Template must belong to a user'],
+    },
+    ...templateTaskFields,
+    subtasks: {
+      type: [templateSubtaskSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Template names are unique per user
+taskTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const TaskTemplate = mongoose.model('TaskTemplate', taskTemplateSchema);
+
+module.exports = TaskTemplate;
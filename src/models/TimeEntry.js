@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { TIME_ENTRY_SOURCE } = require('../config/constants');
+
+/**
+ * Time Entry Schema
+ * Time a user spent on a task, from a timer or entered manually
+ */
+const timeEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Time entry must belong to a user'],
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Time entry must belong to a task'],
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: Object.values(TIME_ENTRY_SOURCE),
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    endedAt: {
+      type: Date,
+      default: null, // null while the timer is running
+    },
+    minutes: {
+      type: Number,
+      min: [0, 'Duration cannot be negative'],
+      default: 0,
+    },
+    isRunning: {
+      type: Boolean,
+      default: false,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Indexes for better query performance
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+
+// At most one running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+module.exports = TimeEntry;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { USER_ROLES } = require('../config/constants');
+const versioning = require('./plugins/versioning');
 
 /**
  * User Schema
@@ -49,6 +50,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    calendarTokenHash: {
+      type: String,
+      default: null,
+      select: false, // SHA-256 of the calendar feed token
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -57,6 +63,7 @@ const userSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret.password;
         delete ret.refreshToken;
+        delete ret.calendarTokenHash;
         delete ret.__v;
         return ret;
       },
@@ -71,6 +78,13 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index(
+  { calendarTokenHash: 1 },
+  { unique: true, partialFilterExpression: { calendarTokenHash: { $type: 'string' } } }
+);
+
+// Every write bumps __v, which is served as the user's ETag
+userSchema.plugin(versioning);
 
 /**
  * Pre-save middleware to hash password
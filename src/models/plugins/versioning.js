@@ -0,0 +1,38 @@
+/**
+ * Versioning Plugin
+ * Bumps the document version (__v) on every write, so it can serve as an
+ * ETag for conditional requests. Mongoose on its own only bumps it when
+ * save() changes an array, and never on query updates.
+ */
+
+const UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+/**
+ * Apply the plugin to a schema
+ * @param {mongoose.Schema} schema - Schema to version
+ */
+const versioning = (schema) => {
+  schema.pre('save', function (next) {
+    if (!this.isNew && this.isModified()) {
+      this.increment();
+    }
+
+    next();
+  });
+
+  schema.pre(UPDATE_QUERIES, function (next) {
+    const update = this.getUpdate();
+
+    // Aggregation pipeline updates are left alone
+    if (update && !Array.isArray(update)) {
+      this.setUpdate({
+        ...update,
+        $inc: { ...update.$inc, __v: 1 },
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = versioning;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const Attachment = require('../models/Attachment');
+
+/**
+ * Attachment Repository
+ * Handles all database operations for Attachment model
+ * Extends BaseRepository for common CRUD operations
+ */
+class AttachmentRepository extends BaseRepository {
+  constructor() {
+    super(Attachment);
+  }
+
+  /**
+   * Find attachments of a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Attachment[]>}
+   */
+  async findByTask(taskId) {
+    try {
+      return await this.find({ task: taskId }, { sort: { createdAt: 1 } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find attachment by ID within a task, including its storage key
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Attachment|null>}
+   */
+  async findByIdAndTask(attachmentId, taskId) {
+    try {
+      return await this.findOne(
+        { _id: attachmentId, task: taskId },
+        { select: '+storageKey' }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find attachments of several tasks, including their storage keys
+   * @param {ObjectId[]} taskIds - Task IDs
+   * @returns {Promise<Attachment[]>}
+   */
+  async findByTasksWithKeys(taskIds) {
+    try {
+      return await this.find({ task: { $in: taskIds } }, { select: '+storageKey' });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get total size of all files uploaded by a user
+   * @param {string} userId - Uploader user ID
+   * @returns {Promise<number>} - Bytes used
+   */
+  async getUsageByUser(userId) {
+    try {
+      const [usage] = await this.model.aggregate([
+        { $match: { uploadedBy: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, bytes: { $sum: '$size' } } },
+      ]);
+
+      return usage ? usage.bytes : 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AttachmentRepository;
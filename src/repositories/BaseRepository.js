@@ -1,4 +1,11 @@
 const logger = require('../config/logger');
+const {
+  CURSOR_DIRECTIONS,
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  keysetCriteria,
+} = require('../utils/cursor');
 
 /**
  * Base Repository Class
@@ -113,23 +120,63 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Stream documents matching criteria as plain objects, one batch at a time
+   * @param {Object} criteria - Search criteria
+   * @param {Object} options - Query options (sort, select, batchSize)
+   * @returns {QueryCursor} - Async iterable; nothing is fetched until it is read
+   */
+  stream(criteria = {}, options = {}) {
+    try {
+      let query = this.model.find(criteria).lean();
+
+      if (options.sort) {
+        query = query.sort(options.sort);
+      }
+
+      if (options.select) {
+        query = query.select(options.select);
+      }
+
+      return query.cursor({ batchSize: options.batchSize || 500 });
+    } catch (error) {
+      logger.error(`Error streaming ${this.model.modelName} documents:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Find documents with pagination
+   * Pages also carry cursors; passing one back as options.cursor
+   * continues with keyset pagination (see findWithCursor)
    * @param {Object} criteria - Search criteria
-   * @param {Object} options - Pagination options
+   * @param {Object} options - Pagination options (page, limit, sort, cursor, withTotal)
    * @returns {Promise<Object>} - { data, pagination }
    */
   async findWithPagination(criteria = {}, options = {}) {
     try {
+      if (options.cursor) {
+        return await this.findWithCursor(criteria, options);
+      }
+
       const page = parseInt(options.page) || 1;
       const limit = parseInt(options.limit) || 10;
       const skip = (page - 1) * limit;
+      const sortEntries = normalizeSort(options.sort);
 
       const [data, total] = await Promise.all([
-        this.find(criteria, { ...options, skip, limit }),
+        this.find(criteria, {
+          ...options,
+          sort: Object.fromEntries(sortEntries),
+          skip,
+          limit,
+        }),
         this.count(criteria),
       ]);
 
+      const hasNext = page * limit < total;
+      const hasPrev = page > 1;
+
       return {
         data,
         pagination: {
@@ -137,8 +184,14 @@ class BaseRepository {
           limit,
           total,
           totalPages: Math.ceil(total / limit),
-          hasNext: page * limit < total,
-          hasPrev: page > 1,
+          hasNext,
+          hasPrev,
+          nextCursor: hasNext && data.length > 0
+            ? encodeCursor(data[data.length - 1], sortEntries, CURSOR_DIRECTIONS.NEXT)
+            : null,
+          prevCursor: hasPrev && data.length > 0
+            ? encodeCursor(data[0], sortEntries, CURSOR_DIRECTIONS.PREV)
+            : null,
         },
       };
     } catch (error) {
@@ -147,6 +200,72 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Find documents with keyset pagination
+   * Pages continue strictly after (or before) the cursor position, so
+   * inserts never shift items between pages. The total is only counted
+   * when options.withTotal is set.
+   * @param {Object} criteria - Search criteria
+   * @param {Object} options - { cursor, limit, sort, withTotal, populate, select }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async findWithCursor(criteria = {}, options = {}) {
+    try {
+      const limit = parseInt(options.limit) || 10;
+      const sortEntries = normalizeSort(options.sort);
+      const { direction, values } = decodeCursor(options.cursor, sortEntries);
+      const backwards = direction === CURSOR_DIRECTIONS.PREV;
+
+      // Backward pages are read in reverse order, then flipped back
+      const querySort = backwards
+        ? sortEntries.map(([field, order]) => [field, -order])
+        : sortEntries;
+
+      const [rows, total] = await Promise.all([
+        this.find(
+          { $and: [criteria, keysetCriteria(querySort, values)] },
+          {
+            ...options,
+            sort: Object.fromEntries(querySort),
+            skip: 0,
+            limit: limit + 1,
+          }
+        ),
+        options.withTotal ? this.count(criteria) : null,
+      ]);
+
+      const hasMore = rows.length > limit;
+      const data = rows.slice(0, limit);
+
+      if (backwards) {
+        data.reverse();
+      }
+
+      // The cursor item itself lies on the side we came from
+      const hasNext = backwards || hasMore;
+      const hasPrev = !backwards || hasMore;
+
+      return {
+        data,
+        pagination: {
+          limit,
+          ...(total !== null && { total }),
+          hasNext,
+          hasPrev,
+          nextCursor: hasNext && data.length > 0
+            ? encodeCursor(data[data.length - 1], sortEntries, CURSOR_DIRECTIONS.NEXT)
+            : null,
+          prevCursor: hasPrev && data.length > 0
+            ? encodeCursor(data[0], sortEntries, CURSOR_DIRECTIONS.PREV)
+            : null,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error in cursor find for ${this.model.modelName}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Update document by ID
    * @param {string} id - Document ID
@@ -201,6 +320,31 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Update all documents matching criteria
+   * @param {Object} criteria - Search criteria
+   * @param {Object} data - Update data
+   * @param {Object} options - Update options
+   * @returns {Promise<Object>} - { matchedCount, modifiedCount }
+   */
+  async updateMany(criteria, data, options = {}) {
+    try {
+      const result = await this.model.updateMany(criteria, data, {
+        runValidators: true,
+        ...options,
+      });
+
+      if (result.modifiedCount > 0) {
+        logger.info(`Updated ${result.modifiedCount} ${this.model.modelName} documents`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error updating ${this.model.modelName} documents:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Delete document by ID
    * @param {string} id - Document ID
@@ -235,6 +379,20 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Delete all documents matching criteria
+   * @param {Object} criteria - Search criteria
+   * @returns {Promise<Object>} - { deletedCount }
+   */
+  async deleteMany(criteria) {
+    try {
+      return await this.model.deleteMany(criteria);
+    } catch (error) {
+      logger.error(`Error deleting ${this.model.modelName} documents:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Count documents matching criteria
    * @param {Object} criteria - Search criteria
@@ -0,0 +1,145 @@
+const BaseRepository = require('./BaseRepository');
+const Comment = require('../models/Comment');
+
+const AUTHOR_FIELDS = { path: 'author', select: 'name email' };
+
+/**
+ * Comment Repository
+ * Handles all database operations for Comment model
+ * Extends BaseRepository for common CRUD operations
+ */
+class CommentRepository extends BaseRepository {
+  constructor() {
+    super(Comment);
+  }
+
+  /**
+   * Find top-level comments of a task with pagination
+   * @param {string} taskId - Task ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findByTask(taskId, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        { task: taskId, parent: null },
+        {
+          ...paginationOptions,
+          sort: { createdAt: 1 },
+          populate: AUTHOR_FIELDS,
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find replies to a set of comments
+   * @param {string[]} parentIds - Parent comment IDs
+   * @returns {Promise<Comment[]>}
+   */
+  async findReplies(parentIds) {
+    try {
+      return await this.find(
+        { parent: { $in: parentIds } },
+        { sort: { createdAt: 1 }, populate: AUTHOR_FIELDS }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find comment by ID within a task
+   * @param {string} commentId - Comment ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Comment|null>}
+   */
+  async findByIdAndTask(commentId, taskId) {
+    try {
+      return await this.findOne({ _id: commentId, task: taskId });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find comments mentioning a user with pagination
+   * @param {string} userId - Mentioned user ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findMentioning(userId, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        { mentions: userId },
+        {
+          ...paginationOptions,
+          sort: { createdAt: -1 },
+          populate: [AUTHOR_FIELDS, { path: 'task', select: 'title status' }],
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Score tasks by their best comment matching a full-text search
+   * @param {string} text - $text search string
+   * @param {ObjectId[]} taskIds - Tasks to consider
+   * @param {number} limit - Maximum number of tasks
+   * @returns {Promise<Object[]>} - [{ _id: taskId, score }], best first
+   */
+  async scoreTasksByText(text, taskIds, limit) {
+    try {
+      return await this.model.aggregate([
+        { $match: { $text: { $search: text }, task: { $in: taskIds } } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $group: { _id: '$task', score: { $max: '$score' } } },
+        { $sort: { score: -1 } },
+        { $limit: limit },
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find comments of some tasks matching a full-text search, best first
+   * @param {string} text - $text search string
+   * @param {ObjectId[]} taskIds - Task IDs
+   * @returns {Promise<Comment[]>}
+   */
+  async findTextMatches(text, taskIds) {
+    try {
+      return await this.find(
+        { $text: { $search: text }, task: { $in: taskIds } },
+        {
+          select: { task: 1, body: 1, score: { $meta: 'textScore' } },
+          sort: { score: { $meta: 'textScore' } },
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment together with its replies
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>}
+   */
+  async deleteWithReplies(commentId) {
+    try {
+      return await this.model.deleteMany({
+        $or: [{ _id: commentId }, { parent: commentId }],
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CommentRepository;
@@ -0,0 +1,50 @@
+const BaseRepository = require('./BaseRepository');
+const CustomField = require('../models/CustomField');
+
+/**
+ * Custom Field Repository
+ * Handles all database operations for CustomField model
+ * Extends BaseRepository for common CRUD operations
+ */
+class CustomFieldRepository extends BaseRepository {
+  constructor() {
+    super(CustomField);
+  }
+
+  /**
+   * Find the fields that apply to tasks of a project: global fields
+   * plus the project's own fields
+   * @param {string|null} projectId - Project ID (null for tasks without a project)
+   * @returns {Promise<CustomField[]>}
+   */
+  async findApplicable(projectId = null) {
+    try {
+      const scopes = projectId ? [null, projectId] : [null];
+      return await this.find({ project: { $in: scopes } }, { sort: { name: 1 } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a key is already taken where it would clash:
+   * a global key clashes with every scope, a project key with
+   * global fields and the project's own fields
+   * @param {string} key - Field key
+   * @param {string|null} projectId - Project ID (null for a global field)
+   * @returns {Promise<boolean>}
+   */
+  async isKeyTaken(key, projectId = null) {
+    try {
+      const criteria = projectId
+        ? { key, project: { $in: [null, projectId] } }
+        : { key };
+
+      return await this.exists(criteria);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomFieldRepository;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Repository
+ * Handles all database operations for Notification model
+ * Extends BaseRepository for common CRUD operations
+ */
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super(Notification);
+  }
+
+  /**
+   * Create notifications
+   * @param {Object[]} notifications - Notification data
+   * @returns {Promise<Notification[]>}
+   */
+  async createMany(notifications) {
+    try {
+      if (notifications.length === 0) {
+        return [];
+      }
+
+      return await this.model.insertMany(notifications);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find notifications of a user with pagination, newest first
+   * @param {string} userId - Recipient user ID
+   * @param {boolean} unreadOnly - Leave out read notifications
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findByRecipient(userId, unreadOnly, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        {
+          recipient: userId,
+          ...(unreadOnly && { readAt: null }),
+        },
+        {
+          ...paginationOptions,
+          sort: { createdAt: -1, _id: -1 },
+          populate: { path: 'actor', select: 'name email' },
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the read time of a notification of a user
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - Recipient user ID
+   * @param {Date|null} readAt - Read time, or null to mark unread
+   * @returns {Promise<Notification|null>}
+   */
+  async setReadAt(notificationId, userId, readAt) {
+    try {
+      return await this.updateOne(
+        { _id: notificationId, recipient: userId },
+        { readAt }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every unread notification of a user as read
+   * @param {string} userId - Recipient user ID
+   * @param {Date} readAt - Read time
+   * @returns {Promise<number>} - Number of notifications marked
+   */
+  async markAllRead(userId, readAt) {
+    try {
+      const result = await this.updateMany(
+        { recipient: userId, readAt: null },
+        { readAt }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count unread notifications of a user by type
+   * @param {string} userId - Recipient user ID
+   * @returns {Promise<Object[]>} - [{ _id: type, count }]
+   */
+  async countUnreadByType(userId) {
+    try {
+      return await this.model.aggregate([
+        { $match: { recipient: new mongoose.Types.ObjectId(userId), readAt: null } },
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationRepository;
@@ -0,0 +1,87 @@
+const BaseRepository = require('./BaseRepository');
+const Project = require('../models/Project');
+
+/**
+ * Project Repository
+ * Handles all database operations for Project model
+ * Extends BaseRepository for common CRUD operations
+ */
+class ProjectRepository extends BaseRepository {
+  constructor() {
+    super(Project);
+  }
+
+  /**
+   * Find projects by owner with pagination
+   * @param {string} userId - Owner user ID
+   * @param {boolean} archived - Whether to list archived projects
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findByOwner(userId, archived = false, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        { owner: userId, isArchived: archived },
+        {
+          ...paginationOptions,
+          sort: paginationOptions.sort || { name: 1 },
+          populate: 'taskCount',
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find project by ID and owner (for authorization)
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Project|null>}
+   */
+  async findByIdAndOwner(projectId, userId) {
+    try {
+      return await this.findOne({ _id: projectId, owner: userId });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of a user's archived projects
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<ObjectId[]>}
+   */
+  async findArchivedIds(userId) {
+    try {
+      const projects = await this.find(
+        { owner: userId, isArchived: true },
+        { select: '_id' }
+      );
+
+      return projects.map((project) => project._id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Archive or restore a project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID
+   * @param {boolean} isArchived - Target archive state
+   * @returns {Promise<Project|null>}
+   */
+  async setArchived(projectId, userId, isArchived) {
+    try {
+      return await this.updateOne(
+        { _id: projectId, owner: userId },
+        { isArchived, archivedAt: isArchived ? new Date() : null }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ProjectRepository;
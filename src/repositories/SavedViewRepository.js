@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+const SavedView = require('../models/SavedView');
+
+/**
+ * Saved View Repository
+ * Handles all database operations for SavedView model
+ * Extends BaseRepository for common CRUD operations
+ */
+class SavedViewRepository extends BaseRepository {
+  constructor() {
+    super(SavedView);
+  }
+
+  /**
+   * Find all views of a user, by name
+   * @param {string} userId - User ID
+   * @returns {Promise<SavedView[]>}
+   */
+  async findByUser(userId) {
+    try {
+      return await this.find({ user: userId }, { sort: { name: 1 } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find view by ID and user (for authorization)
+   * @param {string} viewId - View ID
+   * @param {string} userId - User ID
+   * @returns {Promise<SavedView|null>}
+   */
+  async findByIdAndUser(viewId, userId) {
+    try {
+      return await this.findOne({ _id: viewId, user: userId });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SavedViewRepository;
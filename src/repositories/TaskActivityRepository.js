@@ -0,0 +1,53 @@
+const BaseRepository = require('./BaseRepository');
+const TaskActivity = require('../models/TaskActivity');
+
+/**
+ * Task Activity Repository
+ * Handles all database operations for TaskActivity model
+ * Extends BaseRepository for common CRUD operations
+ */
+class TaskActivityRepository extends BaseRepository {
+  constructor() {
+    super(TaskActivity);
+  }
+
+  /**
+   * Record activity entries
+   * @param {Object[]} entries - { task, actor, action, changes }
+   * @returns {Promise<TaskActivity[]>}
+   */
+  async record(entries) {
+    try {
+      if (entries.length === 0) {
+        return [];
+      }
+
+      return await this.model.insertMany(entries);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find history of a task with pagination, newest first
+   * @param {string} taskId - Task ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findByTask(taskId, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        { task: taskId },
+        {
+          ...paginationOptions,
+          sort: { createdAt: -1, _id: -1 },
+          populate: { path: 'actor', select: 'name email' },
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskActivityRepository;
@@ -1,6 +1,11 @@
+const mongoose = require('mongoose');
 const BaseRepository = require('./BaseRepository');
 const Task = require('../models/Task');
 const { TASK_STATUS } = require('../config/constants');
+const { versionCriteria } = require('../utils/etag');
+
+// Statuses that still count as unfinished work
+const OPEN_STATUSES = [TASK_STATUS.PENDING, TASK_STATUS.IN_PROGRESS];
 
 /**
  * Task Repository
@@ -71,18 +76,98 @@ class TaskRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find task by ID that a user owns or is assigned to
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (populate, select)
+   * @returns {Promise<Task|null>}
+   */
+  async findAccessibleById(taskId, userId, options = {}) {
+    try {
+      return await this.findOne({
+        _id: taskId,
+        isDeleted: false,
+        $or: [{ user: userId }, { assignees: userId }],
+      }, options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks assigned to a user (from any owner) with filters and pagination
+   * @param {string} userId - Assignee user ID
+   * @param {Object} filters - Filter criteria (status, priority, etc.)
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findAssignedWithFilters(userId, filters = {}, paginationOptions = {}) {
+    try {
+      const criteria = {
+        ...filters,
+        assignees: userId,
+        isDeleted: false,
+      };
+
+      return await this.findWithPagination(criteria, {
+        ...paginationOptions,
+        sort: paginationOptions.sort || { createdAt: -1 },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Criteria that make a task overdue: still open and past its due date
+   * Shared by the overdue list, the statistics and the overdue filter
+   * @param {Date} now - Current time
+   * @returns {Object}
+   */
+  overdueCriteria(now = new Date()) {
+    return {
+      status: { $in: OPEN_STATUSES },
+      dueDate: { $lt: now },
+    };
+  }
+
   /**
    * Find overdue tasks for a user
    * @param {string} userId - User ID
+   * @param {Object} criteria - Additional criteria
    * @returns {Promise<Task[]>}
    */
-  async findOverdueTasks(userId) {
+  async findOverdueTasks(userId, criteria = {}) {
     try {
       return await this.find({
+        ...criteria,
         user: userId,
         isDeleted: false,
-        status: { $ne: TASK_STATUS.COMPLETED },
-        dueDate: { $lt: new Date() },
+        ...this.overdueCriteria(),
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks with a due date that a user owns or is assigned to
+   * @param {string} userId - User ID
+   * @param {Object} criteria - Additional criteria
+   * @param {number} limit - Maximum number of tasks
+   * @returns {Promise<Task[]>} - Latest due first
+   */
+  async findForCalendar(userId, criteria = {}, limit = 1000) {
+    try {
+      return await this.find({
+        ...criteria,
+        $or: [{ user: userId }, { assignees: userId }],
+        isDeleted: false,
+        dueDate: { $ne: null },
+      }, {
+        sort: { dueDate: -1, _id: -1 },
+        limit,
       });
     } catch (error) {
       throw error;
@@ -93,15 +178,17 @@ class TaskRepository extends BaseRepository {
    * Find upcoming tasks (due within specified days)
    * @param {string} userId - User ID
    * @param {number} days - Number of days to look ahead
+   * @param {Object} criteria - Additional criteria
    * @returns {Promise<Task[]>}
    */
-  async findUpcomingTasks(userId, days = 7) {
+  async findUpcomingTasks(userId, days = 7, criteria = {}) {
     try {
       const now = new Date();
       const futureDate = new Date();
       futureDate.setDate(futureDate.getDate() + days);
 
       return await this.find({
+        ...criteria,
         user: userId,
         isDeleted: false,
         status: { $ne: TASK_STATUS.COMPLETED },
@@ -118,16 +205,23 @@ class TaskRepository extends BaseRepository {
   }
 
   /**
-   * Soft delete task
+   * Soft delete task (move it to the trash)
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID (for authorization)
+   * @param {Date} deletedAt - Deletion time
+   * @param {number[]|null} ifMatch - Versions accepted by If-Match (null for any)
    * @returns {Promise<Task|null>}
    */
-  async softDelete(taskId, userId) {
+  async softDelete(taskId, userId, deletedAt = new Date(), ifMatch = null) {
     try {
       return await this.updateOne(
-        { _id: taskId, user: userId, isDeleted: false },
-        { isDeleted: true }
+        {
+          _id: taskId,
+          user: userId,
+          isDeleted: false,
+          ...versionCriteria(ifMatch),
+        },
+        { isDeleted: true, deletedAt }
       );
     } catch (error) {
       throw error;
@@ -154,10 +248,35 @@ class TaskRepository extends BaseRepository {
 
   /**
    * Get task statistics for a user
+   * Top-level tasks and subtasks are counted separately so that
+   * a parent and its steps are not double counted
    * @param {string} userId - User ID
+   * @param {Object} criteria - Additional criteria (e.g. project)
    * @returns {Promise<Object>}
    */
-  async getStatistics(userId) {
+  async getStatistics(userId, criteria = {}) {
+    try {
+      const base = { ...criteria, user: userId, isDeleted: false };
+      const [tasks, subtasks] = await Promise.all([
+        this.countByStatus({ ...base, parent: null }),
+        this.countByStatus({ ...base, parent: { $ne: null } }),
+      ]);
+
+      return {
+        ...tasks,
+        subtasks,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count tasks matching criteria, broken down by status
+   * @param {Object} criteria - Base search criteria
+   * @returns {Promise<Object>} - { total, byStatus, overdue }
+   */
+  async countByStatus(criteria) {
     try {
       const [
         total,
@@ -167,17 +286,12 @@ class TaskRepository extends BaseRepository {
         cancelled,
         overdue,
       ] = await Promise.all([
-        this.count({ user: userId, isDeleted: false }),
-        this.count({ user: userId, isDeleted: false, status: TASK_STATUS.PENDING }),
-        this.count({ user: userId, isDeleted: false, status: TASK_STATUS.IN_PROGRESS }),
-        this.count({ user: userId, isDeleted: false, status: TASK_STATUS.COMPLETED }),
-        this.count({ user: userId, isDeleted: false, status: TASK_STATUS.CANCELLED }),
-        this.count({
-          user: userId,
-          isDeleted: false,
-          status: { $ne: TASK_STATUS.COMPLETED },
-          dueDate: { $lt: new Date() },
-        }),
+        this.count(criteria),
+        this.count({ ...criteria, status: TASK_STATUS.PENDING }),
+        this.count({ ...criteria, status: TASK_STATUS.IN_PROGRESS }),
+        this.count({ ...criteria, status: TASK_STATUS.COMPLETED }),
+        this.count({ ...criteria, status: TASK_STATUS.CANCELLED }),
+        this.count({ ...criteria, ...this.overdueCriteria() }),
       ]);
 
       return {
@@ -196,24 +310,728 @@ class TaskRepository extends BaseRepository {
   }
 
   /**
-   * Search tasks by title or description
+   * Find subtasks of a parent task
+   * @param {string} parentId - Parent task ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Task[]>}
+   */
+  async findSubtasks(parentId, options = {}) {
+    try {
+      return await this.find(
+        { parent: parentId, isDeleted: false },
+        { sort: { createdAt: 1 }, ...options }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count subtasks of a parent that are still open (pending or in progress)
+   * @param {string} parentId - Parent task ID
+   * @returns {Promise<number>}
+   */
+  async countOpenSubtasks(parentId) {
+    try {
+      return await this.count({
+        parent: parentId,
+        isDeleted: false,
+        status: { $in: OPEN_STATUSES },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get subtask status counts for a set of parent tasks
+   * @param {string[]} parentIds - Parent task IDs
+   * @returns {Promise<Object>} - Map of parentId to { status: count }
+   */
+  async getSubtaskStatusCounts(parentIds) {
+    try {
+      const results = await this.model.aggregate([
+        {
+          $match: {
+            parent: { $in: parentIds.map((id) => new mongoose.Types.ObjectId(id)) },
+            isDeleted: false,
+          },
+        },
+        {
+          $group: {
+            _id: { parent: '$parent', status: '$status' },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      return results.reduce((acc, { _id, count }) => {
+        const key = _id.parent.toString();
+        acc[key] = acc[key] || {};
+        acc[key][_id.status] = count;
+        return acc;
+      }, {});
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel every open subtask of a parent task
+   * @param {string} parentId - Parent task ID
+   * @returns {Promise<Object>}
+   */
+  async cancelOpenSubtasks(parentId) {
+    try {
+      return await this.updateMany(
+        { parent: parentId, isDeleted: false, status: { $in: OPEN_STATUSES } },
+        { status: TASK_STATUS.CANCELLED }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete every subtask of a parent task
+   * @param {string} parentId - Parent task ID
+   * @param {Date} deletedAt - Deletion time, shared with the parent
+   * @returns {Promise<Object>}
+   */
+  async softDeleteSubtasks(parentId, deletedAt = new Date()) {
+    try {
+      return await this.updateMany(
+        { parent: parentId, isDeleted: false },
+        { isDeleted: true, deletedAt }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks by IDs belonging to a user
+   * @param {string[]} taskIds - Task IDs
    * @param {string} userId - User ID
-   * @param {string} searchTerm - Search term
    * @param {Object} options - Query options
    * @returns {Promise<Task[]>}
    */
-  async searchTasks(userId, searchTerm, options = {}) {
+  async findByIdsAndUser(taskIds, userId, options = {}) {
     try {
-      const regex = new RegExp(searchTerm, 'i');
-      
-      return await this.find({
+      return await this.find(
+        { _id: { $in: taskIds }, user: userId, isDeleted: false },
+        options
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks that are blocked by any of the given tasks
+   * @param {string[]} blockerIds - Blocking task IDs
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Task[]>}
+   */
+  async findDependents(blockerIds, userId, options = {}) {
+    try {
+      return await this.find(
+        { blockedBy: { $in: blockerIds }, user: userId, isDeleted: false },
+        options
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count blockers that are still open
+   * Deleted blockers no longer block anything
+   * @param {string[]} blockerIds - Blocking task IDs
+   * @returns {Promise<number>}
+   */
+  async countOpenBlockers(blockerIds) {
+    try {
+      if (!blockerIds || blockerIds.length === 0) {
+        return 0;
+      }
+
+      return await this.count({
+        _id: { $in: blockerIds },
+        isDeleted: false,
+        status: { $in: OPEN_STATUSES },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add a blocking task to a task
+   * @param {string} taskId - Blocked task ID
+   * @param {string} blockerId - Blocking task ID
+   * @returns {Promise<Task|null>}
+   */
+  async addDependency(taskId, blockerId) {
+    try {
+      return await this.updateById(taskId, { $addToSet: { blockedBy: blockerId } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a blocking task from a task
+   * @param {string} taskId - Blocked task ID
+   * @param {string} blockerId - Blocking task ID
+   * @returns {Promise<Task|null>}
+   */
+  async removeDependency(taskId, blockerId) {
+    try {
+      return await this.updateById(taskId, { $pull: { blockedBy: blockerId } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add a watcher to a task
+   * Watching is not a change to the task, so a pipeline update leaves the
+   * version and updatedAt alone and If-Match tags stay valid
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Watcher user ID
+   * @returns {Promise<Task|null>} - null when the user already watches the task
+   */
+  async addWatcher(taskId, userId) {
+    try {
+      // Pipeline stages are not cast, so the ID is converted here
+      const watcher = new mongoose.Types.ObjectId(userId);
+
+      return await this.updateOne(
+        { _id: taskId, watchers: { $ne: watcher } },
+        [{ $set: { watchers: { $concatArrays: ['$watchers', [watcher]] } } }],
+        { timestamps: false }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a watcher from a task
+   * Written like addWatcher, without a version bump
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Watcher user ID
+   * @returns {Promise<Task|null>} - null when the user was not watching the task
+   */
+  async removeWatcher(taskId, userId) {
+    try {
+      const watcher = new mongoose.Types.ObjectId(userId);
+
+      return await this.updateOne(
+        { _id: taskId, watchers: watcher },
+        [{
+          $set: {
+            watchers: {
+              $filter: { input: '$watchers', cond: { $ne: ['$$this', watcher] } },
+            },
+          },
+        }],
+        { timestamps: false }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the tasks a user watches and can still see, recently changed first
+   * @param {string} userId - Watcher user ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findWatchedByUser(userId, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        {
+          watchers: userId,
+          isDeleted: false,
+          $or: [{ user: userId }, { assignees: userId }],
+        },
+        {
+          ...paginationOptions,
+          sort: { updatedAt: -1 },
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find open tasks due within a range that have not had a reminder for
+   * their current due date yet
+   * @param {string} reminder - Reminder kind: 'dueSoon' or 'overdue'
+   * @param {Object} dueRange - Due date range criterion
+   * @param {number} limit - Maximum number of tasks
+   * @returns {Promise<Task[]>}
+   */
+  async findDueForReminder(reminder, dueRange, limit) {
+    try {
+      return await this.find(
+        {
+          isDeleted: false,
+          status: { $in: OPEN_STATUSES },
+          dueDate: dueRange,
+          $expr: { $ne: [`$reminders.${reminder}`, '$dueDate'] },
+        },
+        { sort: { dueDate: 1 }, limit }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record that tasks had a reminder for their current due date
+   * A pipeline update copies each task's own due date and leaves the
+   * version alone; timestamps are skipped so updatedAt is kept too
+   * @param {ObjectId[]} taskIds - Task IDs
+   * @param {string} reminder - Reminder kind: 'dueSoon' or 'overdue'
+   * @returns {Promise<Object>} - Update result
+   */
+  async markReminded(taskIds, reminder) {
+    try {
+      return await this.updateMany(
+        { _id: { $in: taskIds } },
+        [{ $set: { [`reminders.${reminder}`]: '$dueDate' } }],
+        { timestamps: false }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Append an item to a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {Object} item - { text }
+   * @returns {Promise<Task|null>}
+   */
+  async addChecklistItem(taskId, item) {
+    try {
+      return await this.updateById(taskId, { $push: { checklist: item } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of one checklist item
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} changes - Item fields to set
+   * @returns {Promise<Task|null>} - null when the item does not exist
+   */
+  async updateChecklistItem(taskId, itemId, changes) {
+    try {
+      const update = Object.keys(changes).reduce((acc, field) => {
+        acc[`checklist.$.${field}`] = changes[field];
+        return acc;
+      }, {});
+
+      return await this.updateOne({ _id: taskId, 'checklist._id': itemId }, { $set: update });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item from a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<Task|null>}
+   */
+  async removeChecklistItem(taskId, itemId) {
+    try {
+      return await this.updateById(taskId, { $pull: { checklist: { _id: itemId } } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a task's checklist, unless the task changed since it was read
+   * @param {string} taskId - Task ID
+   * @param {number} version - Task version (__v) the checklist was based on
+   * @param {Object[]} checklist - Checklist items in their new order
+   * @returns {Promise<Task|null>} - null when the version no longer matches
+   */
+  async replaceChecklist(taskId, version, checklist) {
+    try {
+      return await this.updateOne({ _id: taskId, __v: version }, { checklist });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every task from a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>}
+   */
+  async detachProject(projectId) {
+    try {
+      return await this.updateMany({ project: projectId }, { project: null });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks matching a full-text search, best matches first
+   * @param {Object} criteria - Additional criteria (scope and filters)
+   * @param {string} text - $text search string
+   * @param {number} limit - Maximum number of matches
+   * @returns {Promise<Object[]>} - [{ _id, score }]
+   */
+  async findTextMatches(criteria, text, limit) {
+    try {
+      const tasks = await this.find(
+        { ...criteria, $text: { $search: text } },
+        {
+          select: { _id: 1, score: { $meta: 'textScore' } },
+          sort: { score: { $meta: 'textScore' } },
+          limit,
+        }
+      );
+
+      return tasks.map((task) => ({ _id: task._id, score: task.get('score') }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find IDs of tasks matching criteria, newest first
+   * @param {Object} criteria - Search criteria
+   * @param {number} limit - Maximum number of IDs (0 for all)
+   * @returns {Promise<ObjectId[]>}
+   */
+  async findIds(criteria, limit = 0) {
+    try {
+      const tasks = await this.find(criteria, {
+        select: '_id',
+        sort: { createdAt: -1 },
+        limit,
+      });
+
+      return tasks.map((task) => task._id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of tasks from an ordered list of IDs, keeping that order
+   * @param {ObjectId[]} ids - Task IDs in display order
+   * @param {Object} paginationOptions - { page, limit }
+   * @returns {Promise<Object>} - Same shape as findWithPagination
+   */
+  async findByIdsInOrder(ids, paginationOptions = {}) {
+    try {
+      const page = parseInt(paginationOptions.page) || 1;
+      const limit = parseInt(paginationOptions.limit) || 10;
+      const pageIds = ids.slice((page - 1) * limit, page * limit);
+
+      const tasks = pageIds.length > 0
+        ? await this.find({ _id: { $in: pageIds }, isDeleted: false })
+        : [];
+      const byId = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+      return {
+        data: pageIds.map((id) => byId.get(id.toString())).filter(Boolean),
+        pagination: {
+          page,
+          limit,
+          total: ids.length,
+          totalPages: Math.ceil(ids.length / limit),
+          hasNext: page * limit < ids.length,
+          hasPrev: page > 1,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a task in a user's board column
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Owner user ID
+   * @param {string} status - Column status
+   * @returns {Promise<Task|null>}
+   */
+  async findInColumn(taskId, userId, status) {
+    try {
+      return await this.findOne({
+        _id: taskId,
         user: userId,
+        status,
         isDeleted: false,
-        $or: [
-          { title: regex },
-          { description: regex },
-        ],
-      }, options);
+      }, { select: 'position' });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the task directly before or after an anchor task in a column
+   * Ties in position are broken by ID, matching the board sort order
+   * @param {string} userId - Owner user ID
+   * @param {string} status - Column status
+   * @param {Task} anchor - Anchor task ({ _id, position })
+   * @param {string} direction - 'before' or 'after'
+   * @param {string} excludeId - Task being moved
+   * @returns {Promise<Task|null>}
+   */
+  async findColumnNeighbor(userId, status, anchor, direction, excludeId) {
+    try {
+      const operator = direction === 'after' ? '$gt' : '$lt';
+      const order = direction === 'after' ? 1 : -1;
+
+      const [neighbor] = await this.find(
+        {
+          user: userId,
+          status,
+          isDeleted: false,
+          _id: { $ne: excludeId },
+          $or: [
+            { position: { [operator]: anchor.position } },
+            { position: anchor.position, _id: { [operator]: anchor._id } },
+          ],
+        },
+        { sort: { position: order, _id: order }, limit: 1, select: 'position' }
+      );
+
+      return neighbor || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the highest position in a user's board column
+   * @param {string} userId - Owner user ID
+   * @param {string} status - Column status
+   * @param {string} excludeId - Task to leave out (e.g. the one being moved)
+   * @returns {Promise<number|null>} - null for an empty column
+   */
+  async getLastPosition(userId, status, excludeId = null) {
+    try {
+      const [last] = await this.find(
+        {
+          user: userId,
+          status,
+          isDeleted: false,
+          ...(excludeId && { _id: { $ne: excludeId } }),
+        },
+        { sort: { position: -1, _id: -1 }, limit: 1, select: 'position' }
+      );
+
+      return last ? last.position : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Renumber a board column with evenly spaced positions, keeping its order
+   * @param {string} userId - Owner user ID
+   * @param {string} status - Column status
+   * @param {number} gap - Space between consecutive positions
+   * @returns {Promise<Object>}
+   */
+  async rebalanceColumn(userId, status, gap) {
+    try {
+      const tasks = await this.find(
+        { user: userId, status, isDeleted: false },
+        { sort: { position: 1, _id: 1 }, select: '_id' }
+      );
+
+      if (tasks.length === 0) {
+        return null;
+      }
+
+      return await this.model.bulkWrite(tasks.map((task, index) => ({
+        updateOne: {
+          filter: { _id: task._id },
+          // bulkWrite skips the versioning middleware, so the version is bumped here
+          update: { $set: { position: (index + 1) * gap }, $inc: { __v: 1 } },
+        },
+      })));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find trashed tasks of a user with pagination, most recently deleted first
+   * @param {string} userId - Owner user ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async findTrashByUser(userId, paginationOptions = {}) {
+    try {
+      return await this.findWithPagination(
+        { user: userId, isDeleted: true },
+        {
+          ...paginationOptions,
+          sort: { deletedAt: -1 },
+          select: '+deletedAt',
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a trashed task by ID and owner
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Task|null>}
+   */
+  async findTrashedByIdAndUser(taskId, userId) {
+    try {
+      return await this.findOne(
+        { _id: taskId, user: userId, isDeleted: true },
+        { select: '+deletedAt' }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Take a task out of the trash
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Task|null>}
+   */
+  async restore(taskId) {
+    try {
+      return await this.updateOne(
+        { _id: taskId, isDeleted: true },
+        { isDeleted: false, deletedAt: null }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find subtasks that were trashed together with their parent
+   * @param {string} parentId - Parent task ID
+   * @param {Date} deletedAt - Deletion time of the parent
+   * @returns {Promise<Task[]>}
+   */
+  async findSubtasksDeletedAt(parentId, deletedAt) {
+    try {
+      return await this.find({ parent: parentId, isDeleted: true, deletedAt });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Take subtasks out of the trash
+   * @param {ObjectId[]} subtaskIds - Subtask IDs
+   * @returns {Promise<Object>}
+   */
+  async restoreSubtasks(subtaskIds) {
+    try {
+      return await this.updateMany(
+        { _id: { $in: subtaskIds }, isDeleted: true },
+        { isDeleted: false, deletedAt: null }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find IDs of trashed tasks deleted before a cutoff
+   * Tasks trashed before deletedAt was recorded fall back to updatedAt
+   * @param {Date} cutoff - Deletion time limit
+   * @param {number} limit - Maximum number of tasks
+   * @returns {Promise<ObjectId[]>}
+   */
+  async findExpiredTrashIds(cutoff, limit) {
+    try {
+      const tasks = await this.find(
+        {
+          isDeleted: true,
+          $or: [
+            { deletedAt: { $lte: cutoff } },
+            { deletedAt: null, updatedAt: { $lte: cutoff } },
+          ],
+        },
+        { select: '_id', limit }
+      );
+
+      return tasks.map((task) => task._id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find IDs of all subtasks of some tasks, trashed or not
+   * @param {ObjectId[]} parentIds - Parent task IDs
+   * @returns {Promise<ObjectId[]>}
+   */
+  async findSubtaskIds(parentIds) {
+    try {
+      const subtasks = await this.find({ parent: { $in: parentIds } }, { select: '_id' });
+
+      return subtasks.map((task) => task._id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove tasks from the blockedBy lists of other tasks
+   * @param {ObjectId[]} blockerIds - Blocker task IDs
+   * @returns {Promise<Object>}
+   */
+  async removeBlockers(blockerIds) {
+    try {
+      return await this.model.updateMany(
+        { blockedBy: { $in: blockerIds } },
+        { $pull: { blockedBy: { $in: blockerIds } } }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a custom field value from tasks
+   * @param {string} key - Custom field key
+   * @param {string|null} projectId - Limit to tasks of a project (null for all tasks)
+   * @returns {Promise<Object>}
+   */
+  async unsetCustomField(key, projectId = null) {
+    try {
+      const criteria = { [`customFields.${key}`]: { $exists: true } };
+
+      if (projectId) {
+        criteria.project = projectId;
+      }
+
+      return await this.model.updateMany(criteria, { $unset: { [`customFields.${key}`]: '' } });
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+const TaskTemplate = require('../models/TaskTemplate');
+
+/**
+ * Task Template Repository
+ * Handles all database operations for TaskTemplate model
+ * Extends BaseRepository for common CRUD operations
+ */
+class TaskTemplateRepository extends BaseRepository {
+  constructor() {
+    super(TaskTemplate);
+  }
+
+  /**
+   * Find all templates of a user, by name
+   * @param {string} userId - User ID
+   * @returns {Promise<TaskTemplate[]>}
+   */
+  async findByUser(userId) {
+    try {
+      return await this.find({ user: userId }, { sort: { name: 1 } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find template by ID and user (for authorization)
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @returns {Promise<TaskTemplate|null>}
+   */
+  async findByIdAndUser(templateId, userId) {
+    try {
+      return await this.findOne({ _id: templateId, user: userId });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskTemplateRepository;
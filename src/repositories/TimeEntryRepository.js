@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const TimeEntry = require('../models/TimeEntry');
+
+/**
+ * Time Entry Repository
+ * Handles all database operations for TimeEntry model
+ * Extends BaseRepository for common CRUD operations
+ */
+class TimeEntryRepository extends BaseRepository {
+  constructor() {
+    super(TimeEntry);
+  }
+
+  /**
+   * Find the running timer of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<TimeEntry|null>}
+   */
+  async findRunningByUser(userId) {
+    try {
+      return await this.findOne(
+        { user: userId, isRunning: true },
+        { populate: { path: 'task', select: 'title status' } }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Stop running timers, recording the elapsed minutes
+   * @param {Object} criteria - Which running timers to stop (e.g. { task } or { user })
+   * @returns {Promise<Object>}
+   */
+  async stopRunning(criteria) {
+    try {
+      // Pipeline update so the duration is computed from each entry's own start
+      return await this.model.updateMany(
+        { ...criteria, isRunning: true },
+        [{
+          $set: {
+            isRunning: false,
+            endedAt: '$$NOW',
+            minutes: {
+              $round: [{ $divide: [{ $subtract: ['$$NOW', '$startedAt'] }, 60000] }, 2],
+            },
+          },
+        }]
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find time entries of a task, newest first
+   * @param {string} taskId - Task ID
+   * @returns {Promise<TimeEntry[]>}
+   */
+  async findByTask(taskId) {
+    try {
+      return await this.find(
+        { task: taskId },
+        {
+          sort: { startedAt: -1 },
+          populate: { path: 'user', select: 'name email' },
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find time entry by ID and user
+   * @param {string} entryId - Time entry ID
+   * @param {string} userId - User ID
+   * @returns {Promise<TimeEntry|null>}
+   */
+  async findByIdAndUser(entryId, userId) {
+    try {
+      return await this.findOne({ _id: entryId, user: userId });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find finished time entries of a user in a date range,
+   * optionally limited to tasks of a project or with a tag
+   * @param {string} userId - User ID
+   * @param {Object} filters - { from, to, project, tag }
+   * @returns {Promise<Object[]>} - Entries with their task's title, project and tags
+   */
+  async findForReport(userId, filters) {
+    try {
+      const taskMatch = {};
+
+      if (filters.project) {
+        taskMatch['task.project'] = new mongoose.Types.ObjectId(filters.project);
+      }
+
+      if (filters.tag) {
+        taskMatch['task.tags'] = filters.tag;
+      }
+
+      return await this.model.aggregate([
+        {
+          $match: {
+            user: new mongoose.Types.ObjectId(userId),
+            isRunning: false,
+            startedAt: { $gte: filters.from, $lt: filters.to },
+          },
+        },
+        { $sort: { startedAt: -1 } },
+        {
+          $lookup: {
+            from: 'tasks',
+            localField: 'task',
+            foreignField: '_id',
+            as: 'task',
+            pipeline: [{ $project: { title: 1, project: 1, tags: 1 } }],
+          },
+        },
+        { $unwind: '$task' },
+        { $match: taskMatch },
+        { $project: { __v: 0 } },
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TimeEntryRepository;
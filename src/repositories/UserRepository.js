@@ -1,5 +1,6 @@
 const BaseRepository = require('./BaseRepository');
 const User = require('../models/User');
+const { versionCriteria } = require('../utils/etag');
 
 /**
  * User Repository
@@ -57,6 +58,35 @@ class UserRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find active users by IDs
+   * @param {string[]} userIds - User IDs
+   * @returns {Promise<User[]>}
+   */
+  async findActiveByIds(userIds) {
+    try {
+      return await this.find({ _id: { $in: userIds }, isActive: true });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find active users by emails
+   * @param {string[]} emails - User emails
+   * @returns {Promise<User[]>}
+   */
+  async findActiveByEmails(emails) {
+    try {
+      return await this.find({
+        email: { $in: emails.map((email) => email.toLowerCase()) },
+        isActive: true,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Update user's last login timestamp
    * @param {string} userId - User ID
@@ -84,14 +114,45 @@ class UserRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Set or clear the hash of a user's calendar feed token
+   * @param {string} userId - User ID
+   * @param {string|null} tokenHash - Token hash (null disables the feed)
+   * @returns {Promise<User|null>}
+   */
+  async updateCalendarToken(userId, tokenHash) {
+    try {
+      return await this.updateById(userId, { calendarTokenHash: tokenHash });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active user owning a calendar feed token
+   * @param {string} tokenHash - Token hash
+   * @returns {Promise<User|null>}
+   */
+  async findByCalendarToken(tokenHash) {
+    try {
+      return await this.findOne({ calendarTokenHash: tokenHash, isActive: true });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Deactivate user account
    * @param {string} userId - User ID
+   * @param {number[]|null} ifMatch - Versions accepted by If-Match (null for any)
    * @returns {Promise<User|null>}
    */
-  async deactivateUser(userId) {
+  async deactivateUser(userId, ifMatch = null) {
     try {
-      return await this.updateById(userId, { isActive: false });
+      return await this.updateOne(
+        { _id: userId, ...versionCriteria(ifMatch) },
+        { isActive: false }
+      );
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { validateParams, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  calendarFeedParamSchema,
+  calendarFeedQuerySchema,
+} = require('../validators/calendarValidator');
+
+/**
+ * Calendar Routes
+ * Calendar apps cannot send a Bearer token, so the feed is authorized
+ * by the secret token in its URL instead of authenticate
+ */
+
+router.get(
+  '/:token.ics',
+  validateParams(calendarFeedParamSchema),
+  validateQuery(calendarFeedQuerySchema),
+  calendarController.getFeed
+);
+
+module.exports = router;
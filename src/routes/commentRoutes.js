@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { validateQuery } = require('../middlewares/validationMiddleware');
+const { commentQuerySchema } = require('../validators/commentValidator');
+
+/**
+ * Comment Routes
+ * Task-scoped comment routes live under /tasks/:id/comments
+ */
+
+router.get(
+  '/mentions',
+  authenticate,
+  validateQuery(commentQuerySchema),
+  commentController.getMentions
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const customFieldController = require('../controllers/customFieldController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const {
+  validateBody,
+  validateParams,
+  validateQuery,
+} = require('../middlewares/validationMiddleware');
+const {
+  createCustomFieldSchema,
+  updateCustomFieldSchema,
+  customFieldQuerySchema,
+  customFieldIdParamSchema,
+} = require('../validators/customFieldValidator');
+
+/**
+ * Custom Field Routes
+ */
+
+router.post(
+  '/',
+  authenticate,
+  validateBody(createCustomFieldSchema),
+  customFieldController.createField
+);
+
+router.get(
+  '/',
+  authenticate,
+  validateQuery(customFieldQuerySchema),
+  customFieldController.getFields
+);
+
+router.put(
+  '/:id',
+  authenticate,
+  validateParams(customFieldIdParamSchema),
+  validateBody(updateCustomFieldSchema),
+  customFieldController.updateField
+);
+
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(customFieldIdParamSchema),
+  customFieldController.deleteField
+);
+
+module.exports = router;
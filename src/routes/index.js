@@ -5,6 +5,14 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const taskRoutes = require('./taskRoutes');
+const projectRoutes = require('./projectRoutes');
+const commentRoutes = require('./commentRoutes');
+const timeEntryRoutes = require('./timeEntryRoutes');
+const customFieldRoutes = require('./customFieldRoutes');
+const savedViewRoutes = require('./savedViewRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const taskTemplateRoutes = require('./taskTemplateRoutes');
+const notificationRoutes = require('./notificationRoutes');
 
 /**
  * API Routes Aggregator
@@ -25,5 +33,13 @@ router.get('/health', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/tasks', taskRoutes);
+router.use('/projects', projectRoutes);
+router.use('/comments', commentRoutes);
+router.use('/time-entries', timeEntryRoutes);
+router.use('/custom-fields', customFieldRoutes);
+router.use('/views', savedViewRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/templates', taskTemplateRoutes);
+router.use('/notifications', notificationRoutes);
 
 module.exports = router;
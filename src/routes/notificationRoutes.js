@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { validateParams, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  notificationQuerySchema,
+  notificationIdParamSchema,
+} = require('../validators/notificationValidator');
+
+/**
+ * Notification Routes
+ */
+
+router.get(
+  '/',
+  authenticate,
+  validateQuery(notificationQuerySchema),
+  notificationController.getNotifications
+);
+
+router.get(
+  '/unread-count',
+  authenticate,
+  notificationController.getUnreadCounts
+);
+
+router.post(
+  '/read-all',
+  authenticate,
+  notificationController.markAllRead
+);
+
+router.post(
+  '/:id/read',
+  authenticate,
+  validateParams(notificationIdParamSchema),
+  notificationController.markRead
+);
+
+router.post(
+  '/:id/unread',
+  authenticate,
+  validateParams(notificationIdParamSchema),
+  notificationController.markUnread
+);
+
+module.exports = router;
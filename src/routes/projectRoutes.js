@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const projectController = require('../controllers/projectController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const {
+  validateBody,
+  validateParams,
+  validateQuery,
+} = require('../middlewares/validationMiddleware');
+const {
+  createProjectSchema,
+  updateProjectSchema,
+  projectQuerySchema,
+  projectIdParamSchema,
+} = require('../validators/projectValidator');
+
+/**
+ * Project Routes
+ */
+
+// CRUD routes
+router.post(
+  '/',
+  authenticate,
+  validateBody(createProjectSchema),
+  projectController.createProject
+);
+
+router.get(
+  '/',
+  authenticate,
+  validateQuery(projectQuerySchema),
+  projectController.getProjects
+);
+
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  projectController.getProjectById
+);
+
+router.put(
+  '/:id',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  validateBody(updateProjectSchema),
+  projectController.updateProject
+);
+
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  projectController.deleteProject
+);
+
+// Archive routes
+router.post(
+  '/:id/archive',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  projectController.archiveProject
+);
+
+router.post(
+  '/:id/unarchive',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  projectController.unarchiveProject
+);
+
+// Statistics
+router.get(
+  '/:id/statistics',
+  authenticate,
+  validateParams(projectIdParamSchema),
+  projectController.getProjectStatistics
+);
+
+module.exports = router;
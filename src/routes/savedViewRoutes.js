@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const savedViewController = require('../controllers/savedViewController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const {
+  validateBody,
+  validateParams,
+  validateQuery,
+} = require('../middlewares/validationMiddleware');
+const {
+  createViewSchema,
+  updateViewSchema,
+  viewTasksQuerySchema,
+  viewIdParamSchema,
+} = require('../validators/savedViewValidator');
+
+/**
+ * Saved View Routes
+ */
+
+// CRUD routes
+router.post(
+  '/',
+  authenticate,
+  validateBody(createViewSchema),
+  savedViewController.createView
+);
+
+router.get(
+  '/',
+  authenticate,
+  savedViewController.getViews
+);
+
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(viewIdParamSchema),
+  savedViewController.getViewById
+);
+
+router.put(
+  '/:id',
+  authenticate,
+  validateParams(viewIdParamSchema),
+  validateBody(updateViewSchema),
+  savedViewController.updateView
+);
+
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(viewIdParamSchema),
+  savedViewController.deleteView
+);
+
+// Run a view
+router.get(
+  '/:id/tasks',
+  authenticate,
+  validateParams(viewIdParamSchema),
+  validateQuery(viewTasksQuerySchema),
+  savedViewController.getViewTasks
+);
+
+module.exports = router;
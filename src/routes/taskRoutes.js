@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/taskController');
+const taskTransferController = require('../controllers/taskTransferController');
+const commentController = require('../controllers/commentController');
+const attachmentController = require('../controllers/attachmentController');
+const timeEntryController = require('../controllers/timeEntryController');
+const trashController = require('../controllers/trashController');
 const { authenticate } = require('../middlewares/authMiddleware');
+const { ifMatch } = require('../middlewares/conditionalMiddleware');
+const { uploadSingle } = require('../middlewares/uploadMiddleware');
 const {
   validateBody,
   validateParams,
@@ -11,8 +18,33 @@ const {
   createTaskSchema,
   updateTaskSchema,
   taskQuerySchema,
+  trashQuerySchema,
+  watchingQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
   taskIdParamSchema,
+  dependencySchema,
+  dependencyParamSchema,
+  checklistItemSchema,
+  checklistOrderSchema,
+  checklistItemParamSchema,
+  attachmentParamSchema,
+  historyQuerySchema,
+  moveTaskSchema,
+  bulkTaskSchema,
 } = require('../validators/taskValidator');
+const {
+  createCommentSchema,
+  updateCommentSchema,
+  commentQuerySchema,
+  commentParamSchema,
+} = require('../validators/commentValidator');
+const {
+  startTimerSchema,
+  manualEntrySchema,
+  timeEntryParamSchema,
+} = require('../validators/timeEntryValidator');
+const { TASK_TRANSFER } = require('../config/constants');
 
 /**
  * Task Routes
@@ -37,6 +69,27 @@ router.get(
   taskController.getUpcomingTasks
 );
 
+router.get(
+  '/trash',
+  authenticate,
+  validateQuery(trashQuerySchema),
+  trashController.getTrash
+);
+
+router.get(
+  '/watching',
+  authenticate,
+  validateQuery(watchingQuerySchema),
+  taskController.getWatchedTasks
+);
+
+router.get(
+  '/export',
+  authenticate,
+  validateQuery(exportQuerySchema),
+  taskTransferController.exportTasks
+);
+
 // CRUD routes
 router.post(
   '/',
@@ -45,6 +98,22 @@ router.post(
   taskController.createTask
 );
 
+router.post(
+  '/bulk',
+  authenticate,
+  validateBody(bulkTaskSchema),
+  taskController.bulkTasks
+);
+
+// CSV arrives as text; JSON is parsed by the app-wide parser
+router.post(
+  '/import',
+  authenticate,
+  express.text({ type: 'text/csv', limit: TASK_TRANSFER.MAX_IMPORT_SIZE }),
+  validateQuery(importQuerySchema),
+  taskTransferController.importTasks
+);
+
 router.get(
   '/',
   authenticate,
@@ -62,16 +131,254 @@ router.get(
 router.put(
   '/:id',
   authenticate,
+  ifMatch,
   validateParams(taskIdParamSchema),
   validateBody(updateTaskSchema),
   taskController.updateTask
 );
 
+// Body is a merge patch or JSON Patch, validated once applied to the task
+router.patch(
+  '/:id',
+  authenticate,
+  ifMatch,
+  validateParams(taskIdParamSchema),
+  taskController.patchTask
+);
+
 router.delete(
   '/:id',
   authenticate,
+  ifMatch,
   validateParams(taskIdParamSchema),
   taskController.deleteTask
 );
 
+// Trash routes
+router.post(
+  '/:id/restore',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  trashController.restoreTask
+);
+
+router.delete(
+  '/:id/permanent',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  trashController.purgeTask
+);
+
+// Subtask routes
+router.post(
+  '/:id/subtasks',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(createTaskSchema),
+  taskController.createSubtask
+);
+
+router.get(
+  '/:id/subtasks',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  taskController.getSubtasks
+);
+
+// Dependency routes
+router.get(
+  '/:id/dependencies',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  taskController.getDependencyGraph
+);
+
+router.post(
+  '/:id/dependencies',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(dependencySchema),
+  taskController.addDependency
+);
+
+router.delete(
+  '/:id/dependencies/:blockerId',
+  authenticate,
+  validateParams(dependencyParamSchema),
+  taskController.removeDependency
+);
+
+// Watcher routes
+router.post(
+  '/:id/watch',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  taskController.watchTask
+);
+
+router.post(
+  '/:id/unwatch',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  taskController.unwatchTask
+);
+
+// Checklist routes
+router.post(
+  '/:id/checklist',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(checklistItemSchema),
+  taskController.addChecklistItem
+);
+
+// Must come before /:id/checklist/:itemId
+router.put(
+  '/:id/checklist/order',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(checklistOrderSchema),
+  taskController.reorderChecklist
+);
+
+router.put(
+  '/:id/checklist/:itemId',
+  authenticate,
+  validateParams(checklistItemParamSchema),
+  validateBody(checklistItemSchema),
+  taskController.renameChecklistItem
+);
+
+router.post(
+  '/:id/checklist/:itemId/check',
+  authenticate,
+  validateParams(checklistItemParamSchema),
+  taskController.checkChecklistItem
+);
+
+router.post(
+  '/:id/checklist/:itemId/uncheck',
+  authenticate,
+  validateParams(checklistItemParamSchema),
+  taskController.uncheckChecklistItem
+);
+
+router.delete(
+  '/:id/checklist/:itemId',
+  authenticate,
+  validateParams(checklistItemParamSchema),
+  taskController.removeChecklistItem
+);
+
+// Board routes
+router.patch(
+  '/:id/move',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(moveTaskSchema),
+  taskController.moveTask
+);
+
+// History routes
+router.get(
+  '/:id/history',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateQuery(historyQuerySchema),
+  taskController.getTaskHistory
+);
+
+// Comment routes
+router.get(
+  '/:id/comments',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateQuery(commentQuerySchema),
+  commentController.getTaskComments
+);
+
+router.post(
+  '/:id/comments',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(createCommentSchema),
+  commentController.createComment
+);
+
+router.put(
+  '/:id/comments/:commentId',
+  authenticate,
+  validateParams(commentParamSchema),
+  validateBody(updateCommentSchema),
+  commentController.updateComment
+);
+
+router.delete(
+  '/:id/comments/:commentId',
+  authenticate,
+  validateParams(commentParamSchema),
+  commentController.deleteComment
+);
+
+// Attachment routes
+router.post(
+  '/:id/attachments',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  uploadSingle('file'),
+  attachmentController.uploadAttachment
+);
+
+router.get(
+  '/:id/attachments/:attachmentId',
+  authenticate,
+  validateParams(attachmentParamSchema),
+  attachmentController.downloadAttachment
+);
+
+router.delete(
+  '/:id/attachments/:attachmentId',
+  authenticate,
+  validateParams(attachmentParamSchema),
+  attachmentController.deleteAttachment
+);
+
+// Time tracking routes
+router.post(
+  '/:id/timer/start',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(startTimerSchema),
+  timeEntryController.startTimer
+);
+
+router.post(
+  '/:id/timer/stop',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  timeEntryController.stopTimer
+);
+
+router.get(
+  '/:id/time-entries',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  timeEntryController.getTaskTimeEntries
+);
+
+router.post(
+  '/:id/time-entries',
+  authenticate,
+  validateParams(taskIdParamSchema),
+  validateBody(manualEntrySchema),
+  timeEntryController.addManualEntry
+);
+
+router.delete(
+  '/:id/time-entries/:entryId',
+  authenticate,
+  validateParams(timeEntryParamSchema),
+  timeEntryController.deleteTimeEntry
+);
+
 module.exports = router;
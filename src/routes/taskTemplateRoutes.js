@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const taskTemplateController = require('../controllers/taskTemplateController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { validateBody, validateParams } = require('../middlewares/validationMiddleware');
+const {
+  createTemplateSchema,
+  updateTemplateSchema,
+  instantiateTemplateSchema,
+  templateIdParamSchema,
+} = require('../validators/taskTemplateValidator');
+
+/**
+ * Task Template Routes
+ */
+
+// CRUD routes
+router.post(
+  '/',
+  authenticate,
+  validateBody(createTemplateSchema),
+  taskTemplateController.createTemplate
+);
+
+router.get(
+  '/',
+  authenticate,
+  taskTemplateController.getTemplates
+);
+
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(templateIdParamSchema),
+  taskTemplateController.getTemplateById
+);
+
+router.put(
+  '/:id',
+  authenticate,
+  validateParams(templateIdParamSchema),
+  validateBody(updateTemplateSchema),
+  taskTemplateController.updateTemplate
+);
+
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(templateIdParamSchema),
+  taskTemplateController.deleteTemplate
+);
+
+// Create tasks from a template
+router.post(
+  '/:id/instantiate',
+  authenticate,
+  validateParams(templateIdParamSchema),
+  validateBody(instantiateTemplateSchema),
+  taskTemplateController.instantiateTemplate
+);
+
+module.exports = router;
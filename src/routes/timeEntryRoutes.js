@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const timeEntryController = require('../controllers/timeEntryController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { validateQuery } = require('../middlewares/validationMiddleware');
+const { timeReportQuerySchema } = require('../validators/timeEntryValidator');
+
+/**
+ * Time Entry Routes
+ * Task-scoped timer and entry routes live under /tasks/:id
+ */
+
+router.get(
+  '/',
+  authenticate,
+  validateQuery(timeReportQuerySchema),
+  timeEntryController.getTimeReport
+);
+
+router.get(
+  '/running',
+  authenticate,
+  timeEntryController.getRunningTimer
+);
+
+module.exports = router;
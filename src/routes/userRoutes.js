@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const calendarController = require('../controllers/calendarController');
 const { authenticate } = require('../middlewares/authMiddleware');
 const { isAdmin } = require('../middlewares/roleMiddleware');
-const { validateBody } = require('../middlewares/validationMiddleware');
+const { ifMatch } = require('../middlewares/conditionalMiddleware');
+const { validateBody, validateQuery } = require('../middlewares/validationMiddleware');
 const {
   updateProfileSchema,
   changePasswordSchema,
+  userQuerySchema,
 } = require('../validators/userValidator');
 
 /**
@@ -19,6 +22,7 @@ router.get('/profile', authenticate, userController.getProfile);
 router.put(
   '/profile',
   authenticate,
+  ifMatch,
   validateBody(updateProfileSchema),
   userController.updateProfile
 );
@@ -30,10 +34,21 @@ router.put(
   userController.changePassword
 );
 
-router.delete('/account', authenticate, userController.deactivateAccount);
+router.delete('/account', authenticate, ifMatch, userController.deactivateAccount);
+
+// Calendar feed token (the feed itself is served by calendarRoutes)
+router.post('/calendar-token', authenticate, calendarController.regenerateToken);
+
+router.delete('/calendar-token', authenticate, calendarController.revokeToken);
 
 // Admin routes
-router.get('/', authenticate, isAdmin, userController.getAllUsers);
+router.get(
+  '/',
+  authenticate,
+  isAdmin,
+  validateQuery(userQuerySchema),
+  userController.getAllUsers
+);
 
 router.get(
   '/statistics',
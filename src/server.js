@@ -1,6 +1,8 @@
 const app = require('./app');
 const database = require('./config/database');
 const logger = require('./config/logger');
+const trashSweeper = require('./jobs/trashSweeper');
+const dueDateReminder = require('./jobs/dueDateReminder');
 
 /**
  * Server Entry Point
@@ -18,6 +20,12 @@ const startServer = async () => {
     await database.connect();
     logger.info('Database connection established');
 
+    // Purge tasks that outlived their trash retention
+    trashSweeper.start();
+
+    // Remind watchers of due and overdue tasks
+    dueDateReminder.start();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
@@ -27,6 +35,9 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
+
+      trashSweeper.stop();
+      dueDateReminder.stop();
       
       server.close(async () => {
         logger.info('HTTP server closed');
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, ATTACHMENTS } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Attachment Service
+ * Handles all attachment-related business logic
+ * Implements Dependency Injection pattern
+ */
+class AttachmentService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {AttachmentRepository} attachmentRepository - Injected attachment repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {StorageDriver} storage - Injected storage driver
+   */
+  constructor(attachmentRepository, taskRepository, storage) {
+    this.attachmentRepository = attachmentRepository;
+    this.taskRepository = taskRepository;
+    this.storage = storage;
+  }
+
+  /**
+   * Upload a file to a task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Uploader user ID
+   * @param {Object} file - Parsed upload ({ originalname, mimetype, size, buffer })
+   * @returns {Promise<Object>}
+   */
+  async uploadAttachment(taskId, userId, file) {
+    try {
+      if (!file) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'A file is required');
+      }
+
+      await this.getAccessibleTask(taskId, userId);
+
+      if (!ATTACHMENTS.ALLOWED_CONTENT_TYPES.includes(file.mimetype)) {
+        throw new ApiError(
+          415,
+          ERROR_MESSAGES.UNSUPPORTED_MEDIA_TYPE,
+          `Files of type ${file.mimetype} are not allowed`
+        );
+      }
+
+      const usage = await this.attachmentRepository.getUsageByUser(userId);
+
+      if (usage + file.size > ATTACHMENTS.USER_QUOTA) {
+        throw new ApiError(
+          413,
+          ERROR_MESSAGES.PAYLOAD_TOO_LARGE,
+          `Attachment quota of ${ATTACHMENTS.USER_QUOTA} bytes exceeded`
+        );
+      }
+
+      const storageKey = `${taskId}/${crypto.randomUUID()}`;
+      await this.storage.save(storageKey, file.buffer);
+
+      let attachment;
+      try {
+        attachment = await this.attachmentRepository.create({
+          task: taskId,
+          uploadedBy: userId,
+          filename: file.originalname,
+          contentType: file.mimetype,
+          size: file.size,
+          storageKey,
+        });
+      } catch (error) {
+        // Do not leave orphaned files behind
+        await this.storage.remove(storageKey);
+        throw error;
+      }
+
+      logger.info(`Attachment uploaded: ${attachment._id} to task: ${taskId} by user: ${userId}`);
+
+      return {
+        attachment,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error uploading attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open an attachment for download
+   * @param {string} taskId - Task ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - { attachment, stream }
+   */
+  async getAttachmentFile(taskId, attachmentId, userId) {
+    try {
+      await this.getAccessibleTask(taskId, userId);
+      const attachment = await this.getAttachment(taskId, attachmentId);
+
+      const stream = await this.storage.createReadStream(attachment.storageKey);
+
+      return { attachment, stream };
+    } catch (error) {
+      logger.error('Error downloading attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment (uploader or task owner)
+   * @param {string} taskId - Task ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>}
+   */
+  async deleteAttachment(taskId, attachmentId, userId) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+      const attachment = await this.getAttachment(taskId, attachmentId);
+
+      const isUploader = attachment.uploadedBy.toString() === userId.toString();
+      const isTaskOwner = task.user.toString() === userId.toString();
+
+      if (!isUploader && !isTaskOwner) {
+        throw new ApiError(403, ERROR_MESSAGES.FORBIDDEN, 'You can only delete your own attachments');
+      }
+
+      await this.attachmentRepository.deleteById(attachmentId);
+      await this.storage.remove(attachment.storageKey);
+
+      logger.info(`Attachment deleted: ${attachmentId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a task the user owns or is assigned to
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Task>}
+   */
+  async getAccessibleTask(taskId, userId) {
+    const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+    if (!task) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+    }
+
+    return task;
+  }
+
+  /**
+   * Find an attachment of a task
+   * @param {string} taskId - Task ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Attachment>}
+   */
+  async getAttachment(taskId, attachmentId) {
+    const attachment = await this.attachmentRepository.findByIdAndTask(attachmentId, taskId);
+
+    if (!attachment) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Attachment not found');
+    }
+
+    return attachment;
+  }
+}
+
+module.exports = AttachmentService;
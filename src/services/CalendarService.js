@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const {
+  ERROR_MESSAGES,
+  TASK_STATUS,
+  TASK_PRIORITY,
+  CALENDAR,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  buildCalendar,
+} = require('../utils/ical');
+
+// iCalendar PRIORITY: 1 is highest, 9 lowest
+const ICAL_PRIORITIES = {
+  [TASK_PRIORITY.URGENT]: 1,
+  [TASK_PRIORITY.HIGH]: 3,
+  [TASK_PRIORITY.MEDIUM]: 5,
+  [TASK_PRIORITY.LOW]: 9,
+};
+
+const TODO_STATUSES = {
+  [TASK_STATUS.PENDING]: 'NEEDS-ACTION',
+  [TASK_STATUS.IN_PROGRESS]: 'IN-PROCESS',
+  [TASK_STATUS.COMPLETED]: 'COMPLETED',
+  [TASK_STATUS.CANCELLED]: 'CANCELLED',
+};
+
+/**
+ * Hash a calendar token; only hashes are stored
+ * @param {string} token - Calendar token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Convert a task to a VEVENT or VTODO
+ * The UID never changes and SEQUENCE follows the task version, so
+ * calendar apps update the entry in place when the task is edited.
+ * Due dates at midnight UTC become all-day entries.
+ * @param {Task} task - Task with a due date
+ * @param {string} type - One of CALENDAR.COMPONENTS
+ * @returns {Array} - [component type, properties]
+ */
+const toComponent = (task, type) => {
+  const due = task.dueDate;
+  const allDay = due.getUTCHours() === 0
+    && due.getUTCMinutes() === 0
+    && due.getUTCSeconds() === 0
+    && due.getUTCMilliseconds() === 0;
+  const [dateParameter, dateValue] = allDay
+    ? [';VALUE=DATE', formatDate(due)]
+    : ['', formatDateTime(due)];
+
+  const properties = [
+    ['UID', `task-${task._id}@${CALENDAR.UID_DOMAIN}`],
+    ['DTSTAMP', formatDateTime(task.updatedAt)],
+    ['LAST-MODIFIED', formatDateTime(task.updatedAt)],
+    ['SEQUENCE', task.__v],
+    ['SUMMARY', escapeText(task.title)],
+    ['DESCRIPTION', escapeText(task.description)],
+    ['CATEGORIES', task.tags.map(escapeText).join(',')],
+    ['PRIORITY', ICAL_PRIORITIES[task.priority]],
+  ];
+
+  if (type === CALENDAR.COMPONENTS.TODO) {
+    return ['VTODO', [
+      ...properties,
+      [`DUE${dateParameter}`, dateValue],
+      ['STATUS', TODO_STATUSES[task.status]],
+      ['COMPLETED', task.completedAt && formatDateTime(task.completedAt)],
+    ]];
+  }
+
+  return ['VEVENT', [
+    ...properties,
+    [`DTSTART${dateParameter}`, dateValue],
+    ['STATUS', task.status === TASK_STATUS.CANCELLED ? 'CANCELLED' : 'CONFIRMED'],
+  ]];
+};
+
+/**
+ * Calendar Service
+ * Publishes task due dates as an iCalendar feed behind a secret token
+ * Implements Dependency Injection pattern
+ */
+class CalendarService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {UserRepository} userRepository - Injected user repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {TaskFilterService} taskFilterService - Injected task filter service
+   */
+  constructor(userRepository, taskRepository, taskFilterService) {
+    this.userRepository = userRepository;
+    this.taskRepository = taskRepository;
+    this.taskFilterService = taskFilterService;
+  }
+
+  /**
+   * Create a new feed token, replacing (and so revoking) the previous one
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - The token is only ever returned here
+   */
+  async regenerateToken(userId) {
+    try {
+      const token = crypto.randomBytes(CALENDAR.TOKEN_BYTES).toString('base64url');
+      const user = await this.userRepository.updateCalendarToken(userId, hashToken(token));
+
+      if (!user) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'User not found');
+      }
+
+      logger.info(`Calendar token regenerated for user: ${userId}`);
+
+      return {
+        token,
+        message: 'Calendar token generated; links with the previous token no longer work',
+      };
+    } catch (error) {
+      logger.error('Error regenerating calendar token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable the feed until a new token is generated
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async revokeToken(userId) {
+    try {
+      const user = await this.userRepository.updateCalendarToken(userId, null);
+
+      if (!user) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'User not found');
+      }
+
+      logger.info(`Calendar token revoked for user: ${userId}`);
+
+      return {
+        message: 'Calendar feed disabled',
+      };
+    } catch (error) {
+      logger.error('Error revoking calendar token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the feed of the tasks with a due date that the token's user
+   * owns or is assigned to
+   * @param {string} token - Calendar token
+   * @param {Object} options - { type, status, tags, tagMatch, project }
+   * @returns {Promise<string>} - iCalendar text
+   */
+  async getFeed(token, { type = CALENDAR.COMPONENTS.EVENT, ...filters } = {}) {
+    try {
+      const user = await this.userRepository.findByCalendarToken(hashToken(token));
+
+      if (!user) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Calendar feed not found');
+      }
+
+      const criteria = await this.taskFilterService.buildFilterCriteria(user._id, filters);
+      const tasks = await this.taskRepository.findForCalendar(
+        user._id,
+        criteria,
+        CALENDAR.MAX_ITEMS
+      );
+
+      return buildCalendar(
+        [
+          ['PRODID', CALENDAR.PRODUCT_ID],
+          ['CALSCALE', 'GREGORIAN'],
+          ['METHOD', 'PUBLISH'],
+          ['X-WR-CALNAME', escapeText(`${user.name}: tasks`)],
+          ['REFRESH-INTERVAL;VALUE=DURATION', 'PT1H'],
+          ['X-PUBLISHED-TTL', 'PT1H'],
+        ],
+        tasks.map((task) => toComponent(task, type))
+      );
+    } catch (error) {
+      logger.error('Error building calendar feed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,312 @@
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PAGINATION,
+  TASK_EVENTS,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { extractMentions } = require('../utils/mentions');
+const taskEvents = require('../events/taskEvents');
+
+/**
+ * Comment Service
+ * Handles all comment-related business logic
+ * Implements Dependency Injection pattern
+ */
+class CommentService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {CommentRepository} commentRepository - Injected comment repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {UserRepository} userRepository - Injected user repository
+   */
+  constructor(commentRepository, taskRepository, userRepository) {
+    this.commentRepository = commentRepository;
+    this.taskRepository = taskRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Add a comment (or a reply) to a task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Author user ID
+   * @param {Object} commentData - { body, parent }
+   * @returns {Promise<Object>}
+   */
+  async createComment(taskId, userId, commentData) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+
+      if (commentData.parent) {
+        const parent = await this.commentRepository.findByIdAndTask(commentData.parent, taskId);
+
+        if (!parent) {
+          throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Parent comment not found');
+        }
+
+        // Only one level of threading
+        if (parent.parent) {
+          throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'Cannot reply to a reply');
+        }
+      }
+
+      const comment = await this.commentRepository.create({
+        task: taskId,
+        author: userId,
+        body: commentData.body,
+        parent: commentData.parent || null,
+        mentions: await this.resolveMentions(commentData.body, task),
+      });
+
+      // Commenters follow the conversation
+      await this.taskRepository.addWatcher(taskId, userId);
+
+      this.publishMentions(comment, task, userId, comment.mentions);
+
+      logger.info(`Comment created: ${comment._id} on task: ${taskId} by user: ${userId}`);
+
+      return {
+        comment,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get comments of a task, each with its replies
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async getTaskComments(taskId, userId, paginationOptions = {}) {
+    try {
+      await this.getAccessibleTask(taskId, userId);
+
+      const result = await this.commentRepository.findByTask(
+        taskId,
+        this.buildPaginationOptions(paginationOptions)
+      );
+
+      const replies = result.data.length > 0
+        ? await this.commentRepository.findReplies(result.data.map((comment) => comment._id))
+        : [];
+
+      const repliesByParent = replies.reduce((acc, reply) => {
+        const key = reply.parent.toString();
+        acc[key] = acc[key] || [];
+        acc[key].push(reply);
+        return acc;
+      }, {});
+
+      return {
+        ...result,
+        data: result.data.map((comment) => ({
+          ...comment.toJSON(),
+          replies: repliesByParent[comment._id.toString()] || [],
+        })),
+      };
+    } catch (error) {
+      logger.error('Error getting task comments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a comment (author only)
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} updateData - { body }
+   * @returns {Promise<Object>}
+   */
+  async updateComment(taskId, commentId, userId, updateData) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+      const existingComment = await this.commentRepository.findByIdAndTask(commentId, taskId);
+
+      if (!existingComment) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Comment not found');
+      }
+
+      if (existingComment.author.toString() !== userId.toString()) {
+        throw new ApiError(403, ERROR_MESSAGES.FORBIDDEN, 'You can only edit your own comments');
+      }
+
+      const comment = await this.commentRepository.updateById(commentId, {
+        body: updateData.body,
+        mentions: await this.resolveMentions(updateData.body, task),
+        editedAt: new Date(),
+      });
+
+      // Only users the edit mentions for the first time are told
+      const mentionedBefore = existingComment.mentions.map((id) => id.toString());
+      this.publishMentions(
+        comment,
+        task,
+        userId,
+        comment.mentions.filter((id) => !mentionedBefore.includes(id.toString()))
+      );
+
+      logger.info(`Comment updated: ${commentId} by user: ${userId}`);
+
+      return {
+        comment,
+        message: SUCCESS_MESSAGES.UPDATED,
+      };
+    } catch (error) {
+      logger.error('Error updating comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment and its replies (author or task owner)
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>}
+   */
+  async deleteComment(taskId, commentId, userId) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+      const comment = await this.commentRepository.findByIdAndTask(commentId, taskId);
+
+      if (!comment) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Comment not found');
+      }
+
+      const isAuthor = comment.author.toString() === userId.toString();
+      const isTaskOwner = task.user.toString() === userId.toString();
+
+      if (!isAuthor && !isTaskOwner) {
+        throw new ApiError(403, ERROR_MESSAGES.FORBIDDEN, 'You can only delete your own comments');
+      }
+
+      await this.commentRepository.deleteWithReplies(commentId);
+
+      logger.info(`Comment deleted: ${commentId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get comments that mention a user
+   * @param {string} userId - Mentioned user ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async getMentions(userId, paginationOptions = {}) {
+    try {
+      return await this.commentRepository.findMentioning(
+        userId,
+        this.buildPaginationOptions(paginationOptions)
+      );
+    } catch (error) {
+      logger.error('Error getting mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a task the user owns or is assigned to
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Task>}
+   */
+  async getAccessibleTask(taskId, userId) {
+    const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+    if (!task) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+    }
+
+    return task;
+  }
+
+  /**
+   * Resolve @email and @userId mentions to user IDs
+   * Only users who can see the task (owner and assignees) are kept,
+   * so a mention never exposes a comment to someone outside the task
+   * @param {string} body - Comment body
+   * @param {Task} task - Commented task
+   * @returns {Promise<ObjectId[]>}
+   */
+  async resolveMentions(body, task) {
+    const { emails, userIds } = extractMentions(body);
+
+    if (emails.length === 0 && userIds.length === 0) {
+      return [];
+    }
+
+    const [byEmail, byId] = await Promise.all([
+      emails.length > 0 ? this.userRepository.findActiveByEmails(emails) : [],
+      userIds.length > 0 ? this.userRepository.findActiveByIds(userIds) : [],
+    ]);
+
+    const mentioned = new Map(
+      [...byEmail, ...byId].map((user) => [user._id.toString(), user._id])
+    );
+
+    return [...mentioned.entries()]
+      .filter(([id]) => task.getAccessLevel(id))
+      .map(([, id]) => id);
+  }
+
+  /**
+   * Emit a mention event, addressed to the mentioned users except the
+   * author. A failing listener never fails the comment itself.
+   * @param {Comment} comment - Comment with the mentions
+   * @param {Task} task - Commented task
+   * @param {string} actorId - Comment author
+   * @param {ObjectId[]} mentions - Users to tell
+   */
+  publishMentions(comment, task, actorId, mentions) {
+    const audience = mentions
+      .map((id) => id.toString())
+      .filter((id) => id !== actorId.toString());
+
+    if (audience.length === 0) {
+      return;
+    }
+
+    try {
+      taskEvents.emit(TASK_EVENTS.MENTIONED, {
+        task: { _id: task._id, title: task.title },
+        actor: actorId,
+        comment: comment._id,
+        audience,
+        occurredAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Error in task event listener:', error);
+    }
+  }
+
+  /**
+   * Normalize pagination options
+   * @param {Object} paginationOptions - Raw pagination options
+   * @returns {Object}
+   */
+  buildPaginationOptions(paginationOptions) {
+    return {
+      page: parseInt(paginationOptions.page) || PAGINATION.DEFAULT_PAGE,
+      limit: Math.min(
+        parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
+        PAGINATION.MAX_LIMIT
+      ),
+    };
+  }
+}
+
+module.exports = CommentService;
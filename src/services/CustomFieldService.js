@@ -0,0 +1,179 @@
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, USER_ROLES } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Custom Field Service
+ * Handles custom field definitions
+ * Implements Dependency Injection pattern
+ */
+class CustomFieldService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {CustomFieldRepository} customFieldRepository - Injected custom field repository
+   * @param {ProjectRepository} projectRepository - Injected project repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   */
+  constructor(customFieldRepository, projectRepository, taskRepository) {
+    this.customFieldRepository = customFieldRepository;
+    this.projectRepository = projectRepository;
+    this.taskRepository = taskRepository;
+  }
+
+  /**
+   * Define a custom field
+   * Global fields are reserved for admins; project fields for the project owner
+   * @param {Object} user - Current user ({ userId, role })
+   * @param {Object} fieldData - Field definition
+   * @returns {Promise<Object>}
+   */
+  async createField(user, fieldData) {
+    try {
+      const projectId = fieldData.project || null;
+      await this.assertCanManage(user, projectId);
+
+      if (await this.customFieldRepository.isKeyTaken(fieldData.key, projectId)) {
+        throw new ApiError(409, ERROR_MESSAGES.DUPLICATE_ENTRY, `Custom field "${fieldData.key}" already exists`);
+      }
+
+      const field = await this.customFieldRepository.create({
+        ...fieldData,
+        project: projectId,
+        createdBy: user.userId,
+      });
+
+      logger.info(`Custom field created: ${field.key} (${field._id}) by user: ${user.userId}`);
+
+      return {
+        field,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating custom field:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the fields that apply to tasks of a project (or global fields only)
+   * @param {Object} user - Current user ({ userId, role })
+   * @param {string} projectId - Optional project ID
+   * @returns {Promise<CustomField[]>}
+   */
+  async getFields(user, projectId = null) {
+    try {
+      if (projectId) {
+        const project = await this.projectRepository.findByIdAndOwner(projectId, user.userId);
+
+        if (!project) {
+          throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+        }
+      }
+
+      return await this.customFieldRepository.findApplicable(projectId);
+    } catch (error) {
+      logger.error('Error getting custom fields:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a custom field (name, options, required)
+   * The key and type are fixed once values may exist
+   * @param {string} fieldId - Custom field ID
+   * @param {Object} user - Current user ({ userId, role })
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>}
+   */
+  async updateField(fieldId, user, updateData) {
+    try {
+      const existingField = await this.getManageableField(fieldId, user);
+
+      if (updateData.options && !existingField.options) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'Only select fields have options');
+      }
+
+      const field = await this.customFieldRepository.updateById(fieldId, updateData);
+
+      logger.info(`Custom field updated: ${fieldId} by user: ${user.userId}`);
+
+      return {
+        field,
+        message: SUCCESS_MESSAGES.UPDATED,
+      };
+    } catch (error) {
+      logger.error('Error updating custom field:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom field and clear its values from tasks in its scope
+   * @param {string} fieldId - Custom field ID
+   * @param {Object} user - Current user ({ userId, role })
+   * @returns {Promise<Object>}
+   */
+  async deleteField(fieldId, user) {
+    try {
+      const field = await this.getManageableField(fieldId, user);
+
+      await this.customFieldRepository.deleteById(fieldId);
+      await this.taskRepository.unsetCustomField(field.key, field.project);
+
+      logger.info(`Custom field deleted: ${field.key} (${fieldId}) by user: ${user.userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting custom field:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a field the user may change
+   * @param {string} fieldId - Custom field ID
+   * @param {Object} user - Current user ({ userId, role })
+   * @returns {Promise<CustomField>}
+   */
+  async getManageableField(fieldId, user) {
+    const field = await this.customFieldRepository.findById(fieldId);
+
+    if (!field) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Custom field not found');
+    }
+
+    await this.assertCanManage(user, field.project);
+
+    return field;
+  }
+
+  /**
+   * Ensure a user may manage fields of a scope
+   * @param {Object} user - Current user ({ userId, role })
+   * @param {string|null} projectId - Project ID (null for global fields)
+   * @returns {Promise<void>}
+   */
+  async assertCanManage(user, projectId) {
+    const isAdmin = user.role === USER_ROLES.ADMIN;
+
+    if (!projectId) {
+      if (isAdmin) {
+        return;
+      }
+
+      throw new ApiError(403, ERROR_MESSAGES.FORBIDDEN, 'Only admins can manage global custom fields');
+    }
+
+    const project = isAdmin
+      ? await this.projectRepository.findById(projectId)
+      : await this.projectRepository.findByIdAndOwner(projectId, user.userId);
+
+    if (!project) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+    }
+  }
+}
+
+module.exports = CustomFieldService;
@@ -0,0 +1,268 @@
+const {
+  ERROR_MESSAGES,
+  PAGINATION,
+  NOTIFICATIONS,
+  TASK_ACTIVITY,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Users an assignee change added to a task
+ * @param {Object[]} changes - History changes ({ field, from, to })
+ * @returns {Set<string>}
+ */
+const addedAssignees = (changes) => {
+  const change = changes.find(({ field }) => field === 'assignees');
+
+  if (!change) {
+    return new Set();
+  }
+
+  const before = (change.from || []).map(String);
+
+  return new Set((change.to || []).map(String).filter((id) => !before.includes(id)));
+};
+
+/**
+ * Notification Service
+ * Turns task events into in-app notifications and serves each user's inbox
+ * Implements Dependency Injection pattern
+ */
+class NotificationService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {NotificationRepository} notificationRepository - Injected notification repository
+   */
+  constructor(notificationRepository) {
+    this.notificationRepository = notificationRepository;
+  }
+
+  /**
+   * Notify the audience of a task change. Users the change assigned get
+   * an assignment notification; on creation nobody else is told.
+   * @param {Object} event - TASK_EVENTS.CHANGED payload
+   * @returns {Promise<Notification[]>}
+   */
+  async notifyTaskChanged({
+    action,
+    task,
+    actor,
+    changes,
+    audience,
+  }) {
+    try {
+      const assigned = addedAssignees(changes);
+
+      return await this.notificationRepository.createMany(
+        audience
+          .filter((recipient) => assigned.has(recipient)
+            || action !== TASK_ACTIVITY.ACTIONS.CREATED)
+          .map((recipient) => ({
+            recipient,
+            type: assigned.has(recipient)
+              ? NOTIFICATIONS.TYPES.ASSIGNED
+              : NOTIFICATIONS.TYPES.TASK_CHANGED,
+            task: task._id,
+            title: task.title,
+            actor,
+            action,
+            fields: changes.map(({ field }) => field),
+          }))
+      );
+    } catch (error) {
+      logger.error('Error creating task change notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify users mentioned in a comment
+   * @param {Object} event - TASK_EVENTS.MENTIONED payload
+   * @returns {Promise<Notification[]>}
+   */
+  async notifyMentioned({
+    task,
+    actor,
+    comment,
+    audience,
+  }) {
+    try {
+      return await this.notificationRepository.createMany(
+        audience.map((recipient) => ({
+          recipient,
+          type: NOTIFICATIONS.TYPES.MENTIONED,
+          task: task._id,
+          title: task.title,
+          actor,
+          comment,
+        }))
+      );
+    } catch (error) {
+      logger.error('Error creating mention notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the audience of each due date reminder in a batch, with one insert
+   * @param {string} type - NOTIFICATIONS.TYPES.DUE_SOON or OVERDUE
+   * @param {Object} event - TASK_EVENTS.DUE_SOON or OVERDUE payload
+   * @returns {Promise<Notification[]>}
+   */
+  async notifyDue(type, { reminders }) {
+    try {
+      return await this.notificationRepository.createMany(
+        reminders.flatMap(({ task, dueDate, audience }) => audience.map((recipient) => ({
+          recipient,
+          type,
+          task: task._id,
+          title: task.title,
+          dueDate,
+        })))
+      );
+    } catch (error) {
+      logger.error('Error creating due date notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the notifications of a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { unread, page, limit, cursor, withTotal }
+   * @returns {Promise<Object>}
+   */
+  async getNotifications(userId, { unread, ...paginationOptions } = {}) {
+    try {
+      return await this.notificationRepository.findByRecipient(userId, Boolean(unread), {
+        page: parseInt(paginationOptions.page) || PAGINATION.DEFAULT_PAGE,
+        limit: Math.min(
+          parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
+          PAGINATION.MAX_LIMIT
+        ),
+        cursor: paginationOptions.cursor,
+        withTotal: paginationOptions.withTotal,
+      });
+    } catch (error) {
+      logger.error('Error getting notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the number of unread notifications of a user, in total and by type
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { total, byType }
+   */
+  async getUnreadCounts(userId) {
+    try {
+      const counts = await this.notificationRepository.countUnreadByType(userId);
+
+      const byType = Object.fromEntries(
+        Object.values(NOTIFICATIONS.TYPES).map((type) => [type, 0])
+      );
+      counts.forEach(({ _id, count }) => {
+        byType[_id] = count;
+      });
+
+      return {
+        total: counts.reduce((sum, { count }) => sum + count, 0),
+        byType,
+      };
+    } catch (error) {
+      logger.error('Error counting unread notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - User ID (must be the recipient)
+   * @returns {Promise<Object>}
+   */
+  async markRead(notificationId, userId) {
+    try {
+      const notification = await this.notificationRepository.findOne({
+        _id: notificationId,
+        recipient: userId,
+      });
+
+      if (!notification) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Notification not found');
+      }
+
+      // Keep the time it was first read
+      if (notification.readAt) {
+        return {
+          notification,
+          message: 'Notification marked as read',
+        };
+      }
+
+      return {
+        notification: await this.notificationRepository.setReadAt(
+          notificationId,
+          userId,
+          new Date()
+        ),
+        message: 'Notification marked as read',
+      };
+    } catch (error) {
+      logger.error('Error marking notification as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification as unread
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - User ID (must be the recipient)
+   * @returns {Promise<Object>}
+   */
+  async markUnread(notificationId, userId) {
+    try {
+      const notification = await this.notificationRepository.setReadAt(
+        notificationId,
+        userId,
+        null
+      );
+
+      if (!notification) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Notification not found');
+      }
+
+      return {
+        notification,
+        message: 'Notification marked as unread',
+      };
+    } catch (error) {
+      logger.error('Error marking notification as unread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every notification of a user as read
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async markAllRead(userId) {
+    try {
+      const updated = await this.notificationRepository.markAllRead(userId, new Date());
+
+      logger.info(`Notifications marked as read: ${updated} for user: ${userId}`);
+
+      return {
+        updated,
+        message: `${updated} notification(s) marked as read`,
+      };
+    } catch (error) {
+      logger.error('Error marking all notifications as read:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,192 @@
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, PAGINATION } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Project Service
+ * Handles all project-related business logic
+ * Implements Dependency Injection pattern
+ */
+class ProjectService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {ProjectRepository} projectRepository - Injected project repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   */
+  constructor(projectRepository, taskRepository) {
+    this.projectRepository = projectRepository;
+    this.taskRepository = taskRepository;
+  }
+
+  /**
+   * Create a new project
+   * @param {string} userId - Owner user ID
+   * @param {Object} projectData - Project data
+   * @returns {Promise<Object>}
+   */
+  async createProject(userId, projectData) {
+    try {
+      const project = await this.projectRepository.create({
+        ...projectData,
+        owner: userId,
+      });
+
+      logger.info(`Project created: ${project._id} by user: ${userId}`);
+
+      return {
+        project,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get projects owned by a user
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { archived, page, limit }
+   * @returns {Promise<Object>}
+   */
+  async getUserProjects(userId, options = {}) {
+    try {
+      return await this.projectRepository.findByOwner(userId, Boolean(options.archived), {
+        page: parseInt(options.page) || PAGINATION.DEFAULT_PAGE,
+        limit: Math.min(
+          parseInt(options.limit) || PAGINATION.DEFAULT_LIMIT,
+          PAGINATION.MAX_LIMIT
+        ),
+      });
+    } catch (error) {
+      logger.error('Error getting user projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get project by ID
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID (for authorization)
+   * @returns {Promise<Project>}
+   */
+  async getProjectById(projectId, userId) {
+    try {
+      const project = await this.projectRepository.findByIdAndOwner(projectId, userId);
+
+      if (!project) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+      }
+
+      return project;
+    } catch (error) {
+      logger.error('Error getting project by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID (for authorization)
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>}
+   */
+  async updateProject(projectId, userId, updateData) {
+    try {
+      const project = await this.projectRepository.updateOne(
+        { _id: projectId, owner: userId },
+        updateData
+      );
+
+      if (!project) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+      }
+
+      logger.info(`Project updated: ${projectId} by user: ${userId}`);
+
+      return {
+        project,
+        message: SUCCESS_MESSAGES.UPDATED,
+      };
+    } catch (error) {
+      logger.error('Error updating project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive or restore a project
+   * Tasks of archived projects are hidden from default task lists
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID (for authorization)
+   * @param {boolean} isArchived - Target archive state
+   * @returns {Promise<Object>}
+   */
+  async setArchived(projectId, userId, isArchived) {
+    try {
+      const project = await this.projectRepository.setArchived(projectId, userId, isArchived);
+
+      if (!project) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+      }
+
+      logger.info(`Project ${isArchived ? 'archived' : 'unarchived'}: ${projectId} by user: ${userId}`);
+
+      return {
+        project,
+        message: isArchived ? 'Project archived successfully' : 'Project restored successfully',
+      };
+    } catch (error) {
+      logger.error('Error archiving project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete project
+   * Tasks are kept and moved out of the project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID (for authorization)
+   * @returns {Promise<Object>}
+   */
+  async deleteProject(projectId, userId) {
+    try {
+      const project = await this.projectRepository.deleteOne({ _id: projectId, owner: userId });
+
+      if (!project) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+      }
+
+      await this.taskRepository.detachProject(projectId);
+
+      logger.info(`Project deleted: ${projectId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get task statistics for a project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner user ID (for authorization)
+   * @returns {Promise<Object>}
+   */
+  async getProjectStatistics(projectId, userId) {
+    try {
+      const project = await this.getProjectById(projectId, userId);
+
+      return await this.taskRepository.getStatistics(userId, { project: project._id });
+    } catch (error) {
+      logger.error('Error getting project statistics:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ProjectService;
@@ -0,0 +1,159 @@
+const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Saved View Service
+ * Handles saved task filters and runs them through the task service
+ * Implements Dependency Injection pattern
+ */
+class SavedViewService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {SavedViewRepository} savedViewRepository - Injected saved view repository
+   * @param {TaskService} taskService - Injected task service (runs the views)
+   */
+  constructor(savedViewRepository, taskService) {
+    this.savedViewRepository = savedViewRepository;
+    this.taskService = taskService;
+  }
+
+  /**
+   * Save a view
+   * @param {string} userId - Owner user ID
+   * @param {Object} viewData - { name, filters, sort }
+   * @returns {Promise<Object>}
+   */
+  async createView(userId, viewData) {
+    try {
+      const view = await this.savedViewRepository.create({
+        ...viewData,
+        user: userId,
+      });
+
+      logger.info(`Saved view created: ${view._id} by user: ${userId}`);
+
+      return {
+        view,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating saved view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all views of a user
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<SavedView[]>}
+   */
+  async getViews(userId) {
+    try {
+      return await this.savedViewRepository.findByUser(userId);
+    } catch (error) {
+      logger.error('Error getting saved views:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a view by ID
+   * @param {string} viewId - View ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<SavedView>}
+   */
+  async getViewById(viewId, userId) {
+    try {
+      const view = await this.savedViewRepository.findByIdAndUser(viewId, userId);
+
+      if (!view) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'View not found');
+      }
+
+      return view;
+    } catch (error) {
+      logger.error('Error getting saved view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a view; given filters replace the saved ones
+   * @param {string} viewId - View ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} updateData - { name, filters, sort }
+   * @returns {Promise<Object>}
+   */
+  async updateView(viewId, userId, updateData) {
+    try {
+      const view = await this.savedViewRepository.updateOne(
+        { _id: viewId, user: userId },
+        updateData
+      );
+
+      if (!view) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'View not found');
+      }
+
+      logger.info(`Saved view updated: ${viewId} by user: ${userId}`);
+
+      return {
+        view,
+        message: SUCCESS_MESSAGES.UPDATED,
+      };
+    } catch (error) {
+      logger.error('Error updating saved view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a view
+   * @param {string} viewId - View ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>}
+   */
+  async deleteView(viewId, userId) {
+    try {
+      const view = await this.savedViewRepository.deleteOne({ _id: viewId, user: userId });
+
+      if (!view) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'View not found');
+      }
+
+      logger.info(`Saved view deleted: ${viewId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting saved view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a view: list the tasks matching its filters, in its sort order
+   * @param {string} viewId - View ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} paginationOptions - { page, limit, cursor, withTotal }
+   * @returns {Promise<Object>}
+   */
+  async getViewTasks(viewId, userId, paginationOptions = {}) {
+    try {
+      const view = await this.getViewById(viewId, userId);
+
+      return await this.taskService.getUserTasks(
+        userId,
+        view.filters ? view.filters.toObject() : {},
+        { ...paginationOptions, sort: view.sort }
+      );
+    } catch (error) {
+      logger.error('Error running saved view:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SavedViewService;
@@ -0,0 +1,189 @@
+const {
+  ERROR_MESSAGES,
+  TASK_STATUS,
+  CUSTOM_FIELD_TYPES,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const { resolveDate } = require('../utils/dateTokens');
+
+/**
+ * Build a range criterion from two optional bounds (dates or date tokens)
+ * @param {string} from - Inclusive lower bound
+ * @param {string} to - Inclusive upper bound
+ * @returns {Object} - Empty when neither bound is given
+ */
+const dateRange = (from, to) => {
+  const range = {};
+
+  if (from) {
+    range.$gte = resolveDate(from);
+  }
+
+  if (to) {
+    range.$lte = resolveDate(to);
+  }
+
+  return range;
+};
+
+/**
+ * Task Filter Service
+ * Turns task list filters into query criteria, for every listing that
+ * offers them (task list, export, calendar feed)
+ * Implements Dependency Injection pattern
+ */
+class TaskFilterService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {TaskRepository} taskRepository - Injected task repository (overdue criteria)
+   * @param {ProjectRepository} projectRepository - Injected project repository
+   * @param {CustomFieldRepository} customFieldRepository - Injected custom field repository
+   */
+  constructor(taskRepository, projectRepository, customFieldRepository) {
+    this.taskRepository = taskRepository;
+    this.projectRepository = projectRepository;
+    this.customFieldRepository = customFieldRepository;
+  }
+
+  /**
+   * Build task criteria from custom field filters
+   * Project fields can only be filtered on together with their project
+   * @param {Object} filter - Map of field key to raw query value
+   * @param {string} projectId - Project filter, if any
+   * @returns {Promise<Object>}
+   */
+  async customFieldCriteria(filter, projectId = null) {
+    const definitions = await this.customFieldRepository.findApplicable(projectId);
+
+    return Object.entries(filter).reduce((criteria, [key, raw]) => {
+      const field = definitions.find((definition) => definition.key === key);
+      const path = `customFields.${key}`;
+
+      if (!field) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, `Unknown custom field "${key}"`);
+      }
+
+      if (field.type === CUSTOM_FIELD_TYPES.NUMBER) {
+        const number = Number(raw);
+
+        if (Number.isNaN(number)) {
+          throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, `"${field.name}" must be a number`);
+        }
+
+        criteria[path] = number;
+      } else if (field.type === CUSTOM_FIELD_TYPES.DATE) {
+        // A date matches anywhere within that (UTC) day
+        const day = new Date(raw);
+
+        if (Number.isNaN(day.getTime())) {
+          throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, `"${field.name}" must be a date`);
+        }
+
+        day.setUTCHours(0, 0, 0, 0);
+        criteria[path] = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) };
+      } else {
+        criteria[path] = raw;
+      }
+
+      return criteria;
+    }, {});
+  }
+
+  /**
+   * Build criteria that hide tasks of archived projects
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async activeProjectCriteria(userId) {
+    const archivedIds = await this.projectRepository.findArchivedIds(userId);
+
+    return archivedIds.length > 0
+      ? { project: { $nin: archivedIds } }
+      : {};
+  }
+
+  /**
+   * Build query criteria from task list filters
+   * Searches are left out (see TaskService.rankSearchMatches), as is the user scope
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filters validated by taskFilterSchema
+   * @returns {Promise<Object>}
+   */
+  async buildFilterCriteria(userId, filters = {}) {
+    // Filters arrive validated by taskFilterSchema, so values are never operators
+    const criteria = {};
+
+    let statuses = filters.status ? [].concat(filters.status) : null;
+
+    // Overdue tasks match the repository's overdue criteria, narrowed by the other filters
+    const overdue = filters.overdue ? this.taskRepository.overdueCriteria() : null;
+
+    if (overdue) {
+      statuses = (statuses || Object.values(TASK_STATUS))
+        .filter((status) => overdue.status.$in.includes(status));
+    }
+
+    if (statuses) {
+      criteria.status = { $in: statuses };
+    }
+
+    if (filters.priority) {
+      criteria.priority = { $in: [].concat(filters.priority) };
+    }
+
+    if (filters.tags) {
+      criteria.tags = filters.tagMatch === 'all'
+        ? { $all: [].concat(filters.tags) }
+        : { $in: [].concat(filters.tags) };
+    }
+
+    // Tasks of archived projects only show up when asked for explicitly
+    const assignedToMe = filters.assignedTo === 'me';
+
+    if (filters.project) {
+      criteria.project = filters.project;
+    } else if (!assignedToMe) {
+      Object.assign(criteria, await this.activeProjectCriteria(userId));
+    }
+
+    if (filters.assignedTo && !assignedToMe) {
+      criteria.assignees = filters.assignedTo;
+    }
+
+    // Date tokens are resolved on every call, e.g. "now+3d"
+    const dueDate = dateRange(filters.dueAfter, filters.dueBefore);
+
+    if (overdue) {
+      dueDate.$lt = overdue.dueDate.$lt;
+    }
+
+    if (filters.hasDueDate === false) {
+      criteria.dueDate = null;
+    } else if (Object.keys(dueDate).length > 0) {
+      criteria.dueDate = dueDate;
+    } else if (filters.hasDueDate) {
+      criteria.dueDate = { $ne: null };
+    }
+
+    const createdAt = dateRange(filters.createdAfter, filters.createdBefore);
+    if (Object.keys(createdAt).length > 0) {
+      criteria.createdAt = createdAt;
+    }
+
+    const completedAt = dateRange(filters.completedAfter, filters.completedBefore);
+    if (Object.keys(completedAt).length > 0) {
+      criteria.completedAt = completedAt;
+    }
+
+    if (filters.customField) {
+      Object.assign(
+        criteria,
+        await this.customFieldCriteria(filters.customField, filters.project)
+      );
+    }
+
+    return criteria;
+  }
+}
+
+module.exports = TaskFilterService;
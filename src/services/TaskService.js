@@ -1,6 +1,177 @@
-const { ERROR_MESSAGES, SUCCESS_MESSAGES, PAGINATION } = require('../config/constants');
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PAGINATION,
+  TASK_STATUS,
+  TASK_DEPENDENCIES,
+  TASK_ASSIGNMENT,
+  ACCESS_LEVELS,
+  TASK_ACTIVITY,
+  TASK_POSITION,
+  CUSTOM_FIELD_TYPES,
+  SEARCH,
+  TASK_BULK,
+  TASK_PATCH,
+  TASK_CHECKLIST,
+  TASK_EVENTS,
+  NOTIFICATIONS,
+} = require('../config/constants');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
+const { getNextOccurrence, anchorRule, toRuleJSON } = require('../utils/recurrence');
+const { diffFields, normalizeValue } = require('../utils/diff');
+const { buildCustomFieldsSchema, updateTaskSchema } = require('../validators/taskValidator');
+const { parseSearch, prefixRegex, highlight } = require('../utils/search');
+const { assertVersion, preconditionFailed } = require('../utils/etag');
+const { applyMergePatch, applyJsonPatch } = require('../utils/jsonPatch');
+const { publishChange, publishReminders } = require('../events/taskChanges');
+const TaskFilterService = require('./TaskFilterService');
+
+/**
+ * Calculate roll-up progress from subtask status counts
+ * Cancelled subtasks are excluded from the total
+ * @param {Object} counts - Map of status to count
+ * @returns {Object|null} - null when the task has no subtasks
+ */
+const calculateProgress = (counts = {}) => {
+  const all = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  if (all === 0) {
+    return null;
+  }
+
+  const completed = counts[TASK_STATUS.COMPLETED] || 0;
+  const total = all - (counts[TASK_STATUS.CANCELLED] || 0);
+
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 100,
+  };
+};
+
+/**
+ * Build a history entry from two versions of a task
+ * Updates that change nothing tracked produce no entry, and updates
+ * that touch the status are logged as status changes
+ * @param {string} actorId - User who made the change
+ * @param {string} action - One of TASK_ACTIVITY.ACTIONS
+ * @param {Object|null} before - Previous version (null on create)
+ * @param {Object} after - Current version
+ * @returns {Object|null}
+ */
+const buildActivity = (actorId, action, before, after) => {
+  const changes = diffFields(before, after, TASK_ACTIVITY.TRACKED_FIELDS);
+  let type = action;
+
+  if (action === TASK_ACTIVITY.ACTIONS.UPDATED) {
+    if (changes.length === 0) {
+      return null;
+    }
+
+    if (changes.some((change) => change.field === 'status')) {
+      type = TASK_ACTIVITY.ACTIONS.STATUS_CHANGED;
+    }
+  }
+
+  return {
+    task: after._id,
+    actor: actorId,
+    action: type,
+    changes,
+  };
+};
+
+// Fields a PATCH may touch: the same ones a PUT accepts
+const PATCHABLE_FIELDS = Object.keys(updateTaskSchema.describe().keys);
+
+// What a field removed by a patch is set to (anything else becomes null)
+const CLEARED_VALUES = { description: '', tags: [], assignees: [] };
+
+/**
+ * Build the plain JSON document of a task that patches are applied to
+ * Unset values are left out, so a patch can "add" them
+ * @param {Task} task - Task document
+ * @returns {Object}
+ */
+const toPatchDocument = (task) => PATCHABLE_FIELDS.reduce((document, field) => {
+  const value = field === 'recurrence'
+    ? toRuleJSON(task.recurrence)
+    : normalizeValue(task[field]);
+
+  if (value !== null) {
+    document[field] = value;
+  }
+
+  return document;
+}, {});
+
+/**
+ * Turn a patched task document into the changes to apply
+ * @param {Object} document - Document before the patch
+ * @param {Object} patched - Document after the patch
+ * @returns {Object} - Update data, in the shape updateTaskSchema accepts
+ */
+const patchChanges = (document, patched) => {
+  if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+    throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'The patched task must be an object');
+  }
+
+  const unknown = Object.keys(patched).filter((field) => !PATCHABLE_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, `Cannot patch: ${unknown.join(', ')}`);
+  }
+
+  const changes = diffFields(document, patched, PATCHABLE_FIELDS).reduce((acc, { field, to }) => {
+    acc[field] = to === null && field in CLEARED_VALUES ? CLEARED_VALUES[field] : to;
+    return acc;
+  }, {});
+
+  // Custom field values are merged on update, so removed keys are sent as null
+  if (changes.customFields !== undefined) {
+    const removed = Object.keys(document.customFields || {})
+      .filter((key) => !changes.customFields || !(key in changes.customFields));
+
+    changes.customFields = {
+      ...Object.fromEntries(removed.map((key) => [key, null])),
+      ...changes.customFields,
+    };
+  }
+
+  return changes;
+};
+
+/**
+ * Watchers of a new task: its owner and assignees
+ * @param {string} ownerId - Owner user ID
+ * @param {string[]} assignees - Assignee user IDs
+ * @returns {string[]}
+ */
+const initialWatchers = (ownerId, assignees = []) => [
+  ...new Set([ownerId, ...assignees].map((id) => id.toString())),
+];
+
+/**
+ * Find an item of a task's checklist
+ * @param {Task} task - Task
+ * @param {string} itemId - Checklist item ID
+ * @returns {Object} - Checklist item
+ */
+const findChecklistItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+
+  if (!item) {
+    throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Checklist item not found');
+  }
+
+  return item;
+};
+
+// Board order: columns, then position within a column
+const BOARD_SORT = { status: 1, position: 1, _id: 1 };
+
+const HOUR_MS = 60 * 60 * 1000;
 
 /**
  * Task Service
@@ -11,24 +182,60 @@ class TaskService {
   /**
    * Constructor with Dependency Injection
    * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {ProjectRepository} projectRepository - Injected project repository
+   * @param {UserRepository} userRepository - Injected user repository
+   * @param {TaskActivityRepository} taskActivityRepository - Injected task activity repository
+   * @param {TimeEntryRepository} timeEntryRepository - Injected time entry repository
+   * @param {CustomFieldRepository} customFieldRepository - Injected custom field repository
+   * @param {CommentRepository} commentRepository - Injected comment repository (search)
    */
-  constructor(taskRepository) {
+  constructor(
+    taskRepository,
+    projectRepository,
+    userRepository,
+    taskActivityRepository,
+    timeEntryRepository,
+    customFieldRepository,
+    commentRepository
+  ) {
     this.taskRepository = taskRepository;
+    this.projectRepository = projectRepository;
+    this.userRepository = userRepository;
+    this.taskActivityRepository = taskActivityRepository;
+    this.timeEntryRepository = timeEntryRepository;
+    this.customFieldRepository = customFieldRepository;
+    this.commentRepository = commentRepository;
+    this.taskFilters = new TaskFilterService(
+      taskRepository,
+      projectRepository,
+      customFieldRepository
+    );
   }
 
   /**
    * Create a new task
    * @param {string} userId - User ID
    * @param {Object} taskData - Task data
+   * @param {Object} options - { heldEvents: collects the change event (see publishHeld) }
    * @returns {Promise<Object>}
    */
-  async createTask(userId, taskData) {
+  async createTask(userId, taskData, { heldEvents = null } = {}) {
     try {
+      const prepared = await this.prepareTask(userId, taskData);
+
       const task = await this.taskRepository.create({
-        ...taskData,
+        ...prepared,
+        ...(prepared.recurrence && {
+          recurrence: anchorRule(prepared.recurrence, prepared.dueDate),
+        }),
         user: userId,
+        watchers: initialWatchers(userId, taskData.assignees),
+        occurrence: taskData.recurrence ? 1 : null,
+        position: await this.endOfColumn(userId, taskData.status || TASK_STATUS.PENDING),
       });
 
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.CREATED, null, task, heldEvents);
+
       logger.info(`Task created: ${task._id} by user: ${userId}`);
 
       return {
@@ -50,24 +257,14 @@ class TaskService {
    */
   async getUserTasks(userId, filters = {}, paginationOptions = {}) {
     try {
-      // Build filter criteria
-      const criteria = {};
-
-      if (filters.status) {
-        criteria.status = filters.status;
-      }
+      const criteria = await this.taskFilters.buildFilterCriteria(userId, filters);
+      const assignedToMe = filters.assignedTo === 'me';
 
-      if (filters.priority) {
-        criteria.priority = filters.priority;
-      }
+      const search = filters.search ? parseSearch(filters.search) : null;
+      const isSearching = Boolean(search && (search.text || search.prefixes.length > 0));
 
-      if (filters.search) {
-        const regex = new RegExp(filters.search, 'i');
-        criteria.$or = [
-          { title: regex },
-          { description: regex },
-        ];
-      }
+      // Searches are ranked by relevance unless another order is asked for
+      const sort = paginationOptions.sort || (isSearching ? 'relevance' : null);
 
       // Set pagination defaults
       const options = {
@@ -76,66 +273,371 @@ class TaskService {
           parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
           PAGINATION.MAX_LIMIT
         ),
-        sort: paginationOptions.sort || { createdAt: -1 },
+        sort: sort === 'position' ? BOARD_SORT : { createdAt: -1 },
+        cursor: paginationOptions.cursor,
+        withTotal: paginationOptions.withTotal,
       };
 
-      const result = await this.taskRepository.findByUserWithFilters(
-        userId,
-        criteria,
-        options
-      );
+      if (sort && !['position', 'relevance'].includes(sort)) {
+        options.sort = sort;
+      }
+
+      let scores = null;
+      let result;
+
+      if (isSearching) {
+        scores = await this.rankSearchMatches({
+          ...criteria,
+          ...(assignedToMe ? { assignees: userId } : { user: userId }),
+          isDeleted: false,
+        }, search);
+      }
+
+      if (scores && sort === 'relevance') {
+        // Relevance ranks are computed per request, so there is no stable key to resume from
+        if (options.cursor) {
+          throw new ApiError(
+            422,
+            ERROR_MESSAGES.VALIDATION_ERROR,
+            'Cursors are not available for searches sorted by relevance; pass another sort'
+          );
+        }
+
+        result = await this.taskRepository.findByIdsInOrder([...scores.keys()], options);
+      } else {
+        if (scores) {
+          criteria._id = { $in: [...scores.keys()] };
+        }
+
+        // "me" lists tasks shared with the user by any owner
+        result = assignedToMe
+          ? await this.taskRepository.findAssignedWithFilters(userId, criteria, options)
+          : await this.taskRepository.findByUserWithFilters(userId, criteria, options);
+      }
 
-      return result;
+      const data = await this.attachProgress(result.data);
+
+      return {
+        ...result,
+        data: scores ? await this.attachSearchHighlights(data, search, scores) : data,
+      };
     } catch (error) {
       logger.error('Error getting user tasks:', error);
       throw error;
     }
   }
 
+  /**
+   * Stream every task matching list filters, e.g. for exports
+   * Takes the same filters as getUserTasks; search matches are kept but
+   * not ranked, so "relevance" falls back to newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filter criteria
+   * @param {Object} options - { sort, select }
+   * @returns {Promise<QueryCursor>} - Async iterable of plain task objects
+   */
+  async streamUserTasks(userId, filters = {}, { sort = null, select = null } = {}) {
+    try {
+      const criteria = {
+        ...await this.taskFilters.buildFilterCriteria(userId, filters),
+        ...(filters.assignedTo === 'me' ? { assignees: userId } : { user: userId }),
+        isDeleted: false,
+      };
+
+      const search = filters.search ? parseSearch(filters.search) : null;
+
+      if (search && (search.text || search.prefixes.length > 0)) {
+        const scores = await this.rankSearchMatches(criteria, search);
+        criteria._id = { $in: [...scores.keys()] };
+      }
+
+      let order = { createdAt: -1 };
+
+      if (sort === 'position') {
+        order = BOARD_SORT;
+      } else if (sort && sort !== 'relevance') {
+        order = sort;
+      }
+
+      return this.taskRepository.stream(criteria, { sort: order, select });
+    } catch (error) {
+      logger.error('Error streaming user tasks:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get task by ID
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID (for authorization)
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} - { task, version }
    */
   async getTaskById(taskId, userId) {
     try {
-      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+      const task = await this.taskRepository.findAccessibleById(taskId, userId, {
+        populate: 'attachments',
+      });
 
       if (!task) {
         throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
       }
 
-      return task;
+      const [result] = await this.attachProgress([task]);
+
+      return {
+        task: result,
+        version: task.__v,
+      };
     } catch (error) {
       logger.error('Error getting task by ID:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the change history of a task, newest first
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async getTaskHistory(taskId, userId, paginationOptions = {}) {
+    try {
+      const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      return await this.taskActivityRepository.findByTask(taskId, {
+        page: parseInt(paginationOptions.page) || PAGINATION.DEFAULT_PAGE,
+        limit: Math.min(
+          parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
+          PAGINATION.MAX_LIMIT
+        ),
+      });
+    } catch (error) {
+      logger.error('Error getting task history:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update task
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID (for authorization)
    * @param {Object} updateData - Data to update
+   * @param {Object} options - { ifMatch: versions accepted by If-Match }
    * @returns {Promise<Object>}
    */
-  async updateTask(taskId, userId, updateData) {
+  async updateTask(taskId, userId, updateData, { ifMatch = null } = {}) {
     try {
-      // Verify task exists and belongs to user
-      const existingTask = await this.taskRepository.findByIdAndUser(taskId, userId);
+      // Verify task exists and is owned by or assigned to the user
+      const existingTask = await this.taskRepository.findAccessibleById(taskId, userId);
 
       if (!existingTask) {
         throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
       }
 
-      // Update task
-      const task = await this.taskRepository.updateById(taskId, updateData);
+      assertVersion(existingTask, ifMatch);
+
+      // Assignees may only move the task along; everything else is the owner's call
+      if (existingTask.getAccessLevel(userId) === ACCESS_LEVELS.ASSIGNEE) {
+        const restricted = Object.keys(updateData)
+          .filter((field) => !TASK_ASSIGNMENT.ASSIGNEE_UPDATABLE_FIELDS.includes(field));
+
+        if (restricted.length > 0) {
+          throw new ApiError(
+            403,
+            ERROR_MESSAGES.FORBIDDEN,
+            `Assignees cannot change: ${restricted.join(', ')}`
+          );
+        }
+      }
+
+      if (updateData.assignees) {
+        await this.assertAssignable(updateData.assignees);
+      }
+
+      if (updateData.project) {
+        await this.assertProjectWritable(updateData.project, userId);
+      }
+
+      // Values are re-checked when they change or the task changes project
+      let customFields;
+      if (updateData.customFields !== undefined || updateData.project !== undefined) {
+        customFields = await this.resolveCustomFields(
+          updateData.customFields,
+          updateData.project !== undefined ? updateData.project : existingTask.project,
+          existingTask.customFields
+        );
+      }
+
+      // A recurrence rule needs a due date to anchor the series
+      const recurrence = updateData.recurrence !== undefined
+        ? updateData.recurrence
+        : existingTask.recurrence;
+      const dueDate = updateData.dueDate !== undefined ? updateData.dueDate : existingTask.dueDate;
+
+      if (recurrence && !dueDate) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'Recurring tasks require a due date');
+      }
+
+      const changes = { ...updateData };
+
+      if (customFields) {
+        changes.customFields = customFields;
+      }
+
+      if (updateData.recurrence) {
+        changes.recurrence = anchorRule(updateData.recurrence, dueDate);
+      }
+
+      if (updateData.recurrence && !existingTask.occurrence) {
+        changes.occurrence = 1;
+      }
+
+      // New assignees start watching the task
+      if (updateData.assignees) {
+        const added = updateData.assignees.filter((id) => !existingTask.assignees
+          .some((assignee) => assignee.toString() === id.toString()));
+
+        if (added.length > 0) {
+          changes.$addToSet = { watchers: { $each: added } };
+        }
+      }
+
+      // Updates bypass the model's save hook, so completedAt is kept here
+      if (updateData.status && updateData.status !== existingTask.status) {
+        changes.completedAt = updateData.status === TASK_STATUS.COMPLETED ? new Date() : null;
+      }
+
+      // A task changing columns goes to the bottom unless it was placed explicitly
+      if (
+        updateData.status
+        && updateData.status !== existingTask.status
+        && updateData.position === undefined
+      ) {
+        changes.position = await this.endOfColumn(existingTask.user, updateData.status, taskId);
+      }
+
+      // A blocked task cannot start or finish while any blocker is open
+      if (
+        [TASK_STATUS.IN_PROGRESS, TASK_STATUS.COMPLETED].includes(updateData.status)
+        && updateData.status !== existingTask.status
+      ) {
+        const openBlockers = await this.taskRepository.countOpenBlockers(existingTask.blockedBy);
+
+        if (openBlockers > 0) {
+          throw new ApiError(
+            409,
+            ERROR_MESSAGES.CONFLICT,
+            `Task is blocked by ${openBlockers} open task(s)`
+          );
+        }
+      }
+
+      // A parent can only be completed once all of its subtasks are closed
+      if (
+        updateData.status === TASK_STATUS.COMPLETED
+        && existingTask.status !== TASK_STATUS.COMPLETED
+      ) {
+        const openSubtasks = await this.taskRepository.countOpenSubtasks(taskId);
+
+        if (openSubtasks > 0) {
+          throw new ApiError(
+            409,
+            ERROR_MESSAGES.CONFLICT,
+            `Task has ${openSubtasks} open subtask(s); complete or cancel them first`
+          );
+        }
+      }
+
+      // With requireChecklist set, every checklist item must be checked first
+      const requireChecklist = updateData.requireChecklist !== undefined
+        ? updateData.requireChecklist
+        : existingTask.requireChecklist;
+
+      if (
+        requireChecklist
+        && updateData.status === TASK_STATUS.COMPLETED
+        && existingTask.status !== TASK_STATUS.COMPLETED
+      ) {
+        const unchecked = existingTask.checklist.filter((item) => !item.checked).length;
+
+        if (unchecked > 0) {
+          throw new ApiError(
+            409,
+            ERROR_MESSAGES.CONFLICT,
+            `Task has ${unchecked} unchecked checklist item(s); check them off first`
+          );
+        }
+      }
+
+      // Update task; with If-Match, only if nobody wrote since it was read
+      const task = ifMatch
+        ? await this.taskRepository.updateOne({ _id: taskId, __v: existingTask.__v }, changes)
+        : await this.taskRepository.updateById(taskId, changes);
+
+      if (!task) {
+        throw preconditionFailed();
+      }
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, existingTask, task);
+
+      // Cancelling a parent cancels its open subtasks
+      if (
+        updateData.status === TASK_STATUS.CANCELLED
+        && existingTask.status !== TASK_STATUS.CANCELLED
+      ) {
+        const openStatuses = [TASK_STATUS.PENDING, TASK_STATUS.IN_PROGRESS];
+        const openSubtasks = (await this.taskRepository.findSubtasks(taskId))
+          .filter((subtask) => openStatuses.includes(subtask.status));
+
+        await this.taskRepository.cancelOpenSubtasks(taskId);
+        await this.timeEntryRepository.stopRunning({
+          task: { $in: openSubtasks.map((subtask) => subtask._id) },
+        });
+
+        const entries = openSubtasks.map((subtask) => buildActivity(
+          userId,
+          TASK_ACTIVITY.ACTIONS.UPDATED,
+          subtask,
+          { ...subtask.toObject(), status: TASK_STATUS.CANCELLED }
+        ));
+
+        await this.taskActivityRepository.record(entries);
+        entries.forEach((entry, index) => publishChange(entry, openSubtasks[index]));
+      }
+
+      // Nobody keeps tracking time on a completed task
+      if (
+        updateData.status === TASK_STATUS.COMPLETED
+        && existingTask.status !== TASK_STATUS.COMPLETED
+      ) {
+        await this.timeEntryRepository.stopRunning({ task: taskId });
+      }
+
+      // Completing an occurrence of a recurring task schedules the next one
+      let nextOccurrence = null;
+      if (
+        updateData.status === TASK_STATUS.COMPLETED
+        && existingTask.status !== TASK_STATUS.COMPLETED
+        && task.recurrence
+        && !task.nextOccurrence
+      ) {
+        nextOccurrence = await this.scheduleNextOccurrence(task, userId);
+
+        if (nextOccurrence) {
+          task.nextOccurrence = nextOccurrence._id;
+        }
+      }
 
       logger.info(`Task updated: ${taskId} by user: ${userId}`);
 
       return {
         task,
+        nextOccurrence,
         message: SUCCESS_MESSAGES.UPDATED,
       };
     } catch (error) {
@@ -145,19 +647,108 @@ class TaskService {
   }
 
   /**
-   * Delete task (soft delete)
+   * Partially update a task with a JSON Merge Patch or a JSON Patch
+   * The patched task is validated like a PUT and saved only if nobody
+   * changed the task in between
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {Object|Object[]} patch - Merge patch object or JSON Patch operations
+   * @param {Object} options - { format: one of TASK_PATCH.CONTENT_TYPES, ifMatch }
+   * @returns {Promise<Object>}
+   */
+  async patchTask(taskId, userId, patch, { format, ifMatch = null } = {}) {
+    try {
+      const { CONTENT_TYPES } = TASK_PATCH;
+
+      if (!Object.values(CONTENT_TYPES).includes(format)) {
+        throw new ApiError(
+          415,
+          ERROR_MESSAGES.UNSUPPORTED_MEDIA_TYPE,
+          `Content-Type must be ${Object.values(CONTENT_TYPES).join(' or ')}`
+        );
+      }
+
+      const existingTask = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!existingTask) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      assertVersion(existingTask, ifMatch);
+
+      const document = toPatchDocument(existingTask);
+      const patched = format === CONTENT_TYPES.JSON_PATCH
+        ? applyJsonPatch(document, patch)
+        : applyMergePatch(document, patch);
+      const changes = patchChanges(document, patched);
+
+      if (Object.keys(changes).length === 0) {
+        return {
+          task: existingTask,
+          nextOccurrence: null,
+          message: SUCCESS_MESSAGES.UPDATED,
+        };
+      }
+
+      const { error, value } = updateTaskSchema.validate(changes, { abortEarly: false });
+
+      if (error) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          error.details.map((detail) => detail.message).join(', ')
+        );
+      }
+
+      // Pinned to the version the patch was applied to
+      return await this.updateTask(taskId, userId, value, { ifMatch: [existingTask.__v] });
+    } catch (error) {
+      logger.error('Error patching task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete task (soft delete: the task moves to the trash)
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID (for authorization)
+   * @param {Object} options - { ifMatch: versions accepted by If-Match }
    * @returns {Promise<Object>}
    */
-  async deleteTask(taskId, userId) {
+  async deleteTask(taskId, userId, { ifMatch = null } = {}) {
     try {
-      const task = await this.taskRepository.softDelete(taskId, userId);
+      // Subtasks share the parent's deletion time so a restore brings back the same set
+      const deletedAt = new Date();
+      const task = await this.taskRepository.softDelete(taskId, userId, deletedAt, ifMatch);
 
       if (!task) {
-        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+        const existingTask = ifMatch
+          ? await this.taskRepository.findByIdAndUser(taskId, userId)
+          : null;
+
+        if (!existingTask) {
+          throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+        }
+
+        // The task exists, so the delete lost to its If-Match version,
+        // even if a concurrent write has made it match again since
+        throw preconditionFailed();
       }
 
+      // Subtasks go with their parent
+      const subtasks = await this.taskRepository.findSubtasks(taskId);
+      await this.taskRepository.softDeleteSubtasks(taskId, deletedAt);
+
+      const [entry, ...subtaskEntries] = [task, ...subtasks].map((deleted) => ({
+        task: deleted._id,
+        actor: userId,
+        action: TASK_ACTIVITY.ACTIONS.DELETED,
+        changes: [{ field: 'isDeleted', from: false, to: true }],
+      }));
+
+      await this.taskActivityRepository.record([entry, ...subtaskEntries]);
+      publishChange(entry, task);
+
       logger.info(`Task deleted: ${taskId} by user: ${userId}`);
 
       return {
@@ -170,44 +761,1235 @@ class TaskService {
   }
 
   /**
-   * Get task statistics for a user
-   * @param {string} userId - User ID
-   * @returns {Promise<Object>}
+   * Update or soft delete several of the user's tasks in one request
+   * Each task goes through updateTask/deleteTask, so it changes atomically
+   * with all the usual rules; the batch as a whole does not, and one
+   * task failing does not stop the others
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} bulkData - { ids, action, changes }
+   * @returns {Promise<Object>} - { results, summary, message }
    */
-  async getTaskStatistics(userId) {
+  async bulkUpdateTasks(userId, { ids, action, changes }) {
     try {
-      const stats = await this.taskRepository.getStatistics(userId);
-      return stats;
+      // Same ownership rule as findByIdAndUser: assignees cannot bulk edit
+      const owned = await this.taskRepository.findByIdsAndUser(ids, userId, { select: '_id' });
+      const ownedIds = new Set(owned.map((task) => task._id.toString()));
+
+      // Checked once up front so a bad target fails the request, not every item
+      if (action === TASK_BULK.ACTIONS.UPDATE && changes.project) {
+        await this.assertProjectWritable(changes.project, userId);
+      }
+
+      // Items run one at a time: a parent and its subtasks may share a batch
+      const results = await ids.reduce(async (previous, id) => {
+        const done = await previous;
+
+        if (!ownedIds.has(id.toLowerCase())) {
+          return [...done, {
+            id, success: false, statusCode: 404, error: 'Task not found',
+          }];
+        }
+
+        return [...done, await this.runBulkItem(id, userId, action, changes)];
+      }, Promise.resolve([]));
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      logger.info(`Bulk ${action} by user: ${userId}: ${succeeded} of ${ids.length} task(s) succeeded`);
+
+      return {
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+        message: action === TASK_BULK.ACTIONS.DELETE
+          ? SUCCESS_MESSAGES.DELETED
+          : SUCCESS_MESSAGES.UPDATED,
+      };
     } catch (error) {
-      logger.error('Error getting task statistics:', error);
+      logger.error('Error running bulk task operation:', error);
       throw error;
     }
   }
 
   /**
-   * Get overdue tasks for a user
+   * Apply a bulk action to one owned task
+   * Business rule failures become the item's result instead of failing the batch
+   * @param {string} taskId - Task ID
    * @param {string} userId - User ID
-   * @returns {Promise<Array>}
+   * @param {string} action - Bulk action
+   * @param {Object} changes - Changes for the update action
+   * @returns {Promise<Object>} - { id, success, statusCode, error }
    */
-  async getOverdueTasks(userId) {
+  async runBulkItem(taskId, userId, action, changes) {
     try {
-      const tasks = await this.taskRepository.findOverdueTasks(userId);
-      return tasks;
+      if (action === TASK_BULK.ACTIONS.DELETE) {
+        await this.deleteTask(taskId, userId);
+      } else {
+        await this.updateTask(taskId, userId, changes);
+      }
+
+      return { id: taskId, success: true, statusCode: 200 };
     } catch (error) {
-      logger.error('Error getting overdue tasks:', error);
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+
+      // A subtask deleted earlier in the batch already went with its parent
+      if (action === TASK_BULK.ACTIONS.DELETE && error.statusCode === 404) {
+        return { id: taskId, success: true, statusCode: 200 };
+      }
+
+      return {
+        id: taskId,
+        success: false,
+        statusCode: error.statusCode,
+        error: error.details || error.message,
+      };
+    }
+  }
+
+  /**
+   * Move a task on the board, optionally into another status column
+   * The task is placed between prevId and nextId; with only one neighbor
+   * it goes directly next to it, and with none at the bottom of the column
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} moveData - { status, prevId, nextId }
+   * @returns {Promise<Object>}
+   */
+  async moveTask(taskId, userId, moveData) {
+    try {
+      const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      const status = moveData.status || task.status;
+      const position = await this.resolvePosition(task, status, moveData);
+
+      // Status changes go through the usual rules (blockers, subtasks, recurrence)
+      return await this.updateTask(taskId, userId, { status, position });
+    } catch (error) {
+      logger.error('Error moving task:', error);
       throw error;
     }
   }
 
   /**
-   * Get upcoming tasks for a user
-   * @param {string} userId - User ID
-   * @param {number} days - Number of days to look ahead
-   * @returns {Promise<Array>}
+   * Create a subtask under a parent task
+   * Only one level of nesting is allowed
+   * @param {string} parentId - Parent task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Object} taskData - Subtask data
+   * @param {Object} options - { heldEvents: collects the change event (see publishHeld) }
+   * @returns {Promise<Object>}
    */
-  async getUpcomingTasks(userId, days = 7) {
+  async createSubtask(parentId, userId, taskData, { heldEvents = null } = {}) {
     try {
-      const tasks = await this.taskRepository.findUpcomingTasks(userId, days);
+      const parent = await this.taskRepository.findByIdAndUser(parentId, userId);
+
+      if (!parent) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Parent task not found');
+      }
+
+      if (parent.parent) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'Subtasks cannot have subtasks of their own');
+      }
+
+      if ([TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED].includes(parent.status)) {
+        throw new ApiError(409, ERROR_MESSAGES.CONFLICT, `Cannot add subtasks to a ${parent.status} task`);
+      }
+
+      const project = taskData.project || parent.project;
+
+      if (taskData.project) {
+        await this.assertProjectWritable(taskData.project, userId);
+      }
+
+      const customFields = await this.resolveCustomFields(taskData.customFields, project);
+
+      const task = await this.taskRepository.create({
+        ...taskData,
+        customFields,
+        user: userId,
+        watchers: initialWatchers(userId, taskData.assignees),
+        parent: parentId,
+        project,
+        position: await this.endOfColumn(userId, taskData.status || TASK_STATUS.PENDING),
+      });
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.CREATED, null, task, heldEvents);
+
+      logger.info(`Subtask created: ${task._id} under task: ${parentId} by user: ${userId}`);
+
+      return {
+        task,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating subtask:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subtasks of a parent task with roll-up progress
+   * @param {string} parentId - Parent task ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - { subtasks, progress }
+   */
+  async getSubtasks(parentId, userId) {
+    try {
+      const parent = await this.taskRepository.findByIdAndUser(parentId, userId);
+
+      if (!parent) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Parent task not found');
+      }
+
+      const subtasks = await this.taskRepository.findSubtasks(parentId);
+
+      const counts = subtasks.reduce((acc, subtask) => {
+        acc[subtask.status] = (acc[subtask.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      return {
+        subtasks,
+        progress: calculateProgress(counts),
+      };
+    } catch (error) {
+      logger.error('Error getting subtasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a task as blocked by another task
+   * @param {string} taskId - Blocked task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} blockerId - Blocking task ID
+   * @returns {Promise<Object>}
+   */
+  async addDependency(taskId, userId, blockerId) {
+    try {
+      if (taskId.toString() === blockerId.toString()) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'A task cannot block itself');
+      }
+
+      const [task, blocker] = await Promise.all([
+        this.taskRepository.findByIdAndUser(taskId, userId),
+        this.taskRepository.findByIdAndUser(blockerId, userId),
+      ]);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      if (!blocker) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Blocking task not found');
+      }
+
+      if (task.blockedBy.some((id) => id.toString() === blockerId.toString())) {
+        throw new ApiError(409, ERROR_MESSAGES.DUPLICATE_ENTRY, 'Dependency already exists');
+      }
+
+      if (task.blockedBy.length >= TASK_DEPENDENCIES.MAX_BLOCKERS) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          `A task cannot have more than ${TASK_DEPENDENCIES.MAX_BLOCKERS} blockers`
+        );
+      }
+
+      if (await this.createsCycle(taskId, blockerId, userId)) {
+        throw new ApiError(409, ERROR_MESSAGES.CONFLICT, 'Dependency would create a cycle');
+      }
+
+      const updatedTask = await this.taskRepository.addDependency(taskId, blockerId);
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Task ${taskId} is now blocked by ${blockerId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Dependency added successfully',
+      };
+    } catch (error) {
+      logger.error('Error adding task dependency:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a blocking task from a task
+   * @param {string} taskId - Blocked task ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} blockerId - Blocking task ID
+   * @returns {Promise<Object>}
+   */
+  async removeDependency(taskId, userId, blockerId) {
+    try {
+      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      if (!task.blockedBy.some((id) => id.toString() === blockerId.toString())) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Dependency not found');
+      }
+
+      const updatedTask = await this.taskRepository.removeDependency(taskId, blockerId);
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Task ${taskId} is no longer blocked by ${blockerId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Dependency removed successfully',
+      };
+    } catch (error) {
+      logger.error('Error removing task dependency:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether blocking taskId with blockerId would close a cycle,
+   * i.e. whether blockerId is already (transitively) blocked by taskId
+   * @param {string} taskId - Task that would become blocked
+   * @param {string} blockerId - Task that would block it
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async createsCycle(taskId, blockerId, userId) {
+    const target = taskId.toString();
+    const visited = new Set([blockerId.toString()]);
+
+    // Breadth-first: each level of blockers is loaded with one query
+    const reachesTarget = async (frontier) => {
+      if (frontier.length === 0) {
+        return false;
+      }
+
+      const tasks = await this.taskRepository.findByIdsAndUser(frontier, userId, {
+        select: 'blockedBy',
+      });
+
+      const next = [];
+      const found = tasks.some((task) => task.blockedBy.some((id) => {
+        const key = id.toString();
+
+        if (key === target) {
+          return true;
+        }
+
+        if (!visited.has(key)) {
+          visited.add(key);
+          next.push(key);
+        }
+
+        return false;
+      }));
+
+      return found || reachesTarget(next);
+    };
+
+    return reachesTarget([blockerId]);
+  }
+
+  /**
+   * Get the dependency graph around a task
+   * Walks blockers upstream and dependents downstream
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - { root, nodes, edges, truncated }
+   */
+  async getDependencyGraph(taskId, userId) {
+    try {
+      const root = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!root) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      const nodes = new Map([[root._id.toString(), root]]);
+      const edges = new Map();
+      let truncated = false;
+
+      const addNodes = (tasks) => tasks.filter((task) => {
+        const key = task._id.toString();
+
+        if (nodes.has(key)) {
+          return false;
+        }
+
+        if (nodes.size >= TASK_DEPENDENCIES.MAX_GRAPH_NODES) {
+          truncated = true;
+          return false;
+        }
+
+        nodes.set(key, task);
+        return true;
+      });
+
+      // Upstream: everything that blocks the root, transitively, a level per query
+      const walkUpstream = async (frontier) => {
+        const blockerIds = frontier.flatMap((task) => task.blockedBy
+          .map((id) => id.toString())
+          .filter((id) => !nodes.has(id)));
+
+        if (blockerIds.length === 0) {
+          return;
+        }
+
+        const blockers = await this.taskRepository.findByIdsAndUser(blockerIds, userId);
+        await walkUpstream(addNodes(blockers));
+      };
+
+      // Downstream: everything the root blocks, transitively, a level per query
+      const walkDownstream = async (frontier) => {
+        if (frontier.length === 0) {
+          return;
+        }
+
+        const dependents = await this.taskRepository.findDependents(
+          frontier.map((task) => task._id),
+          userId
+        );
+        await walkDownstream(addNodes(dependents));
+      };
+
+      await walkUpstream([root]);
+      await walkDownstream([root]);
+
+      // Statuses of blockers outside the graph are needed to flag blocked nodes
+      const outsideIds = [...new Set([...nodes.values()]
+        .flatMap((task) => task.blockedBy.map((id) => id.toString()))
+        .filter((id) => !nodes.has(id)))];
+      const outside = outsideIds.length > 0
+        ? await this.taskRepository.findByIdsAndUser(outsideIds, userId, { select: 'status' })
+        : [];
+
+      const statuses = new Map([...nodes.values(), ...outside]
+        .map((task) => [task._id.toString(), task.status]));
+      const isOpen = (id) => [TASK_STATUS.PENDING, TASK_STATUS.IN_PROGRESS]
+        .includes(statuses.get(id.toString()));
+
+      nodes.forEach((task) => {
+        task.blockedBy.forEach((blockerId) => {
+          if (nodes.has(blockerId.toString())) {
+            const from = blockerId.toString();
+            const to = task._id.toString();
+            edges.set(`${from}:${to}`, { from, to });
+          }
+        });
+      });
+
+      return {
+        root: root._id,
+        nodes: [...nodes.values()].map((task) => ({
+          _id: task._id,
+          title: task.title,
+          status: task.status,
+          priority: task.priority,
+          dueDate: task.dueDate,
+          isBlocked: task.blockedBy.some(isOpen),
+        })),
+        edges: [...edges.values()],
+        truncated,
+      };
+    } catch (error) {
+      logger.error('Error getting dependency graph:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start watching a task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (owner or assignee)
+   * @returns {Promise<Object>}
+   */
+  async watchTask(taskId, userId) {
+    try {
+      const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      // null when already watching: nothing changed
+      const updatedTask = await this.taskRepository.addWatcher(taskId, userId);
+
+      logger.info(`User ${userId} is watching task: ${taskId}`);
+
+      return {
+        task: updatedTask || task,
+        message: 'You are now watching this task',
+      };
+    } catch (error) {
+      logger.error('Error watching task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop watching a task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (owner or assignee)
+   * @returns {Promise<Object>}
+   */
+  async unwatchTask(taskId, userId) {
+    try {
+      const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      // null when not watching: nothing changed
+      const updatedTask = await this.taskRepository.removeWatcher(taskId, userId);
+
+      logger.info(`User ${userId} stopped watching task: ${taskId}`);
+
+      return {
+        task: updatedTask || task,
+        message: 'You are no longer watching this task',
+      };
+    } catch (error) {
+      logger.error('Error unwatching task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tasks a user watches, recently changed first
+   * @param {string} userId - User ID
+   * @param {Object} paginationOptions - { page, limit, cursor, withTotal }
+   * @returns {Promise<Object>}
+   */
+  async getWatchedTasks(userId, paginationOptions = {}) {
+    try {
+      return await this.taskRepository.findWatchedByUser(userId, {
+        page: parseInt(paginationOptions.page) || PAGINATION.DEFAULT_PAGE,
+        limit: Math.min(
+          parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
+          PAGINATION.MAX_LIMIT
+        ),
+        cursor: paginationOptions.cursor,
+        withTotal: paginationOptions.withTotal,
+      });
+    } catch (error) {
+      logger.error('Error getting watched tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remind watchers of open tasks that are due soon or have just become
+   * overdue. Each reminder goes out once per due date; moving the due
+   * date arms it again.
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} - Number of reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    try {
+      const dueSoon = await this.sendReminders(
+        'dueSoon',
+        { $gt: now, $lte: new Date(now.getTime() + NOTIFICATIONS.DUE_SOON_HOURS * HOUR_MS) },
+        TASK_EVENTS.DUE_SOON
+      );
+      const overdue = await this.sendReminders(
+        'overdue',
+        {
+          $gt: new Date(now.getTime() - NOTIFICATIONS.OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS),
+          $lte: now,
+        },
+        TASK_EVENTS.OVERDUE
+      );
+
+      if (dueSoon + overdue > 0) {
+        logger.info(`Due date reminders sent: ${dueSoon} due soon, ${overdue} overdue`);
+      }
+
+      return dueSoon + overdue;
+    } catch (error) {
+      logger.error('Error sending due date reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an item to the end of a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (must own the task)
+   * @param {Object} itemData - { text }
+   * @returns {Promise<Object>}
+   */
+  async addChecklistItem(taskId, userId, { text }) {
+    try {
+      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      if (task.checklist.length >= TASK_CHECKLIST.MAX_ITEMS) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          `A checklist cannot have more than ${TASK_CHECKLIST.MAX_ITEMS} items`
+        );
+      }
+
+      const updatedTask = await this.taskRepository.addChecklistItem(taskId, { text });
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Checklist item added to task: ${taskId} by user: ${userId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Checklist item added successfully',
+      };
+    } catch (error) {
+      logger.error('Error adding checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a checklist item
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (must own the task)
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} itemData - { text }
+   * @returns {Promise<Object>}
+   */
+  async renameChecklistItem(taskId, userId, itemId, { text }) {
+    try {
+      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      findChecklistItem(task, itemId);
+
+      const updatedTask = await this.taskRepository.updateChecklistItem(taskId, itemId, { text });
+
+      if (!updatedTask) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Checklist item not found');
+      }
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Checklist item ${itemId} renamed on task: ${taskId} by user: ${userId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Checklist item updated successfully',
+      };
+    } catch (error) {
+      logger.error('Error renaming checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check or uncheck a checklist item
+   * Assignees may tick items off as well as the owner
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (owner or assignee)
+   * @param {string} itemId - Checklist item ID
+   * @param {boolean} checked - Target state
+   * @returns {Promise<Object>}
+   */
+  async setChecklistItemChecked(taskId, userId, itemId, checked) {
+    try {
+      const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      const message = checked ? 'Checklist item checked' : 'Checklist item unchecked';
+
+      // Already in the requested state: nothing to write or record
+      if (findChecklistItem(task, itemId).checked === checked) {
+        return { task, message };
+      }
+
+      const updatedTask = await this.taskRepository.updateChecklistItem(taskId, itemId, {
+        checked,
+        checkedAt: checked ? new Date() : null,
+      });
+
+      if (!updatedTask) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Checklist item not found');
+      }
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`${message}: ${itemId} on task: ${taskId} by user: ${userId}`);
+
+      return {
+        task: updatedTask,
+        message,
+      };
+    } catch (error) {
+      logger.error('Error checking checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a task's checklist in a new order
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (must own the task)
+   * @param {string[]} itemIds - Every item ID, in the new order
+   * @returns {Promise<Object>}
+   */
+  async reorderChecklist(taskId, userId, itemIds) {
+    try {
+      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      const items = itemIds.map((itemId) => task.checklist.id(itemId));
+
+      if (items.length !== task.checklist.length || items.some((item) => !item)) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          'Item IDs must list every checklist item of the task exactly once'
+        );
+      }
+
+      // Saved only if nobody added or removed items since the task was read
+      const updatedTask = await this.taskRepository.replaceChecklist(
+        taskId,
+        task.__v,
+        items.map((item) => item.toObject())
+      );
+
+      if (!updatedTask) {
+        throw new ApiError(
+          409,
+          ERROR_MESSAGES.CONFLICT,
+          'The checklist changed while it was being reordered; reload it and try again'
+        );
+      }
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Checklist reordered on task: ${taskId} by user: ${userId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Checklist reordered successfully',
+      };
+    } catch (error) {
+      logger.error('Error reordering checklist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item from a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (must own the task)
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<Object>}
+   */
+  async removeChecklistItem(taskId, userId, itemId) {
+    try {
+      const task = await this.taskRepository.findByIdAndUser(taskId, userId);
+
+      if (!task) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+      }
+
+      findChecklistItem(task, itemId);
+
+      const updatedTask = await this.taskRepository.removeChecklistItem(taskId, itemId);
+
+      await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.UPDATED, task, updatedTask);
+
+      logger.info(`Checklist item ${itemId} removed from task: ${taskId} by user: ${userId}`);
+
+      return {
+        task: updatedTask,
+        message: 'Checklist item removed successfully',
+      };
+    } catch (error) {
+      logger.error('Error removing checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate the next occurrence of a recurring task
+   * The new task keeps the series schedule, shifted forward from the
+   * current occurrence's due date
+   * @param {Task} task - Completed occurrence
+   * @param {string} userId - User who completed it
+   * @returns {Promise<Task|null>} - null when the series has ended
+   */
+  async scheduleNextOccurrence(task, userId) {
+    const occurrence = task.occurrence || 1;
+    const dueDate = getNextOccurrence(task.dueDate, task.recurrence, occurrence);
+
+    if (!dueDate) {
+      logger.info(`Recurring series ended with task: ${task._id}`);
+      return null;
+    }
+
+    const nextTask = await this.taskRepository.create({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      tags: task.tags,
+      customFields: task.customFields,
+      checklist: task.checklist.map((item) => ({ text: item.text })), // Unchecked again
+      requireChecklist: task.requireChecklist,
+      user: task.user,
+      watchers: task.watchers,
+      parent: task.parent,
+      project: task.project,
+      dueDate,
+      recurrence: task.recurrence.toObject ? task.recurrence.toObject() : task.recurrence,
+      series: task.series || task._id,
+      occurrence: occurrence + 1,
+      position: await this.endOfColumn(task.user, TASK_STATUS.PENDING),
+    });
+
+    await this.taskRepository.updateById(task._id, { nextOccurrence: nextTask._id });
+    await this.recordActivity(userId, TASK_ACTIVITY.ACTIONS.CREATED, null, nextTask);
+
+    logger.info(`Next occurrence ${nextTask._id} scheduled for task: ${task._id}`);
+
+    return nextTask;
+  }
+
+  /**
+   * Position just below the last task of a board column
+   * @param {string} userId - Owner user ID
+   * @param {string} status - Column status
+   * @param {string} excludeId - Task to leave out (e.g. the one being moved)
+   * @returns {Promise<number>}
+   */
+  async endOfColumn(userId, status, excludeId = null) {
+    const last = await this.taskRepository.getLastPosition(userId, status, excludeId);
+    return (last === null ? 0 : last) + TASK_POSITION.GAP;
+  }
+
+  /**
+   * Compute the position of a task dropped between two neighbors
+   * @param {Task} task - Task being moved
+   * @param {string} status - Target column
+   * @param {Object} neighbors - { prevId, nextId }
+   * @param {boolean} rebalanced - Whether the column was just renumbered
+   * @returns {Promise<number>}
+   */
+  async resolvePosition(task, status, { prevId, nextId }, rebalanced = false) {
+    const loadNeighbor = async (neighborId) => {
+      if (!neighborId) {
+        return null;
+      }
+
+      if (neighborId.toString() === task._id.toString()) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'A task cannot be its own neighbor');
+      }
+
+      const neighbor = await this.taskRepository.findInColumn(neighborId, task.user, status);
+
+      if (!neighbor) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          `Neighbor ${neighborId} is not in the ${status} column`
+        );
+      }
+
+      return neighbor;
+    };
+
+    let [prev, next] = await Promise.all([loadNeighbor(prevId), loadNeighbor(nextId)]);
+
+    if (!prev && !next) {
+      return this.endOfColumn(task.user, status, task._id);
+    }
+
+    if (prev && !next) {
+      next = await this.taskRepository.findColumnNeighbor(task.user, status, prev, 'after', task._id);
+    } else if (next && !prev) {
+      prev = await this.taskRepository.findColumnNeighbor(task.user, status, next, 'before', task._id);
+    } else if (prev.position > next.position) {
+      throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'prevId must come before nextId');
+    }
+
+    if (!next) {
+      return prev.position + TASK_POSITION.GAP;
+    }
+
+    if (!prev) {
+      return next.position - TASK_POSITION.GAP;
+    }
+
+    // Out of room between the neighbors: renumber the column once and retry
+    if (next.position - prev.position < TASK_POSITION.MIN_GAP) {
+      if (rebalanced) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'Cannot place task between its neighbors');
+      }
+
+      await this.taskRepository.rebalanceColumn(task.user, status, TASK_POSITION.GAP);
+      logger.info(`Board column rebalanced: ${status} of user: ${task.user}`);
+
+      return this.resolvePosition(
+        task,
+        status,
+        { prevId: prev._id, nextId: next._id },
+        true
+      );
+    }
+
+    return (prev.position + next.position) / 2;
+  }
+
+  /**
+   * Record a change of a task in its history
+   * @param {string} actorId - User who made the change
+   * @param {string} action - One of TASK_ACTIVITY.ACTIONS
+   * @param {Object|null} before - Previous version (null on create)
+   * @param {Object} after - Current version
+   * @param {Object[]|null} heldEvents - Collects the change event instead of emitting it
+   * @returns {Promise<void>}
+   */
+  async recordActivity(actorId, action, before, after, heldEvents = null) {
+    const entry = buildActivity(actorId, action, before, after);
+
+    if (entry) {
+      await this.taskActivityRepository.record([entry]);
+
+      if (heldEvents) {
+        heldEvents.push({ entry, task: after });
+      } else {
+        publishChange(entry, after);
+      }
+    }
+  }
+
+  /**
+   * Emit the change events a batch held back, once it can no longer be
+   * rolled back; a batch that fails simply drops them
+   * @param {Object[]} heldEvents - { entry, task } pairs
+   */
+  publishHeld(heldEvents) {
+    heldEvents.forEach(({ entry, task }) => publishChange(entry, task));
+  }
+
+  /**
+   * Send one kind of due date reminder for every task due within a range,
+   * one batch (and one event) at a time
+   * Tasks are marked before the event goes out, so a failing listener can
+   * cost a reminder but never repeat one
+   * @param {string} reminder - Reminder kind: 'dueSoon' or 'overdue'
+   * @param {Object} dueRange - Due date range criterion
+   * @param {string} event - One of TASK_EVENTS
+   * @returns {Promise<number>} - Number of tasks reminded
+   */
+  async sendReminders(reminder, dueRange, event) {
+    const batch = await this.taskRepository.findDueForReminder(
+      reminder,
+      dueRange,
+      NOTIFICATIONS.REMINDER_BATCH_SIZE
+    );
+
+    if (batch.length === 0) {
+      return 0;
+    }
+
+    await this.taskRepository.markReminded(batch.map((task) => task._id), reminder);
+    publishReminders(event, batch);
+
+    // Marked tasks drop out of the query, so a full batch means there may be more
+    if (batch.length < NOTIFICATIONS.REMINDER_BATCH_SIZE) {
+      return batch.length;
+    }
+
+    return batch.length + await this.sendReminders(reminder, dueRange, event);
+  }
+
+  /**
+   * Check new task data against the database: project, assignees and
+   * custom field values
+   * @param {string} userId - User ID
+   * @param {Object} taskData - Task data validated by createTaskSchema
+   * @returns {Promise<Object>} - Task data with validated custom field values
+   */
+  async prepareTask(userId, taskData) {
+    if (taskData.project) {
+      await this.assertProjectWritable(taskData.project, userId);
+    }
+
+    if (taskData.assignees) {
+      await this.assertAssignable(taskData.assignees);
+    }
+
+    return {
+      ...taskData,
+      customFields: await this.resolveCustomFields(taskData.customFields, taskData.project),
+    };
+  }
+
+  /**
+   * Ensure a project exists, belongs to the user and is not archived
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Project>}
+   */
+  async assertProjectWritable(projectId, userId) {
+    const project = await this.projectRepository.findByIdAndOwner(projectId, userId);
+
+    if (!project) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Project not found');
+    }
+
+    if (project.isArchived) {
+      throw new ApiError(409, ERROR_MESSAGES.CONFLICT, 'Cannot add tasks to an archived project');
+    }
+
+    return project;
+  }
+
+  /**
+   * Ensure every assignee is an active user
+   * @param {string[]} assigneeIds - User IDs
+   * @returns {Promise<void>}
+   */
+  async assertAssignable(assigneeIds) {
+    if (assigneeIds.length > TASK_ASSIGNMENT.MAX_ASSIGNEES) {
+      throw new ApiError(
+        422,
+        ERROR_MESSAGES.VALIDATION_ERROR,
+        `A task cannot have more than ${TASK_ASSIGNMENT.MAX_ASSIGNEES} assignees`
+      );
+    }
+
+    const users = await this.userRepository.findActiveByIds(assigneeIds);
+
+    if (users.length !== new Set(assigneeIds.map(String)).size) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'One or more assignees not found');
+    }
+  }
+
+  /**
+   * Validate custom field values against the fields that apply to a task
+   * @param {Object} values - Submitted values (null clears a value)
+   * @param {string|null} projectId - The task's project
+   * @param {Object} existing - Current values, merged with the submitted ones
+   * @returns {Promise<Object>} - Validated values
+   */
+  async resolveCustomFields(values = {}, projectId = null, existing = null) {
+    const definitions = await this.customFieldRepository.findApplicable(projectId);
+    const definedKeys = new Set(definitions.map((field) => field.key));
+
+    // Values of fields that do not apply to the (new) project are dropped
+    const current = Object.entries(existing || {}).filter(([key]) => definedKeys.has(key));
+
+    const { error, value } = buildCustomFieldsSchema(definitions).validate(
+      { ...Object.fromEntries(current), ...values },
+      { abortEarly: false }
+    );
+
+    if (error) {
+      throw new ApiError(
+        422,
+        ERROR_MESSAGES.VALIDATION_ERROR,
+        error.details.map((detail) => detail.message).join(', ')
+      );
+    }
+
+    const userIds = definitions
+      .filter((field) => field.type === CUSTOM_FIELD_TYPES.USER && value[field.key])
+      .map((field) => value[field.key]);
+
+    if (userIds.length > 0) {
+      const users = await this.userRepository.findActiveByIds(userIds);
+
+      if (users.length !== new Set(userIds).size) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Custom field user not found');
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).filter(([, fieldValue]) => fieldValue !== null)
+    );
+  }
+
+  /**
+   * Rank the tasks matching a search
+   * Words and phrases are matched with the text indexes on tasks (title,
+   * description, tags) and their comments; prefixes must match the task itself.
+   * At most SEARCH.MAX_MATCHES tasks are ranked, and comments are only
+   * searched on the newest SEARCH.MAX_COMMENT_SCOPE tasks in scope.
+   * @param {Object} criteria - Scope and filter criteria
+   * @param {Object} search - Parsed search (see parseSearch)
+   * @returns {Promise<Map>} - Task ID to relevance score, best first
+   */
+  async rankSearchMatches(criteria, search) {
+    const scoped = search.prefixes.length > 0
+      ? {
+        ...criteria,
+        $and: search.prefixes.map((prefix) => {
+          const regex = prefixRegex(prefix);
+          return { $or: [{ title: regex }, { description: regex }, { tags: regex }] };
+        }),
+      }
+      : criteria;
+
+    if (!search.text) {
+      const ids = await this.taskRepository.findIds(scoped, SEARCH.MAX_MATCHES);
+      return new Map(ids.map((id) => [id.toString(), 0]));
+    }
+
+    const [taskMatches, taskIds] = await Promise.all([
+      this.taskRepository.findTextMatches(scoped, search.text, SEARCH.MAX_MATCHES),
+      this.taskRepository.findIds(scoped, SEARCH.MAX_COMMENT_SCOPE),
+    ]);
+
+    const commentMatches = taskIds.length > 0
+      ? await this.commentRepository.scoreTasksByText(search.text, taskIds, SEARCH.MAX_MATCHES)
+      : [];
+
+    const scores = new Map(taskMatches.map((match) => [match._id.toString(), match.score]));
+
+    commentMatches.forEach((match) => {
+      const key = match._id.toString();
+      scores.set(key, (scores.get(key) || 0) + match.score * SEARCH.COMMENT_WEIGHT);
+    });
+
+    return new Map(
+      [...scores.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, SEARCH.MAX_MATCHES)
+    );
+  }
+
+  /**
+   * Attach relevance scores and highlighted snippets to search results
+   * @param {Object[]} tasks - Plain task objects
+   * @param {Object} search - Parsed search (see parseSearch)
+   * @param {Map} scores - Task ID to relevance score
+   * @returns {Promise<Object[]>}
+   */
+  async attachSearchHighlights(tasks, search, scores) {
+    const comments = search.text && tasks.length > 0
+      ? await this.commentRepository.findTextMatches(search.text, tasks.map((task) => task._id))
+      : [];
+
+    // Comments come best first, so the first one per task is kept
+    const bestComments = new Map();
+    comments.forEach((comment) => {
+      const key = comment.task.toString();
+
+      if (!bestComments.has(key)) {
+        bestComments.set(key, comment.body);
+      }
+    });
+
+    return tasks.map((task) => {
+      const key = task._id.toString();
+
+      return {
+        ...task,
+        score: Math.round(scores.get(key) * 1000) / 1000,
+        highlights: {
+          title: highlight(task.title, search),
+          description: highlight(task.description, search, { snippet: true }),
+          tags: (task.tags || []).map((tag) => highlight(tag, search)).filter(Boolean),
+          comment: highlight(bestComments.get(key), search, { snippet: true }),
+        },
+      };
+    });
+  }
+
+  /**
+   * Attach roll-up progress to top-level tasks
+   * @param {Task[]} tasks - Task documents
+   * @returns {Promise<Object[]>} - Plain task objects with a progress field
+   */
+  async attachProgress(tasks) {
+    const parentIds = tasks
+      .filter((task) => !task.parent)
+      .map((task) => task._id.toString());
+
+    const counts = parentIds.length > 0
+      ? await this.taskRepository.getSubtaskStatusCounts(parentIds)
+      : {};
+
+    return tasks.map((task) => ({
+      ...task.toJSON(),
+      progress: task.parent ? null : calculateProgress(counts[task._id.toString()]),
+    }));
+  }
+
+  /**
+   * Get task statistics for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getTaskStatistics(userId) {
+    try {
+      const stats = await this.taskRepository.getStatistics(userId);
+      return stats;
+    } catch (error) {
+      logger.error('Error getting task statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get overdue tasks for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getOverdueTasks(userId) {
+    try {
+      const tasks = await this.taskRepository.findOverdueTasks(
+        userId,
+        await this.taskFilters.activeProjectCriteria(userId)
+      );
+      return tasks;
+    } catch (error) {
+      logger.error('Error getting overdue tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get upcoming tasks for a user
+   * @param {string} userId - User ID
+   * @param {number} days - Number of days to look ahead
+   * @returns {Promise<Array>}
+   */
+  async getUpcomingTasks(userId, days = 7) {
+    try {
+      const tasks = await this.taskRepository.findUpcomingTasks(
+        userId,
+        days,
+        await this.taskFilters.activeProjectCriteria(userId)
+      );
       return tasks;
     } catch (error) {
       logger.error('Error getting upcoming tasks:', error);
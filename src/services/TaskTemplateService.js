@@ -0,0 +1,273 @@
+const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { resolveDate } = require('../utils/dateTokens');
+
+/**
+ * Turn a template (or one of its subtasks) into task data
+ * @param {Object} item - Template or template subtask
+ * @param {Date} startDate - Date the due offsets count from
+ * @returns {Object}
+ */
+const toTaskData = (item, startDate) => {
+  const taskData = { title: item.title, tags: [...item.tags] };
+
+  if (item.description) {
+    taskData.description = item.description;
+  }
+
+  if (item.priority) {
+    taskData.priority = item.priority;
+  }
+
+  if (item.dueOffset) {
+    taskData.dueDate = resolveDate(item.dueOffset, startDate);
+  }
+
+  return taskData;
+};
+
+/**
+ * Task Template Service
+ * Handles reusable task templates and creates tasks from them
+ * Implements Dependency Injection pattern
+ */
+class TaskTemplateService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {TaskTemplateRepository} taskTemplateRepository - Injected template repository
+   * @param {TaskService} taskService - Injected task service (creates the tasks)
+   * @param {TaskRepository} taskRepository - Injected task repository (rollback)
+   * @param {TaskActivityRepository} taskActivityRepository - Injected activity repository
+   */
+  constructor(taskTemplateRepository, taskService, taskRepository, taskActivityRepository) {
+    this.taskTemplateRepository = taskTemplateRepository;
+    this.taskService = taskService;
+    this.taskRepository = taskRepository;
+    this.taskActivityRepository = taskActivityRepository;
+  }
+
+  /**
+   * Save a template
+   * @param {string} userId - Owner user ID
+   * @param {Object} templateData - Template data
+   * @returns {Promise<Object>}
+   */
+  async createTemplate(userId, templateData) {
+    try {
+      const template = await this.taskTemplateRepository.create({
+        ...templateData,
+        user: userId,
+      });
+
+      logger.info(`Task template created: ${template._id} by user: ${userId}`);
+
+      return {
+        template,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating task template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all templates of a user
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<TaskTemplate[]>}
+   */
+  async getTemplates(userId) {
+    try {
+      return await this.taskTemplateRepository.findByUser(userId);
+    } catch (error) {
+      logger.error('Error getting task templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId - Template ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<TaskTemplate>}
+   */
+  async getTemplateById(templateId, userId) {
+    try {
+      const template = await this.taskTemplateRepository.findByIdAndUser(templateId, userId);
+
+      if (!template) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Template not found');
+      }
+
+      return template;
+    } catch (error) {
+      logger.error('Error getting task template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a template; given subtasks replace the saved ones
+   * @param {string} templateId - Template ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} updateData - Template data
+   * @returns {Promise<Object>}
+   */
+  async updateTemplate(templateId, userId, updateData) {
+    try {
+      const template = await this.taskTemplateRepository.updateOne(
+        { _id: templateId, user: userId },
+        updateData
+      );
+
+      if (!template) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Template not found');
+      }
+
+      logger.info(`Task template updated: ${templateId} by user: ${userId}`);
+
+      return {
+        template,
+        message: SUCCESS_MESSAGES.UPDATED,
+      };
+    } catch (error) {
+      logger.error('Error updating task template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a template; tasks created from it are kept
+   * @param {string} templateId - Template ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>}
+   */
+  async deleteTemplate(templateId, userId) {
+    try {
+      const template = await this.taskTemplateRepository.deleteOne({
+        _id: templateId,
+        user: userId,
+      });
+
+      if (!template) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Template not found');
+      }
+
+      logger.info(`Task template deleted: ${templateId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting task template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a task and its subtasks from a template
+   * Due offsets are resolved against the start date. If any task cannot
+   * be created, the ones already created are removed again.
+   * @param {string} templateId - Template ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { startDate (ISO date or date token, default now), project }
+   * @returns {Promise<Object>} - { task, subtasks, message }
+   */
+  async instantiateTemplate(templateId, userId, { startDate = null, project = null } = {}) {
+    try {
+      const template = await this.getTemplateById(templateId, userId);
+      const start = startDate ? resolveDate(startDate) : new Date();
+
+      const taskData = toTaskData(template, start);
+      const subtasksData = template.subtasks.map((subtask) => toTaskData(subtask, start));
+
+      const now = new Date();
+      const overdue = [taskData, ...subtasksData]
+        .find((data) => data.dueDate && data.dueDate <= now);
+
+      if (overdue) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          `The due date of "${overdue.title}" would be in the past; choose a later start date`
+        );
+      }
+
+      // Watchers hear of the new tasks only once all of them exist
+      const heldEvents = [];
+      const { task } = await this.taskService.createTask(
+        userId,
+        project ? { ...taskData, project } : taskData,
+        { heldEvents }
+      );
+      const subtasks = await this.createSubtasks(task, userId, subtasksData, heldEvents);
+
+      this.taskService.publishHeld(heldEvents);
+
+      logger.info(`Task template instantiated: ${templateId} as task: ${task._id} by user: ${userId}`);
+
+      return {
+        task,
+        subtasks,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error instantiating task template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create subtasks in order; on failure remove them and their parent
+   * @param {Task} parent - Task created from the template
+   * @param {string} userId - Owner user ID
+   * @param {Object[]} subtasksData - Subtask data
+   * @param {Object[]} heldEvents - Collects the change events of the subtasks
+   * @returns {Promise<Task[]>}
+   */
+  async createSubtasks(parent, userId, subtasksData, heldEvents) {
+    const created = [];
+
+    try {
+      // One after the other, so the subtasks keep the order of the template
+      await subtasksData.reduce(async (previous, subtaskData) => {
+        await previous;
+
+        const { task } = await this.taskService.createSubtask(
+          parent._id,
+          userId,
+          subtaskData,
+          { heldEvents }
+        );
+        created.push(task);
+      }, Promise.resolve());
+
+      return created;
+    } catch (error) {
+      await this.rollback([parent._id, ...created.map((task) => task._id)]);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the tasks of a failed instantiation and their history
+   * Both deletions are always attempted; their failures are only logged,
+   * so the error that failed the instantiation is the one reported
+   * @param {ObjectId[]} ids - IDs of the tasks created so far
+   * @returns {Promise<void>}
+   */
+  async rollback(ids) {
+    const results = await Promise.allSettled([
+      this.taskRepository.deleteMany({ _id: { $in: ids } }),
+      this.taskActivityRepository.deleteMany({ task: { $in: ids } }),
+    ]);
+
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach(({ reason }) => logger.error('Error rolling back task template:', reason));
+  }
+}
+
+module.exports = TaskTemplateService;
@@ -0,0 +1,351 @@
+const { Transform, pipeline } = require('stream');
+const { ERROR_MESSAGES, TASK_TRANSFER } = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { normalizeValue } = require('../utils/diff');
+const { toRuleJSON } = require('../utils/recurrence');
+const { formatRow, unguardField, parseCsv } = require('../utils/csv');
+const { importTaskSchema } = require('../validators/taskValidator');
+
+const {
+  FORMATS,
+  FIELDS,
+  LIST_FIELDS,
+  OBJECT_FIELDS,
+} = TASK_TRANSFER;
+
+const EXPORT_COLUMNS = ['id', ...FIELDS, 'completedAt', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert a task to an export record
+ * @param {Object} task - Plain task object
+ * @returns {Object} - Values keyed by EXPORT_COLUMNS
+ */
+const toExportRecord = (task) => Object.fromEntries(EXPORT_COLUMNS.map((column) => {
+  if (column === 'id') {
+    return [column, task._id.toString()];
+  }
+
+  if (column === 'recurrence') {
+    return [column, toRuleJSON(task.recurrence)];
+  }
+
+  return [column, normalizeValue(task[column])];
+}));
+
+/**
+ * Convert an export record to CSV fields
+ * @param {Object} record - Export record
+ * @returns {string[]}
+ */
+const toCsvFields = (record) => EXPORT_COLUMNS.map((column) => {
+  const value = record[column];
+
+  if (LIST_FIELDS.includes(column)) {
+    return (value || []).join(',');
+  }
+
+  if (OBJECT_FIELDS.includes(column)) {
+    return value && Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+  }
+
+  return value;
+});
+
+/**
+ * Turn a task cursor into the chunks of an export, one task at a time
+ * Destroying the stream (e.g. when the client goes away) closes the cursor
+ * @param {QueryCursor} cursor - Tasks to export
+ * @param {string} format - One of TASK_TRANSFER.FORMATS
+ * @returns {stream.Readable}
+ */
+const exportStream = (cursor, format) => {
+  let first = true;
+
+  const chunks = new Transform({
+    writableObjectMode: true,
+    transform(task, encoding, callback) {
+      const record = toExportRecord(task);
+
+      callback(null, format === FORMATS.CSV
+        ? formatRow(toCsvFields(record))
+        : `${first ? '' : ','}\n${JSON.stringify(record)}`);
+
+      first = false;
+    },
+    flush(callback) {
+      callback(null, format === FORMATS.JSON ? '\n]\n' : null);
+    },
+  });
+
+  chunks.push(format === FORMATS.CSV ? formatRow(EXPORT_COLUMNS) : '[');
+
+  // Failures reach the returned stream, which the caller pipes on
+  return pipeline(cursor, chunks, () => {});
+};
+
+/**
+ * Convert CSV text to import records, using the header row as keys
+ * Empty cells are left out, lists are split on commas and objects parsed
+ * from JSON (text that is not JSON is kept for validation to reject)
+ * @param {string} text - CSV text
+ * @returns {Object[]}
+ */
+const parseCsvRecords = (text) => {
+  let rows;
+
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, `Invalid CSV: ${error.message}`);
+  }
+
+  const [header = [], ...dataRows] = rows;
+  const columns = header.map((column) => column.trim());
+
+  return dataRows.map((fields) => columns.reduce((record, column, index) => {
+    const cell = unguardField(fields[index] || '');
+
+    if (cell.trim() === '') {
+      return record;
+    }
+
+    if (LIST_FIELDS.includes(column)) {
+      record[column] = cell.split(',').map((item) => item.trim()).filter(Boolean);
+    } else if (OBJECT_FIELDS.includes(column)) {
+      try {
+        record[column] = JSON.parse(cell);
+      } catch (error) {
+        record[column] = cell;
+      }
+    } else {
+      record[column] = cell;
+    }
+
+    return record;
+  }, {}));
+};
+
+/**
+ * Drop null members from a JSON import record, so exported empty values
+ * read as "not set" (non-objects are kept for validation to reject)
+ * @param {*} record - Raw record
+ * @returns {*}
+ */
+const dropNulls = (record) => (record && typeof record === 'object' && !Array.isArray(record)
+  ? Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null))
+  : record);
+
+/**
+ * Task Transfer Service
+ * Exports tasks as CSV or JSON and imports them back
+ * Implements Dependency Injection pattern
+ */
+class TaskTransferService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {TaskService} taskService - Injected task service (filters and task creation)
+   * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {TaskActivityRepository} taskActivityRepository - Injected activity repository
+   */
+  constructor(taskService, taskRepository, taskActivityRepository) {
+    this.taskService = taskService;
+    this.taskRepository = taskRepository;
+    this.taskActivityRepository = taskActivityRepository;
+  }
+
+  /**
+   * Export the tasks matching list filters
+   * Tasks are read and written one batch at a time, never all at once
+   * @param {string} userId - User ID
+   * @param {Object} filters - Same filters as the task list
+   * @param {Object} options - { format, sort }
+   * @returns {Promise<Object>} - { stream, contentType, filename }
+   */
+  async exportTasks(userId, filters = {}, { format = FORMATS.JSON, sort = null } = {}) {
+    try {
+      const cursor = await this.taskService.streamUserTasks(userId, filters, {
+        sort,
+        select: EXPORT_COLUMNS.filter((column) => column !== 'id').join(' '),
+      });
+
+      logger.info(`Task export (${format}) started by user: ${userId}`);
+
+      return {
+        stream: exportStream(cursor, format),
+        contentType: format === FORMATS.CSV ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        filename: `tasks-${new Date().toISOString().slice(0, 10)}.${format}`,
+      };
+    } catch (error) {
+      logger.error('Error exporting tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import tasks from CSV or JSON
+   * Every row is checked first; if any row is invalid nothing is imported
+   * and the errors are reported by row number (data rows, from 1).
+   * A dry run only reports what would be imported.
+   * @param {string} userId - User ID
+   * @param {string|Object[]} payload - CSV text or an array of tasks
+   * @param {Object} options - { format: one of TASK_TRANSFER.FORMATS, dryRun }
+   * @returns {Promise<Object>}
+   */
+  async importTasks(userId, payload, { format, dryRun = false } = {}) {
+    try {
+      if (!Object.values(FORMATS).includes(format)) {
+        throw new ApiError(
+          415,
+          ERROR_MESSAGES.UNSUPPORTED_MEDIA_TYPE,
+          'Content-Type must be text/csv or application/json'
+        );
+      }
+
+      if (format === FORMATS.JSON && !Array.isArray(payload)) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'A JSON import must be an array of tasks');
+      }
+
+      const records = format === FORMATS.CSV
+        ? parseCsvRecords(String(payload || ''))
+        : payload.map(dropNulls);
+
+      if (records.length === 0) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, 'There are no tasks to import');
+      }
+
+      if (records.length > TASK_TRANSFER.MAX_IMPORT_ROWS) {
+        throw new ApiError(
+          422,
+          ERROR_MESSAGES.VALIDATION_ERROR,
+          `Cannot import more than ${TASK_TRANSFER.MAX_IMPORT_ROWS} tasks at once`
+        );
+      }
+
+      const tasks = [];
+      const errors = [];
+
+      // Rows are independent, so they are checked side by side
+      const results = await Promise.all(records.map((record) => this.checkRecord(userId, record)));
+
+      results.forEach((result, index) => {
+        if (result.errors) {
+          errors.push({ row: index + 1, errors: result.errors });
+        } else {
+          tasks.push(result.task);
+        }
+      });
+
+      const summary = { total: records.length, valid: tasks.length, invalid: errors.length };
+
+      if (dryRun) {
+        return {
+          dryRun,
+          summary,
+          errors,
+          tasks,
+          message: 'Import checked; nothing was saved',
+        };
+      }
+
+      if (errors.length > 0) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, errors);
+      }
+
+      const created = await this.createAll(userId, tasks);
+
+      logger.info(`Imported ${created.length} task(s) for user: ${userId}`);
+
+      return {
+        dryRun,
+        summary: { ...summary, imported: created.length },
+        errors,
+        tasks: created,
+        message: `${created.length} task(s) imported`,
+      };
+    } catch (error) {
+      logger.error('Error importing tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate one import record like a new task (past due dates included)
+   * @param {string} userId - User ID
+   * @param {*} record - Raw record
+   * @returns {Promise<Object>} - { task } or { errors }
+   */
+  async checkRecord(userId, record) {
+    const { error, value } = importTaskSchema.validate(record, {
+      abortEarly: false,
+      stripUnknown: true, // IDs and timestamps of exported tasks are ignored
+    });
+
+    if (error) {
+      return { errors: error.details.map((detail) => detail.message) };
+    }
+
+    try {
+      await this.taskService.prepareTask(userId, value);
+    } catch (prepareError) {
+      if (!(prepareError instanceof ApiError)) {
+        throw prepareError;
+      }
+
+      return { errors: [prepareError.details || prepareError.message] };
+    }
+
+    return { task: value };
+  }
+
+  /**
+   * Create checked tasks in order, removing them all again if one fails
+   * Change events are held back until every task exists, so watchers are
+   * never told about tasks that a rollback removes
+   * @param {string} userId - User ID
+   * @param {Object[]} tasks - Validated task data
+   * @returns {Promise<Task[]>}
+   */
+  async createAll(userId, tasks) {
+    const created = [];
+    const heldEvents = [];
+
+    try {
+      // One after the other, so the tasks keep the order of the import
+      await tasks.reduce(async (previous, taskData) => {
+        await previous;
+
+        const { task } = await this.taskService.createTask(userId, taskData, { heldEvents });
+        created.push(task);
+      }, Promise.resolve());
+
+      this.taskService.publishHeld(heldEvents);
+
+      return created;
+    } catch (error) {
+      await this.rollback(created.map((task) => task._id));
+
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the tasks of a failed import and their history
+   * Both deletions are always attempted; their failures are only logged,
+   * so the error that failed the import is the one reported
+   * @param {ObjectId[]} ids - IDs of the tasks created so far
+   * @returns {Promise<void>}
+   */
+  async rollback(ids) {
+    const results = await Promise.allSettled([
+      this.taskRepository.deleteMany({ _id: { $in: ids } }),
+      this.taskActivityRepository.deleteMany({ task: { $in: ids } }),
+    ]);
+
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach(({ reason }) => logger.error('Error rolling back task import:', reason));
+  }
+}
+
+module.exports = TaskTransferService;
@@ -0,0 +1,290 @@
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  TASK_STATUS,
+  TIME_ENTRY_SOURCE,
+  TIME_TRACKING,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Sum the minutes of time entries
+ * @param {Object[]} entries - Time entries
+ * @returns {number} - Minutes, rounded to two decimals
+ */
+const sumMinutes = (entries) => Math.round(
+  entries.reduce((sum, entry) => sum + (entry.minutes || 0), 0) * 100
+) / 100;
+
+/**
+ * Time Entry Service
+ * Handles all time tracking business logic
+ * Implements Dependency Injection pattern
+ */
+class TimeEntryService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {TimeEntryRepository} timeEntryRepository - Injected time entry repository
+   * @param {TaskRepository} taskRepository - Injected task repository
+   */
+  constructor(timeEntryRepository, taskRepository) {
+    this.timeEntryRepository = timeEntryRepository;
+    this.taskRepository = taskRepository;
+  }
+
+  /**
+   * Start a timer on a task
+   * A user can only have one running timer at a time
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {Object} timerData - { note }
+   * @returns {Promise<Object>}
+   */
+  async startTimer(taskId, userId, timerData = {}) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+
+      if ([TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED].includes(task.status)) {
+        throw new ApiError(409, ERROR_MESSAGES.CONFLICT, `Cannot track time on a ${task.status} task`);
+      }
+
+      const running = await this.timeEntryRepository.findRunningByUser(userId);
+
+      if (running) {
+        throw new ApiError(
+          409,
+          ERROR_MESSAGES.CONFLICT,
+          `A timer is already running on task: ${running.task._id}`
+        );
+      }
+
+      const entry = await this.timeEntryRepository.create({
+        user: userId,
+        task: taskId,
+        source: TIME_ENTRY_SOURCE.TIMER,
+        startedAt: new Date(),
+        isRunning: true,
+        note: timerData.note,
+      });
+
+      logger.info(`Timer started: ${entry._id} on task: ${taskId} by user: ${userId}`);
+
+      return {
+        entry,
+        message: 'Timer started successfully',
+      };
+    } catch (error) {
+      logger.error('Error starting timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the user's running timer on a task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async stopTimer(taskId, userId) {
+    try {
+      await this.getAccessibleTask(taskId, userId);
+      const running = await this.timeEntryRepository.findRunningByUser(userId);
+
+      if (!running || running.task._id.toString() !== taskId.toString()) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'No running timer on this task');
+      }
+
+      await this.timeEntryRepository.stopRunning({ _id: running._id });
+      const entry = await this.timeEntryRepository.findById(running._id);
+
+      logger.info(`Timer stopped: ${entry._id} after ${entry.minutes} minute(s)`);
+
+      return {
+        entry,
+        message: 'Timer stopped successfully',
+      };
+    } catch (error) {
+      logger.error('Error stopping timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log time on a task manually
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {Object} entryData - { minutes, startedAt, note }
+   * @returns {Promise<Object>}
+   */
+  async addManualEntry(taskId, userId, entryData) {
+    try {
+      await this.getAccessibleTask(taskId, userId);
+
+      // Without a start time the entry is assumed to have just ended
+      const startedAt = entryData.startedAt
+        ? new Date(entryData.startedAt)
+        : new Date(Date.now() - entryData.minutes * 60000);
+
+      const entry = await this.timeEntryRepository.create({
+        user: userId,
+        task: taskId,
+        source: TIME_ENTRY_SOURCE.MANUAL,
+        startedAt,
+        endedAt: new Date(startedAt.getTime() + entryData.minutes * 60000),
+        minutes: entryData.minutes,
+        note: entryData.note,
+      });
+
+      logger.info(`Time entry created: ${entry._id} on task: ${taskId} by user: ${userId}`);
+
+      return {
+        entry,
+        message: SUCCESS_MESSAGES.CREATED,
+      };
+    } catch (error) {
+      logger.error('Error creating time entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get time entries of a task with totals against its estimate
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - { entries, totals }
+   */
+  async getTaskTimeEntries(taskId, userId) {
+    try {
+      const task = await this.getAccessibleTask(taskId, userId);
+      const entries = await this.timeEntryRepository.findByTask(taskId);
+      const totalMinutes = sumMinutes(entries);
+
+      return {
+        entries,
+        totals: {
+          totalMinutes,
+          estimatedMinutes: task.estimatedMinutes,
+          remainingMinutes: task.estimatedMinutes === null
+            ? null
+            : Math.max(task.estimatedMinutes - totalMinutes, 0),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting task time entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the user's own time entries
+   * @param {string} taskId - Task ID
+   * @param {string} entryId - Time entry ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>}
+   */
+  async deleteTimeEntry(taskId, entryId, userId) {
+    try {
+      const entry = await this.timeEntryRepository.findByIdAndUser(entryId, userId);
+
+      if (!entry || entry.task.toString() !== taskId.toString()) {
+        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Time entry not found');
+      }
+
+      await this.timeEntryRepository.deleteById(entryId);
+
+      logger.info(`Time entry deleted: ${entryId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error deleting time entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's running timer
+   * @param {string} userId - User ID
+   * @returns {Promise<TimeEntry|null>}
+   */
+  async getRunningTimer(userId) {
+    try {
+      return await this.timeEntryRepository.findRunningByUser(userId);
+    } catch (error) {
+      logger.error('Error getting running timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report the user's tracked time in a date range, per task
+   * @param {string} userId - User ID
+   * @param {Object} filters - { from, to, project, tag }
+   * @returns {Promise<Object>}
+   */
+  async getTimeReport(userId, filters = {}) {
+    try {
+      const to = filters.to ? new Date(filters.to) : new Date();
+      const from = filters.from
+        ? new Date(filters.from)
+        : new Date(to.getTime() - TIME_TRACKING.DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to) {
+        throw new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, '"from" must be before "to"');
+      }
+
+      const entries = await this.timeEntryRepository.findForReport(userId, {
+        from,
+        to,
+        project: filters.project,
+        tag: filters.tag,
+      });
+
+      const byTask = new Map();
+      entries.forEach((entry) => {
+        const key = entry.task._id.toString();
+
+        if (!byTask.has(key)) {
+          byTask.set(key, { task: entry.task, entries: [] });
+        }
+
+        byTask.get(key).entries.push(entry);
+      });
+
+      return {
+        from,
+        to,
+        totalMinutes: sumMinutes(entries),
+        tasks: [...byTask.values()].map(({ task, entries: taskEntries }) => ({
+          task,
+          minutes: sumMinutes(taskEntries),
+          entryCount: taskEntries.length,
+        })),
+        entries,
+      };
+    } catch (error) {
+      logger.error('Error getting time report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a task the user owns or is assigned to
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Task>}
+   */
+  async getAccessibleTask(taskId, userId) {
+    const task = await this.taskRepository.findAccessibleById(taskId, userId);
+
+    if (!task) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found');
+    }
+
+    return task;
+  }
+}
+
+module.exports = TimeEntryService;
@@ -0,0 +1,241 @@
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PAGINATION,
+  TASK_ACTIVITY,
+  TRASH,
+} = require('../config/constants');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { publishChange } = require('../events/taskChanges');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash Service
+ * Lists, restores and permanently purges soft-deleted tasks
+ * Implements Dependency Injection pattern
+ */
+class TrashService {
+  /**
+   * Constructor with Dependency Injection
+   * @param {TaskRepository} taskRepository - Injected task repository
+   * @param {TaskActivityRepository} taskActivityRepository - Injected activity repository
+   * @param {CommentRepository} commentRepository - Injected comment repository
+   * @param {AttachmentRepository} attachmentRepository - Injected attachment repository
+   * @param {TimeEntryRepository} timeEntryRepository - Injected time entry repository
+   * @param {StorageDriver} storage - Injected storage driver
+   */
+  constructor(
+    taskRepository,
+    taskActivityRepository,
+    commentRepository,
+    attachmentRepository,
+    timeEntryRepository,
+    storage
+  ) {
+    this.taskRepository = taskRepository;
+    this.taskActivityRepository = taskActivityRepository;
+    this.commentRepository = commentRepository;
+    this.attachmentRepository = attachmentRepository;
+    this.timeEntryRepository = timeEntryRepository;
+    this.storage = storage;
+  }
+
+  /**
+   * Get the user's trashed tasks, each with the time it will be purged
+   * @param {string} userId - Owner user ID
+   * @param {Object} paginationOptions - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async getTrash(userId, paginationOptions = {}) {
+    try {
+      const result = await this.taskRepository.findTrashByUser(userId, {
+        page: parseInt(paginationOptions.page) || PAGINATION.DEFAULT_PAGE,
+        limit: Math.min(
+          parseInt(paginationOptions.limit) || PAGINATION.DEFAULT_LIMIT,
+          PAGINATION.MAX_LIMIT
+        ),
+        cursor: paginationOptions.cursor,
+        withTotal: paginationOptions.withTotal,
+      });
+
+      return {
+        ...result,
+        data: result.data.map((task) => ({
+          ...task.toJSON(),
+          purgeAt: new Date(
+            (task.deletedAt || task.updatedAt).getTime() + TRASH.RETENTION_DAYS * DAY_MS
+          ),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error getting trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a trashed task, together with the subtasks deleted along with it
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>}
+   */
+  async restoreTask(taskId, userId) {
+    try {
+      const trashed = await this.getTrashedTask(taskId, userId);
+
+      // A subtask cannot come back under a parent that is still in the trash
+      if (trashed.parent) {
+        const parent = await this.taskRepository.findByIdAndUser(trashed.parent, userId);
+
+        if (!parent) {
+          throw new ApiError(409, ERROR_MESSAGES.CONFLICT, 'Restore the parent task first');
+        }
+      }
+
+      // Subtasks trashed on their own earlier stay in the trash
+      const subtasks = trashed.deletedAt
+        ? await this.taskRepository.findSubtasksDeletedAt(taskId, trashed.deletedAt)
+        : [];
+
+      const task = await this.taskRepository.restore(taskId);
+
+      if (subtasks.length > 0) {
+        await this.taskRepository.restoreSubtasks(subtasks.map((subtask) => subtask._id));
+      }
+
+      const [entry, ...subtaskEntries] = [task, ...subtasks].map((restored) => ({
+        task: restored._id,
+        actor: userId,
+        action: TASK_ACTIVITY.ACTIONS.RESTORED,
+        changes: [{ field: 'isDeleted', from: true, to: false }],
+      }));
+
+      await this.taskActivityRepository.record([entry, ...subtaskEntries]);
+      // Watchers were told of the deletion, so they hear of the restore too
+      publishChange(entry, task);
+
+      logger.info(`Task restored: ${taskId} by user: ${userId}`);
+
+      return {
+        task,
+        message: 'Task restored successfully',
+      };
+    } catch (error) {
+      logger.error('Error restoring task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a trashed task and everything attached to it
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>}
+   */
+  async purgeTask(taskId, userId) {
+    try {
+      const task = await this.getTrashedTask(taskId, userId);
+
+      await this.purgeTasks([task._id]);
+
+      logger.info(`Task permanently deleted: ${taskId} by user: ${userId}`);
+
+      return {
+        message: SUCCESS_MESSAGES.DELETED,
+      };
+    } catch (error) {
+      logger.error('Error permanently deleting task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge every task that has been in the trash longer than the retention period
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} - Number of tasks purged, subtasks included
+   */
+  async purgeExpired(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - TRASH.RETENTION_DAYS * DAY_MS);
+      const purged = await this.purgeExpiredBatches(cutoff);
+
+      if (purged > 0) {
+        logger.info(`Trash sweep purged ${purged} task(s) deleted before ${cutoff.toISOString()}`);
+      }
+
+      return purged;
+    } catch (error) {
+      logger.error('Error purging expired trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge tasks trashed before a cutoff, one batch after the other
+   * Batches keep memory bounded; a full batch means there may be more
+   * @param {Date} cutoff - Trashed before this time
+   * @returns {Promise<number>} - Number of tasks purged, subtasks included
+   */
+  async purgeExpiredBatches(cutoff) {
+    const batch = await this.taskRepository.findExpiredTrashIds(cutoff, TRASH.SWEEP_BATCH_SIZE);
+
+    if (batch.length === 0) {
+      return 0;
+    }
+
+    const purged = await this.purgeTasks(batch);
+
+    return batch.length === TRASH.SWEEP_BATCH_SIZE
+      ? purged + await this.purgeExpiredBatches(cutoff)
+      : purged;
+  }
+
+  /**
+   * Hard delete tasks, their subtasks and all dependent data
+   * Files and dependent records go first and the tasks last, so an
+   * interrupted purge is simply picked up again by the next sweep
+   * @param {ObjectId[]} taskIds - Task IDs
+   * @returns {Promise<number>} - Number of tasks deleted
+   */
+  async purgeTasks(taskIds) {
+    const subtaskIds = await this.taskRepository.findSubtaskIds(taskIds);
+    const ids = [...taskIds, ...subtaskIds];
+
+    const attachments = await this.attachmentRepository.findByTasksWithKeys(ids);
+    await Promise.all(attachments.map((attachment) => this.storage.remove(attachment.storageKey)));
+
+    await Promise.all([
+      this.attachmentRepository.deleteMany({ task: { $in: ids } }),
+      this.commentRepository.deleteMany({ task: { $in: ids } }),
+      this.timeEntryRepository.deleteMany({ task: { $in: ids } }),
+      this.taskActivityRepository.deleteMany({ task: { $in: ids } }),
+    ]);
+
+    // Tasks that were blocked by a purged task are no longer
+    await this.taskRepository.removeBlockers(ids);
+
+    const { deletedCount } = await this.taskRepository.deleteMany({ _id: { $in: ids } });
+
+    return deletedCount;
+  }
+
+  /**
+   * Find a task in the user's trash
+   * @param {string} taskId - Task ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Task>}
+   */
+  async getTrashedTask(taskId, userId) {
+    const task = await this.taskRepository.findTrashedByIdAndUser(taskId, userId);
+
+    if (!task) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'Task not found in trash');
+    }
+
+    return task;
+  }
+}
+
+module.exports = TrashService;
@@ -1,6 +1,7 @@
 const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
+const { versionCriteria, preconditionFailed } = require('../utils/etag');
 
 /**
  * User Service
@@ -40,9 +41,10 @@ class UserService {
    * Update user profile
    * @param {string} userId - User ID
    * @param {Object} updateData - Data to update
+   * @param {Object} options - { ifMatch: versions accepted by If-Match }
    * @returns {Promise<Object>}
    */
-  async updateProfile(userId, updateData) {
+  async updateProfile(userId, updateData, { ifMatch = null } = {}) {
     try {
       // Prevent updating sensitive fields
       const allowedFields = ['name'];
@@ -54,10 +56,14 @@ class UserService {
         }
       });
 
-      const user = await this.userRepository.updateById(userId, filteredData);
+      const user = await this.userRepository.updateOne(
+        { _id: userId, ...versionCriteria(ifMatch) },
+        filteredData
+      );
 
       if (!user) {
-        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'User not found');
+        await this.assertUserExists(userId);
+        throw preconditionFailed();
       }
 
       logger.info(`User profile updated: ${userId}`);
@@ -112,14 +118,16 @@ class UserService {
   /**
    * Deactivate user account
    * @param {string} userId - User ID
+   * @param {Object} options - { ifMatch: versions accepted by If-Match }
    * @returns {Promise<Object>}
    */
-  async deactivateAccount(userId) {
+  async deactivateAccount(userId, { ifMatch = null } = {}) {
     try {
-      const user = await this.userRepository.deactivateUser(userId);
+      const user = await this.userRepository.deactivateUser(userId, ifMatch);
 
       if (!user) {
-        throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'User not found');
+        await this.assertUserExists(userId);
+        throw preconditionFailed();
       }
 
       logger.info(`User account deactivated: ${userId}`);
@@ -161,6 +169,20 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Ensure a user exists, so a failed conditional write can be told apart
+   * from a missing user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async assertUserExists(userId) {
+    const exists = await this.userRepository.exists({ _id: userId });
+
+    if (!exists) {
+      throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND, 'User not found');
+    }
+  }
 }
 
 module.exports = UserService;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const StorageDriver = require('./StorageDriver');
+
+/**
+ * Local Storage Driver
+ * Stores attachments on the local filesystem below a root directory
+ */
+class LocalStorageDriver extends StorageDriver {
+  /**
+   * @param {string} rootPath - Directory files are stored in
+   */
+  constructor(rootPath) {
+    super();
+    this.rootPath = path.resolve(rootPath);
+  }
+
+  /**
+   * Store file contents under a key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Open a readable stream for a stored file
+   * @param {string} key - Storage key
+   * @returns {Promise<fs.ReadStream>}
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    // Fail here rather than on the first read, before headers are sent
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Remove a stored file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Map a key to a path, refusing keys that escape the root directory
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootPath, key);
+
+    if (!filePath.startsWith(`${this.rootPath}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorageDriver;
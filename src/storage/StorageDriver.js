@@ -0,0 +1,37 @@
+/**
+ * Storage Driver Base Class
+ * Defines the interface every attachment storage backend implements.
+ * Files are addressed by an opaque key chosen by the caller.
+ * Subclasses override every method with the parameters documented here.
+ */
+class StorageDriver {
+  /**
+   * Store file contents under a key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async save() {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Open a readable stream for a stored file
+   * @param {string} key - Storage key
+   * @returns {Promise<stream.Readable>}
+   */
+  async createReadStream() {
+    throw new Error(`${this.constructor.name} does not implement createReadStream()`);
+  }
+
+  /**
+   * Remove a stored file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+}
+
+module.exports = StorageDriver;
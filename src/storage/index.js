@@ -0,0 +1,28 @@
+const { ATTACHMENTS } = require('../config/constants');
+const LocalStorageDriver = require('./LocalStorageDriver');
+
+/**
+ * Storage Factory
+ * Creates the storage driver configured by STORAGE_DRIVER.
+ * Register additional backends (e.g. S3) in `drivers`.
+ */
+const drivers = {
+  local: () => new LocalStorageDriver(ATTACHMENTS.LOCAL_STORAGE_PATH),
+};
+
+/**
+ * Create a storage driver
+ * @param {string} driver - Driver name
+ * @returns {StorageDriver}
+ */
+const createStorage = (driver = ATTACHMENTS.STORAGE_DRIVER) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return drivers[driver]();
+};
+
+module.exports = {
+  createStorage,
+};
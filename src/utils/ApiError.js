@@ -7,7 +7,7 @@ class ApiError extends Error {
    * Create an API Error
    * @param {number} statusCode - HTTP status code
    * @param {string} message - Error message
-   * @param {string} details - Additional error details
+   * @param {string|Object[]} details - Additional error details (a list for per-item errors)
    * @param {boolean} isOperational - Whether error is operational (expected)
    */
   constructor(
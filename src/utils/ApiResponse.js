@@ -36,13 +36,20 @@ class ApiResponse {
 
   /**
    * Create a success response with pagination
+   * nextCursor/prevCursor are always present (null when there is no such page)
    * @param {*} data - Response data
-   * @param {Object} pagination - Pagination info
+   * @param {Object} pagination - Pagination info (page or cursor based)
    * @param {string} message - Success message
    * @returns {ApiResponse}
    */
   static successWithPagination(data, pagination, message = 'Success') {
-    return new ApiResponse(200, data, message, { pagination });
+    return new ApiResponse(200, data, message, {
+      pagination: {
+        ...pagination,
+        nextCursor: pagination.nextCursor || null,
+        prevCursor: pagination.prevCursor || null,
+      },
+    });
   }
 
   /**
@@ -0,0 +1,116 @@
+/**
+ * CSV Utility Functions
+ * RFC 4180 formatting and parsing: comma separated, fields quoted when
+ * they contain a comma, quote or line break, quotes doubled inside quotes
+ */
+
+const NEEDS_QUOTES = /[",\r\n]/;
+
+// Cells a spreadsheet would run as a formula are prefixed with a quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV field
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a CSV line, line break included
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+const formatRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+/**
+ * Undo the formula guard added by formatField
+ * @param {string} text - Field text
+ * @returns {string}
+ */
+const unguardField = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1))
+  ? text.slice(1)
+  : text);
+
+/**
+ * Parse CSV text into rows of fields
+ * Blank lines are skipped and a leading byte order mark is ignored
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ * @throws {Error} When a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRow = () => {
+    row.push(field);
+
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+
+    row = [];
+    field = '';
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+
+      endRow();
+    } else {
+      field += char;
+    }
+
+    index += 1;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  endRow();
+
+  return rows;
+};
+
+module.exports = {
+  formatRow,
+  unguardField,
+  parseCsv,
+};
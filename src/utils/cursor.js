@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+/**
+ * Cursor Utility Functions
+ * Keyset pagination: a cursor holds the sort values of the last (or first)
+ * item of a page, and the next page continues strictly after them.
+ * Cursors are opaque base64url strings tied to the sort order they came from.
+ */
+
+const CURSOR_DIRECTIONS = {
+  NEXT: 'next',
+  PREV: 'prev',
+};
+
+/**
+ * Normalize a Mongoose sort to [field, direction] pairs
+ * _id is appended as a tie-breaker so the order is total
+ * @param {Object|string} sort - e.g. { createdAt: -1 } or '-createdAt'
+ * @returns {Array[]} - e.g. [['createdAt', -1], ['_id', -1]]
+ */
+const normalizeSort = (sort) => {
+  let entries;
+
+  if (typeof sort === 'string') {
+    entries = sort.split(/\s+/).filter(Boolean).map((field) => (
+      field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+    ));
+  } else {
+    entries = Object.entries(sort || {}).map(([field, direction]) => (
+      [field, ['desc', 'descending', -1, '-1'].includes(direction) ? -1 : 1]
+    ));
+  }
+
+  if (!entries.some(([field]) => field === '_id')) {
+    const lastDirection = entries.length > 0 ? entries[entries.length - 1][1] : 1;
+    entries.push(['_id', lastDirection]);
+  }
+
+  return entries;
+};
+
+/**
+ * Describe a sort so cursors can be checked against it
+ * @param {Array[]} sortEntries - Normalized sort
+ * @returns {string}
+ */
+const sortSignature = (sortEntries) => sortEntries
+  .map(([field, direction]) => `${field}:${direction}`)
+  .join(',');
+
+/**
+ * Serialize a sort value, keeping Dates and ObjectIds apart from strings
+ * @param {*} value - Sort value
+ * @returns {*}
+ */
+const serializeValue = (value) => {
+  if (value instanceof Date) {
+    return { $d: value.toISOString() };
+  }
+
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $o: value.toString() };
+  }
+
+  return value === undefined ? null : value;
+};
+
+/**
+ * Revive a serialized sort value
+ * @param {*} value - Serialized value
+ * @returns {*}
+ */
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$d === 'string') {
+      return new Date(value.$d);
+    }
+
+    if (typeof value.$o === 'string' && mongoose.Types.ObjectId.isValid(value.$o)) {
+      return new mongoose.Types.ObjectId(value.$o);
+    }
+
+    // Anything else could smuggle query operators into the criteria
+    throw new Error('Unexpected cursor value');
+  }
+
+  return value;
+};
+
+/**
+ * Read a (possibly nested) field of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {string} field - Field path
+ * @returns {*}
+ */
+const readField = (doc, field) => (
+  typeof doc.get === 'function'
+    ? doc.get(field)
+    : field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc)
+);
+
+/**
+ * Build a cursor pointing at a document
+ * @param {Object} doc - Boundary document
+ * @param {Array[]} sortEntries - Normalized sort
+ * @param {string} direction - One of CURSOR_DIRECTIONS
+ * @returns {string}
+ */
+const encodeCursor = (doc, sortEntries, direction) => Buffer.from(JSON.stringify({
+  s: sortSignature(sortEntries),
+  d: direction,
+  v: sortEntries.map(([field]) => serializeValue(readField(doc, field))),
+})).toString('base64url');
+
+/**
+ * Decode a cursor for a sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array[]} sortEntries - Normalized sort of the current request
+ * @returns {Object} - { direction, values }
+ * @throws {ApiError} - 422 when the cursor is malformed or from another sort
+ */
+const decodeCursor = (cursor, sortEntries) => {
+  try {
+    const { s, d, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (
+      s !== sortSignature(sortEntries)
+      || !Object.values(CURSOR_DIRECTIONS).includes(d)
+      || !Array.isArray(v)
+      || v.length !== sortEntries.length
+    ) {
+      throw new Error('Cursor does not match the sort order');
+    }
+
+    return { direction: d, values: v.map(deserializeValue) };
+  } catch (error) {
+    throw new ApiError(
+      422,
+      ERROR_MESSAGES.VALIDATION_ERROR,
+      'Invalid cursor; it may belong to a different sort order'
+    );
+  }
+};
+
+/**
+ * Criterion for values strictly after a value in a sort direction
+ * MongoDB sorts null first, so nulls come after every value when descending
+ * @param {string} field - Field path
+ * @param {*} value - Boundary value
+ * @param {number} direction - 1 or -1
+ * @returns {Object|null} - null when nothing can come after
+ */
+const afterValue = (field, value, direction) => {
+  if (direction === 1) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Build criteria for the documents after a cursor position
+ * (a, b) > (x, y) becomes: a > x, or a = x and b > y
+ * @param {Array[]} sortEntries - Normalized sort, already flipped for backward pages
+ * @param {Array} values - Boundary values, one per sort entry
+ * @returns {Object}
+ */
+const keysetCriteria = (sortEntries, values) => {
+  const branches = sortEntries
+    .map(([field, direction], index) => {
+      const after = afterValue(field, values[index], direction);
+
+      if (!after) {
+        return null;
+      }
+
+      const equalities = sortEntries
+        .slice(0, index)
+        .map(([previous], previousIndex) => ({ [previous]: values[previousIndex] }));
+
+      return equalities.length > 0 ? { $and: [...equalities, after] } : after;
+    })
+    .filter(Boolean);
+
+  // Nothing can follow the boundary
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+module.exports = {
+  CURSOR_DIRECTIONS,
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  keysetCriteria,
+};
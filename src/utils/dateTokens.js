@@ -0,0 +1,68 @@
+/**
+ * Date Token Utility Functions
+ * Resolves relative dates such as "today", "now+3d" or "today-1w"
+ * at query time, so saved filters stay current.
+ * All arithmetic is done in UTC.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const UNIT_MS = {
+  h: HOUR_MS,
+  d: 24 * HOUR_MS,
+  w: 7 * 24 * HOUR_MS,
+};
+
+// An anchor, an offset, or an anchor followed by an offset
+const DATE_TOKEN_PATTERN = /^(?=.)(now|today|tomorrow|yesterday)?(?:([+-])(\d{1,4})([hdw]))?$/;
+
+// A bare offset such as "+3d", resolved against a given reference time
+const DATE_OFFSET_PATTERN = /^[+-]\d{1,4}[hdw]$/;
+
+/**
+ * Get midnight (UTC) of the day a date falls on
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => new Date(
+  Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+);
+
+/**
+ * Check whether a value is a date token
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isDateToken = (value) => typeof value === 'string' && DATE_TOKEN_PATTERN.test(value);
+
+/**
+ * Resolve a date token (or a plain date) to a Date
+ * A bare offset such as "+3d" is relative to now
+ * @param {string|Date} value - Token, ISO date string or Date
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+const resolveDate = (value, now = new Date()) => {
+  if (!isDateToken(value)) {
+    return new Date(value);
+  }
+
+  const [, anchor = 'now', sign, amount, unit] = value.match(DATE_TOKEN_PATTERN);
+  const anchors = {
+    now: () => now,
+    today: () => startOfDay(now),
+    tomorrow: () => new Date(startOfDay(now).getTime() + UNIT_MS.d),
+    yesterday: () => new Date(startOfDay(now).getTime() - UNIT_MS.d),
+  };
+
+  const base = anchors[anchor]();
+  const offset = sign ? Number(`${sign}${amount}`) * UNIT_MS[unit] : 0;
+
+  return new Date(base.getTime() + offset);
+};
+
+module.exports = {
+  DATE_TOKEN_PATTERN,
+  DATE_OFFSET_PATTERN,
+  isDateToken,
+  resolveDate,
+};
@@ -0,0 +1,56 @@
+/**
+ * Diff Utility Functions
+ * Field-level comparison of documents for change logs
+ */
+
+/**
+ * Convert a field value to plain JSON (ObjectIds and Dates become strings)
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Check whether a normalized value carries no information
+ * @param {*} value - Normalized value
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === null
+  || value === ''
+  || (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ * List the fields whose values differ between two versions of a document
+ * A new document lists only the fields set to something other than a
+ * default: blank and false values are left out.
+ * @param {Object} before - Previous version (null for a new document)
+ * @param {Object} after - Current version
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+const diffFields = (before, after, fields) => fields.reduce((changes, field) => {
+  const from = normalizeValue(before ? before[field] : null);
+  const to = normalizeValue(after ? after[field] : null);
+
+  if (!before && to === false) {
+    return changes;
+  }
+
+  // null, '', [] and {} are treated as the same "unset" value
+  if (JSON.stringify(from) !== JSON.stringify(to) && !(isBlank(from) && isBlank(to))) {
+    changes.push({ field, from, to });
+  }
+
+  return changes;
+}, []);
+
+module.exports = {
+  normalizeValue,
+  diffFields,
+};
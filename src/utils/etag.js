@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const ApiError = require('./ApiError');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+/**
+ * ETag Utility Functions
+ * A document's version (__v, bumped on every write by the versioning
+ * plugin) is its entity tag for conditional requests. Responses that
+ * carry more than the document (related documents, derived or
+ * time-dependent values) add a hash of the body, so If-None-Match never
+ * matches a changed response; If-Match only compares the version.
+ */
+
+const ENTITY_TAG_PATTERN = /(W\/)?"([^"]*)"/g;
+const VERSION_PATTERN = /^(\d+)(?:\.[A-Za-z0-9_-]+)?$/;
+
+/**
+ * Format a document version as a strong ETag
+ * @param {number} version - Document version (__v)
+ * @param {Object} body - Response body, when it holds more than the document
+ * @returns {string} - e.g. "3", or "3.<hash of the body>"
+ */
+const toETag = (version, body) => {
+  if (body === undefined) {
+    return `"${version}"`;
+  }
+
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+
+  return `"${version}.${hash}"`;
+};
+
+/**
+ * Set the ETag response header
+ * Express answers a matching If-None-Match with 304 on its own
+ * @param {Response} res - Express response
+ * @param {number} version - Document version (__v)
+ * @param {Object} body - Response body, when it holds more than the document
+ */
+const setETag = (res, version, body) => {
+  res.set('ETag', toETag(version, body));
+};
+
+/**
+ * Parse an If-Match header into the versions it accepts
+ * If-Match uses strong comparison, so weak and foreign tags match nothing
+ * @param {string} header - Raw If-Match header
+ * @returns {number[]|null} - null when absent or "*" (any existing version)
+ */
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return [...header.matchAll(ENTITY_TAG_PATTERN)]
+    .filter(([, weak, tag]) => !weak && VERSION_PATTERN.test(tag))
+    .map(([, , tag]) => Number(tag.match(VERSION_PATTERN)[1]));
+};
+
+/**
+ * Create the error for a failed If-Match
+ * @returns {ApiError} - 412 Precondition Failed
+ */
+const preconditionFailed = () => new ApiError(
+  412,
+  ERROR_MESSAGES.PRECONDITION_FAILED,
+  'The resource has been modified since it was fetched'
+);
+
+/**
+ * Ensure a document is at a version accepted by If-Match
+ * @param {Document} document - Current document
+ * @param {number[]|null} ifMatch - Accepted versions (null accepts any)
+ * @throws {ApiError} - 412 when the document has changed
+ */
+const assertVersion = (document, ifMatch) => {
+  if (ifMatch && !ifMatch.includes(document.__v)) {
+    throw preconditionFailed();
+  }
+};
+
+/**
+ * Criteria limiting a write to the versions accepted by If-Match
+ * @param {number[]|null} ifMatch - Accepted versions (null accepts any)
+ * @returns {Object}
+ */
+const versionCriteria = (ifMatch) => (ifMatch ? { __v: { $in: ifMatch } } : {});
+
+module.exports = {
+  toETag,
+  setETag,
+  parseIfMatch,
+  preconditionFailed,
+  assertVersion,
+  versionCriteria,
+};
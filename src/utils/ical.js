@@ -0,0 +1,102 @@
+/**
+ * iCalendar Utility Functions
+ * Just enough RFC 5545 to publish a read-only feed: text escaping,
+ * date formats, line folding and component serialization
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a UTC DATE-TIME value, e.g. 20300115T093000Z
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a DATE value (UTC calendar day), e.g. 20300115
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Fold a content line so no line exceeds 75 octets
+ * Continuation lines start with a space; multi-byte characters are never split
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  Array.from(line).forEach((char) => {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  });
+
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Serialize a component and its sub-components
+ * Properties with a null, undefined or empty value are left out
+ * @param {string} type - Component name, e.g. VEVENT
+ * @param {Array[]} properties - [name, value] pairs; values are already formatted
+ * @param {Array[]} components - Nested [type, properties] pairs
+ * @returns {string[]} - Content lines
+ */
+const serializeComponent = (type, properties, components = []) => [
+  `BEGIN:${type}`,
+  ...properties
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${name}:${value}`),
+  ...components.flatMap(([childType, childProperties]) => serializeComponent(
+    childType,
+    childProperties
+  )),
+  `END:${type}`,
+];
+
+/**
+ * Build a VCALENDAR document
+ * @param {Array[]} properties - Calendar properties as [name, value] pairs
+ * @param {Array[]} components - [type, properties] pairs, e.g. ['VEVENT', [...]]
+ * @returns {string} - CRLF-terminated iCalendar text
+ */
+const buildCalendar = (properties, components) => `${serializeComponent(
+  'VCALENDAR',
+  [['VERSION', '2.0'], ...properties],
+  components
+).map(foldLine).join('\r\n')}\r\n`;
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  foldLine,
+  buildCalendar,
+};
@@ -0,0 +1,260 @@
+const ApiError = require('./ApiError');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+/**
+ * Patch Utility Functions
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) applied to
+ * plain JSON documents. Neither function mutates its input.
+ */
+
+const ARRAY_INDEX_PATTERN = /^(0|[1-9][0-9]*)$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Create the error for a patch that cannot be applied
+ * @param {string} details - What went wrong
+ * @returns {ApiError}
+ */
+const invalidPatch = (details) => new ApiError(422, ERROR_MESSAGES.VALIDATION_ERROR, details);
+
+/**
+ * Compare two JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+
+    return keys.length === Object.keys(b).length
+      && keys.every((key) => hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+
+  return a === b;
+};
+
+/**
+ * Apply a JSON Merge Patch
+ * Objects are merged recursively, null removes a member and any other
+ * value (arrays included) replaces it
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} - Patched document
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? structuredClone(target) : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into reference tokens
+ * @param {string} pointer - e.g. "/tags/0"
+ * @returns {string[]}
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw invalidPatch(`Invalid JSON pointer "${pointer}"`);
+  }
+
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Find the container a pointer points into
+ * @param {*} document - Document
+ * @param {string[]} tokens - Reference tokens (at least one)
+ * @param {string} pointer - Original pointer, for error messages
+ * @returns {Object} - { container, key }
+ */
+const resolveContainer = (document, tokens, pointer) => {
+  const container = tokens.slice(0, -1).reduce((node, token) => {
+    let child;
+
+    if (Array.isArray(node) && ARRAY_INDEX_PATTERN.test(token)) {
+      child = node[Number(token)];
+    } else if (isObject(node) && hasOwn(node, token)) {
+      child = node[token];
+    }
+
+    if (child === null || typeof child !== 'object') {
+      throw invalidPatch(`Path "${pointer}" does not exist`);
+    }
+
+    return child;
+  }, document);
+
+  if (container === null || typeof container !== 'object') {
+    throw invalidPatch(`Path "${pointer}" does not exist`);
+  }
+
+  return { container, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the value a pointer points at
+ * @param {*} document - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*}
+ */
+const getValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { container, key } = resolveContainer(document, tokens, pointer);
+  const exists = Array.isArray(container)
+    ? ARRAY_INDEX_PATTERN.test(key) && Number(key) < container.length
+    : hasOwn(container, key);
+
+  if (!exists) {
+    throw invalidPatch(`Path "${pointer}" does not exist`);
+  }
+
+  return container[Array.isArray(container) ? Number(key) : key];
+};
+
+/**
+ * Add a value at a pointer (inserting into arrays)
+ * @param {*} document - Document, modified in place
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - Value to add
+ * @returns {*} - Document (a new one when the root is replaced)
+ */
+const addValue = (document, pointer, value) => {
+  const tokens = parsePointer(pointer);
+
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { container, key } = resolveContainer(document, tokens, pointer);
+
+  if (Array.isArray(container)) {
+    const index = key === '-' ? container.length : Number(key);
+
+    if ((key !== '-' && !ARRAY_INDEX_PATTERN.test(key)) || index > container.length) {
+      throw invalidPatch(`Path "${pointer}" is out of bounds`);
+    }
+
+    container.splice(index, 0, value);
+  } else {
+    container[key] = value;
+  }
+
+  return document;
+};
+
+/**
+ * Remove the value at a pointer
+ * @param {*} document - Document, modified in place
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} - Document
+ */
+const removeValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+
+  if (tokens.length === 0) {
+    throw invalidPatch('The whole document cannot be removed');
+  }
+
+  getValue(document, pointer);
+
+  const { container, key } = resolveContainer(document, tokens, pointer);
+
+  if (Array.isArray(container)) {
+    container.splice(Number(key), 1);
+  } else {
+    delete container[key];
+  }
+
+  return document;
+};
+
+/**
+ * Apply a JSON Patch
+ * Operations run in order and the patch applies completely or not at all
+ * @param {*} document - Document to patch
+ * @param {Object[]} operations - [{ op, path, value, from }]
+ * @returns {*} - Patched document
+ */
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw invalidPatch('A JSON Patch must be an array of operations');
+  }
+
+  return operations.reduce((result, operation, index) => {
+    if (!isObject(operation) || typeof operation.path !== 'string') {
+      throw invalidPatch(`Operation ${index} must have an "op" and a "path"`);
+    }
+
+    const { op, path, from } = operation;
+    const hasValue = hasOwn(operation, 'value');
+
+    if (['add', 'replace', 'test'].includes(op) && !hasValue) {
+      throw invalidPatch(`Operation ${index} (${op}) requires a "value"`);
+    }
+
+    switch (op) {
+      case 'add':
+        return addValue(result, path, structuredClone(operation.value));
+
+      case 'remove':
+        return removeValue(result, path);
+
+      case 'replace':
+        return addValue(removeValue(result, path), path, structuredClone(operation.value));
+
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw invalidPatch(`Operation ${index} cannot move a value into itself`);
+        }
+
+        const value = getValue(result, from);
+        return addValue(removeValue(result, from), path, value);
+      }
+
+      case 'copy':
+        return addValue(result, path, structuredClone(getValue(result, from)));
+
+      case 'test':
+        if (!isEqual(getValue(result, path), operation.value)) {
+          throw new ApiError(409, ERROR_MESSAGES.CONFLICT, `Test failed at "${path}"`);
+        }
+        return result;
+
+      default:
+        throw invalidPatch(`Operation ${index} has an unknown op "${op}"`);
+    }
+  }, structuredClone(document));
+};
+
+module.exports = {
+  isEqual,
+  applyMergePatch,
+  applyJsonPatch,
+};
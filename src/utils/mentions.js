@@ -0,0 +1,35 @@
+/**
+ * Mention Utility Functions
+ * Parses @email and @userId mentions out of free text
+ */
+
+// "@" followed by an email address or a 24-character ObjectId
+const MENTION_PATTERN = /(?:^|[^\w@])@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}|[0-9a-fA-F]{24})\b/g;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Extract mentioned emails and user IDs from text
+ * @param {string} text - Text to scan
+ * @returns {Object} - { emails, userIds } without duplicates
+ */
+const extractMentions = (text = '') => {
+  const emails = new Set();
+  const userIds = new Set();
+
+  [...text.matchAll(MENTION_PATTERN)].forEach(([, mention]) => {
+    if (OBJECT_ID_PATTERN.test(mention)) {
+      userIds.add(mention.toLowerCase());
+    } else {
+      emails.add(mention.toLowerCase());
+    }
+  });
+
+  return {
+    emails: [...emails],
+    userIds: [...userIds],
+  };
+};
+
+module.exports = {
+  extractMentions,
+};
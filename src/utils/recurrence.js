@@ -0,0 +1,179 @@
+const { RECURRENCE_FREQUENCY, WEEKDAYS } = require('../config/constants');
+
+/**
+ * Recurrence Utility Functions
+ * Computes occurrences for RRULE-style schedules.
+ * All arithmetic is done in UTC so the time of day is preserved.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Number of days
+ * @returns {Date}
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @returns {number}
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Get the Monday that starts the week of a date
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+const startOfWeek = (date) => {
+  const day = date.getUTCDay();
+  const offset = day === 0 ? 6 : day - 1;
+  const start = addDays(date, -offset);
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+};
+
+/**
+ * Next weekly occurrence, honouring the weekday list and week interval
+ * @param {Date} date - Current occurrence
+ * @param {number} interval - Every N weeks
+ * @param {string[]} byWeekday - RRULE weekday codes
+ * @returns {Date}
+ */
+const nextWeekly = (date, interval, byWeekday) => {
+  if (!byWeekday || byWeekday.length === 0) {
+    return addDays(date, 7 * interval);
+  }
+
+  const weekdays = byWeekday.map((code) => WEEKDAYS.indexOf(code));
+  const currentWeek = startOfWeek(date).getTime();
+
+  // Look far enough ahead to reach the first weekday of the next valid week
+  for (let offset = 1; offset <= 7 * (interval + 1); offset += 1) {
+    const candidate = addDays(date, offset);
+    const weeksApart = Math.round((startOfWeek(candidate).getTime() - currentWeek) / (7 * DAY_MS));
+
+    if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+
+  return addDays(date, 7 * interval);
+};
+
+/**
+ * Next monthly occurrence on a given day, clamped to the month length
+ * Without a day, the current one is kept (see anchorRule)
+ * @param {Date} date - Current occurrence
+ * @param {number} interval - Every N months
+ * @param {number} byMonthDay - Day of month (1-31)
+ * @returns {Date}
+ */
+const nextMonthly = (date, interval, byMonthDay) => {
+  const day = byMonthDay || date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + interval, 1));
+  const year = target.getUTCFullYear();
+  const month = target.getUTCMonth();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(day, daysInMonth(year, month)),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Compute the occurrence that follows a given one
+ * @param {Date} date - Due date of the current occurrence
+ * @param {Object} rule - Recurrence rule
+ * @param {string} rule.frequency - daily, weekly or monthly
+ * @param {number} [rule.interval=1] - Every N days/weeks/months
+ * @param {string[]} [rule.byWeekday] - Weekdays for weekly rules (e.g. ['MO', 'TH'])
+ * @param {number} [rule.byMonthDay] - Day of month for monthly rules
+ * @param {Date} [rule.until] - Last date an occurrence may fall on
+ * @param {number} [rule.count] - Total number of occurrences in the series
+ * @param {number} [occurrence=1] - 1-based index of the current occurrence
+ * @returns {Date|null} - null when the series has ended
+ */
+const getNextOccurrence = (date, rule, occurrence = 1) => {
+  if (!date || !rule) {
+    return null;
+  }
+
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const current = new Date(date);
+  const interval = rule.interval || 1;
+  let next;
+
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCY.DAILY:
+      next = addDays(current, interval);
+      break;
+    case RECURRENCE_FREQUENCY.WEEKLY:
+      next = nextWeekly(current, interval, rule.byWeekday);
+      break;
+    case RECURRENCE_FREQUENCY.MONTHLY:
+      next = nextMonthly(current, interval, rule.byMonthDay);
+      break;
+    default:
+      return null;
+  }
+
+  if (rule.until && next > new Date(rule.until)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Pin a monthly rule without a day of month to the day of the first due
+ * date, so a series clamped to a short month returns to it afterwards
+ * (Jan 31, Feb 28, Mar 31 rather than Jan 31, Feb 28, Mar 28)
+ * @param {Object|null} rule - Recurrence rule
+ * @param {Date|string} dueDate - Due date of the first occurrence
+ * @returns {Object|null}
+ */
+const anchorRule = (rule, dueDate) => {
+  if (
+    !rule
+    || !dueDate
+    || rule.frequency !== RECURRENCE_FREQUENCY.MONTHLY
+    || rule.byMonthDay
+  ) {
+    return rule;
+  }
+
+  return { ...rule, byMonthDay: new Date(dueDate).getUTCDate() };
+};
+
+/**
+ * Convert a stored recurrence rule to the plain JSON a client sends
+ * Unset parts (null, or an empty weekday list) are left out
+ * @param {Object|null} rule - Stored rule
+ * @returns {Object|null}
+ */
+const toRuleJSON = (rule) => {
+  if (!rule) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(JSON.parse(JSON.stringify(rule)))
+    .filter(([, part]) => part !== null && !(Array.isArray(part) && part.length === 0)));
+};
+
+module.exports = {
+  getNextOccurrence,
+  anchorRule,
+  toRuleJSON,
+};
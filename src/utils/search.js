@@ -0,0 +1,132 @@
+const { SEARCH } = require('../config/constants');
+
+/**
+ * Search Utility Functions
+ * Parses the task search syntax and highlights matches in results
+ *
+ * Syntax: plain words match any of the words (stemmed), "quoted phrases"
+ * must all appear, and a word ending in * matches words starting with it.
+ */
+
+const PHRASE_PATTERN = /"([^"]*)"/g;
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape HTML so highlighted snippets can be rendered as markup
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Parse a search string
+ * Characters with a meaning to MongoDB's $text ("-" negation, quotes) are
+ * only kept where the syntax above puts them
+ * @param {string} input - Raw search string
+ * @returns {Object} - { text, phrases, terms, prefixes } where text is the
+ *   $text search string (empty when only prefixes were given)
+ */
+const parseSearch = (input = '') => {
+  const phrases = [...input.matchAll(PHRASE_PATTERN)]
+    .map(([, phrase]) => phrase.replace(/[^\p{L}\p{N}\s'-]/gu, ' ').trim())
+    .filter(Boolean);
+
+  const words = input
+    .replace(PHRASE_PATTERN, ' ')
+    .split(/\s+/)
+    .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}*]+$/gu, ''))
+    .filter(Boolean);
+
+  const terms = [];
+  const prefixes = [];
+
+  words.forEach((word) => {
+    if (word.endsWith('*')) {
+      const prefix = word.replace(/\*+$/, '');
+
+      if (prefix) {
+        prefixes.push(prefix.toLowerCase());
+      }
+    } else {
+      terms.push(word.replace(/\*/g, ''));
+    }
+  });
+
+  const limitedPhrases = phrases.slice(0, SEARCH.MAX_TERMS);
+  const limitedTerms = terms.slice(0, SEARCH.MAX_TERMS);
+
+  return {
+    text: [...limitedPhrases.map((phrase) => `"${phrase}"`), ...limitedTerms].join(' '),
+    phrases: limitedPhrases,
+    terms: limitedTerms,
+    prefixes: [...new Set(prefixes)].slice(0, SEARCH.MAX_TERMS),
+  };
+};
+
+/**
+ * Build a regular expression that matches a word starting with a prefix
+ * The prefix is escaped, so user input can never form a pattern
+ * @param {string} prefix - Word prefix
+ * @returns {RegExp}
+ */
+const prefixRegex = (prefix) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(prefix)}`, 'iu');
+
+/**
+ * Highlight search matches in a text
+ * Words are matched on their beginning, which also catches most stemmed
+ * forms ("deploy" highlights "deployment")
+ * @param {string} text - Text to highlight
+ * @param {Object} search - Parsed search (see parseSearch)
+ * @param {Object} options - { snippet: cut the text down to SNIPPET_LENGTH around the first match }
+ * @returns {string|null} - HTML-escaped text with <mark> tags, or null without a match
+ */
+const highlight = (text, search, { snippet = false } = {}) => {
+  if (!text) {
+    return null;
+  }
+
+  const needles = [...search.phrases, ...search.terms, ...search.prefixes]
+    .map((needle) => escapeRegex(needle))
+    .sort((a, b) => b.length - a.length);
+
+  if (needles.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${needles.join('|')})`, 'giu');
+  const first = text.search(pattern);
+
+  if (first === -1) {
+    return null;
+  }
+
+  let excerpt = text;
+
+  if (snippet && text.length > SEARCH.SNIPPET_LENGTH) {
+    const start = Math.max(0, first - Math.floor(SEARCH.SNIPPET_LENGTH / 4));
+    const end = Math.min(text.length, start + SEARCH.SNIPPET_LENGTH);
+    excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  return excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearch,
+  prefixRegex,
+  highlight,
+};
@@ -0,0 +1,40 @@
+const Joi = require('joi');
+const { CALENDAR } = require('../config/constants');
+const { taskFilterSchema } = require('./taskValidator');
+
+/**
+ * Calendar Validation Schemas
+ */
+
+/**
+ * Calendar feed parameters validation
+ */
+const calendarFeedParamSchema = Joi.object({
+  token: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{20,100}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid calendar token',
+    }),
+});
+
+/**
+ * Calendar feed query parameters validation
+ * Filters work as on the task list
+ */
+const calendarFeedQuerySchema = Joi.object({
+  ...Object.fromEntries(['status', 'tags', 'tagMatch', 'project']
+    .map((key) => [key, taskFilterSchema.extract(key)])),
+
+  type: Joi.string()
+    .valid(...Object.values(CALENDAR.COMPONENTS))
+    .default(CALENDAR.COMPONENTS.EVENT)
+    .messages({
+      'any.only': `Type must be one of: ${Object.values(CALENDAR.COMPONENTS).join(', ')}`,
+    }),
+});
+
+module.exports = {
+  calendarFeedParamSchema,
+  calendarFeedQuerySchema,
+};
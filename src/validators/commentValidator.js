@@ -0,0 +1,90 @@
+const Joi = require('joi');
+
+/**
+ * Comment Validation Schemas
+ */
+
+/**
+ * Create comment validation schema
+ */
+const createCommentSchema = Joi.object({
+  body: Joi.string()
+    .max(2000)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Comment body is required',
+      'string.max': 'Comment cannot exceed 2000 characters',
+    }),
+
+  parent: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid parent comment ID format',
+    }),
+});
+
+/**
+ * Update comment validation schema
+ */
+const updateCommentSchema = Joi.object({
+  body: Joi.string()
+    .max(2000)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Comment body is required',
+      'string.max': 'Comment cannot exceed 2000 characters',
+    }),
+});
+
+/**
+ * Comment query parameters validation
+ */
+const commentQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+/**
+ * Comment parameters validation
+ */
+const commentParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid task ID format',
+    }),
+
+  commentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid comment ID format',
+    }),
+});
+
+module.exports = {
+  createCommentSchema,
+  updateCommentSchema,
+  commentQuerySchema,
+  commentParamSchema,
+};
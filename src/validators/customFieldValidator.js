@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const { CUSTOM_FIELD_TYPES, CUSTOM_FIELDS } = require('../config/constants');
+
+const SELECT_TYPES = [CUSTOM_FIELD_TYPES.SELECT, CUSTOM_FIELD_TYPES.MULTI_SELECT];
+
+/**
+ * Custom Field Validation Schemas
+ */
+
+const optionsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(50))
+  .min(1)
+  .max(CUSTOM_FIELDS.MAX_OPTIONS)
+  .unique()
+  .messages({
+    'array.min': 'Select fields need at least one option',
+    'array.max': `Cannot have more than ${CUSTOM_FIELDS.MAX_OPTIONS} options`,
+    'array.unique': 'Options must be unique',
+  });
+
+/**
+ * Create custom field validation schema
+ */
+const createCustomFieldSchema = Joi.object({
+  name: Joi.string()
+    .max(50)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Field name is required',
+      'string.max': 'Field name cannot exceed 50 characters',
+    }),
+
+  key: Joi.string()
+    .pattern(CUSTOM_FIELDS.KEY_PATTERN)
+    .required()
+    .messages({
+      'string.empty': 'Field key is required',
+      'string.pattern.base': 'Field key must start with a letter and contain only letters, digits and underscores',
+    }),
+
+  type: Joi.string()
+    .valid(...Object.values(CUSTOM_FIELD_TYPES))
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${Object.values(CUSTOM_FIELD_TYPES).join(', ')}`,
+    }),
+
+  options: optionsSchema.when('type', {
+    is: Joi.valid(...SELECT_TYPES),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    'any.required': 'Select fields need at least one option',
+    'any.unknown': 'Only select fields have options',
+  }),
+
+  required: Joi.boolean(),
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+});
+
+/**
+ * Update custom field validation schema
+ * Key, type and scope cannot change
+ */
+const updateCustomFieldSchema = Joi.object({
+  name: Joi.string()
+    .max(50)
+    .trim()
+    .messages({
+      'string.max': 'Field name cannot exceed 50 characters',
+    }),
+
+  options: optionsSchema,
+
+  required: Joi.boolean(),
+}).min(1); // At least one field must be provided
+
+/**
+ * Custom field query parameters validation
+ */
+const customFieldQuerySchema = Joi.object({
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+});
+
+/**
+ * Custom field ID parameter validation
+ */
+const customFieldIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid custom field ID format',
+    }),
+});
+
+module.exports = {
+  createCustomFieldSchema,
+  updateCustomFieldSchema,
+  customFieldQuerySchema,
+  customFieldIdParamSchema,
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { taskQuerySchema } = require('./taskValidator');
+
+/**
+ * Notification Validation Schemas
+ */
+
+/**
+ * Notification list query parameters validation
+ * Pagination works as on the task list
+ */
+const notificationQuerySchema = Joi.object({
+  ...Object.fromEntries(['page', 'limit', 'cursor', 'withTotal']
+    .map((key) => [key, taskQuerySchema.extract(key)])),
+
+  unread: Joi.boolean()
+    .messages({
+      'boolean.base': 'Unread must be true or false',
+    }),
+});
+
+/**
+ * Notification ID parameter validation
+ */
+const notificationIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid notification ID format',
+    }),
+});
+
+module.exports = {
+  notificationQuerySchema,
+  notificationIdParamSchema,
+};
@@ -0,0 +1,101 @@
+const Joi = require('joi');
+
+/**
+ * Project Validation Schemas
+ */
+
+/**
+ * Create project validation schema
+ */
+const createProjectSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Project name is required',
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters',
+    }),
+});
+
+/**
+ * Update project validation schema
+ */
+const updateProjectSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters',
+    }),
+}).min(1); // At least one field must be provided
+
+/**
+ * Project query parameters validation
+ */
+const projectQuerySchema = Joi.object({
+  archived: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'Archived must be true or false',
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+/**
+ * Project ID parameter validation
+ */
+const projectIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+});
+
+module.exports = {
+  createProjectSchema,
+  updateProjectSchema,
+  projectQuerySchema,
+  projectIdParamSchema,
+};
@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const { taskFilterSchema, taskSortSchema } = require('./taskValidator');
+
+/**
+ * Saved View Validation Schemas
+ * Filters accept the same values as the GET /tasks query parameters
+ */
+
+/**
+ * Create saved view validation schema
+ */
+const createViewSchema = Joi.object({
+  name: Joi.string()
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'View name is required',
+      'string.max': 'View name cannot exceed 100 characters',
+    }),
+
+  filters: taskFilterSchema.default({}),
+
+  sort: taskSortSchema,
+});
+
+/**
+ * Update saved view validation schema
+ */
+const updateViewSchema = Joi.object({
+  name: Joi.string()
+    .max(100)
+    .trim()
+    .messages({
+      'string.empty': 'View name cannot be empty',
+      'string.max': 'View name cannot exceed 100 characters',
+    }),
+
+  filters: taskFilterSchema,
+
+  sort: taskSortSchema,
+}).min(1); // At least one field must be provided
+
+/**
+ * Run saved view query parameters validation
+ */
+const viewTasksQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+
+  cursor: Joi.string()
+    .max(2000)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.pattern.base': 'Invalid cursor',
+    }),
+
+  withTotal: Joi.boolean(),
+});
+
+/**
+ * Saved view ID parameter validation
+ */
+const viewIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid view ID format',
+    }),
+});
+
+module.exports = {
+  createViewSchema,
+  updateViewSchema,
+  viewTasksQuerySchema,
+  viewIdParamSchema,
+};
@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const { TASK_TEMPLATES } = require('../config/constants');
+const { DATE_OFFSET_PATTERN } = require('../utils/dateTokens');
+const { createTaskSchema, dateBoundSchema } = require('./taskValidator');
+
+/**
+ * Task Template Validation Schemas
+ * Task fields accept the same values as when creating a task
+ */
+
+const dueOffsetSchema = Joi.string()
+  .pattern(DATE_OFFSET_PATTERN)
+  .messages({
+    'string.pattern.base': 'Due offset must look like "+3d", "+12h" or "+2w"',
+  });
+
+const templateTaskFields = {
+  ...Object.fromEntries(['title', 'description', 'priority', 'tags']
+    .map((key) => [key, createTaskSchema.extract(key)])),
+
+  dueOffset: dueOffsetSchema,
+};
+
+const templateNameSchema = Joi.string()
+  .max(100)
+  .trim()
+  .messages({
+    'string.empty': 'Template name is required',
+    'string.max': 'Template name cannot exceed 100 characters',
+  });
+
+const templateSubtasksSchema = Joi.array()
+  .items(Joi.object(templateTaskFields))
+  .max(TASK_TEMPLATES.MAX_SUBTASKS)
+  .messages({
+    'array.base': 'Subtasks must be an array',
+    'array.max': `A template cannot have more than ${TASK_TEMPLATES.MAX_SUBTASKS} subtasks`,
+  });
+
+/**
+ * Create task template validation schema
+ */
+const createTemplateSchema = Joi.object({
+  name: templateNameSchema.required(),
+
+  ...templateTaskFields,
+
+  subtasks: templateSubtasksSchema,
+});
+
+/**
+ * Update task template validation schema
+ * Given subtasks replace the saved list
+ */
+const updateTemplateSchema = Joi.object({
+  name: templateNameSchema,
+
+  ...templateTaskFields,
+
+  title: templateTaskFields.title.optional(),
+
+  dueOffset: dueOffsetSchema.allow(null), // null removes the due date
+
+  subtasks: templateSubtasksSchema,
+}).min(1); // At least one field must be provided
+
+/**
+ * Instantiate task template validation schema
+ */
+const instantiateTemplateSchema = Joi.object({
+  startDate: dateBoundSchema, // Defaults to now
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+});
+
+/**
+ * Task template ID parameter validation
+ */
+const templateIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid template ID format',
+    }),
+});
+
+module.exports = {
+  createTemplateSchema,
+  updateTemplateSchema,
+  instantiateTemplateSchema,
+  templateIdParamSchema,
+};
@@ -1,10 +1,137 @@
 const Joi = require('joi');
-const { TASK_STATUS, TASK_PRIORITY } = require('../config/constants');
+const {
+  TASK_STATUS,
+  TASK_PRIORITY,
+  RECURRENCE_FREQUENCY,
+  WEEKDAYS,
+  TIME_TRACKING,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELDS,
+  SEARCH,
+  TASK_BULK,
+  TASK_TRANSFER,
+  TASK_CHECKLIST,
+} = require('../config/constants');
+const { DATE_TOKEN_PATTERN } = require('../utils/dateTokens');
 
 /**
  * Task Validation Schemas
  */
 
+/**
+ * Recurrence rule validation schema
+ * Either an end date (until) or a total count may be given, not both
+ */
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string()
+    .valid(...Object.values(RECURRENCE_FREQUENCY))
+    .required()
+    .messages({
+      'any.only': `Frequency must be one of: ${Object.values(RECURRENCE_FREQUENCY).join(', ')}`,
+      'any.required': 'Recurrence frequency is required',
+    }),
+
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .default(1)
+    .messages({
+      'number.min': 'Interval must be at least 1',
+      'number.max': 'Interval cannot exceed 365',
+    }),
+
+  byWeekday: Joi.array()
+    .items(Joi.string().uppercase().valid(...WEEKDAYS))
+    .unique()
+    .when('frequency', { not: RECURRENCE_FREQUENCY.WEEKLY, then: Joi.forbidden() })
+    .messages({
+      'any.only': `Weekdays must be one of: ${WEEKDAYS.join(', ')}`,
+      'any.unknown': 'Weekdays are only allowed for weekly recurrence',
+    }),
+
+  byMonthDay: Joi.number()
+    .integer()
+    .min(1)
+    .max(31)
+    .when('frequency', { not: RECURRENCE_FREQUENCY.MONTHLY, then: Joi.forbidden() })
+    .messages({
+      'number.min': 'Day of month must be between 1 and 31',
+      'number.max': 'Day of month must be between 1 and 31',
+      'any.unknown': 'Day of month is only allowed for monthly recurrence',
+    }),
+
+  until: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Recurrence end date must be a valid date',
+    }),
+
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.min': 'Recurrence count must be at least 1',
+    }),
+}).oxor('until', 'count')
+  .messages({
+    'object.oxor': 'Recurrence can end on a date or after a count, not both',
+  });
+
+/**
+ * Custom field values (shape only)
+ * Values are checked against the field definitions at runtime,
+ * see buildCustomFieldsSchema
+ */
+const customFieldValuesSchema = Joi.object()
+  .pattern(CUSTOM_FIELDS.KEY_PATTERN, Joi.any())
+  .messages({
+    'object.unknown': 'Invalid custom field key "{#key}"',
+  });
+
+/**
+ * Build the validation schema for custom field values from field definitions
+ * Unknown keys are rejected; null clears a value
+ * @param {CustomField[]} definitions - Fields that apply to the task
+ * @returns {Joi.ObjectSchema}
+ */
+const buildCustomFieldsSchema = (definitions) => {
+  const keys = definitions.reduce((acc, field) => {
+    let rule;
+
+    switch (field.type) {
+      case CUSTOM_FIELD_TYPES.NUMBER:
+        rule = Joi.number();
+        break;
+      case CUSTOM_FIELD_TYPES.DATE:
+        rule = Joi.date().iso();
+        break;
+      case CUSTOM_FIELD_TYPES.SELECT:
+        rule = Joi.string().valid(...field.options);
+        break;
+      case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+        rule = Joi.array().items(Joi.string().valid(...field.options).label(field.name)).unique();
+        break;
+      case CUSTOM_FIELD_TYPES.USER:
+        rule = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+        break;
+      default:
+        rule = Joi.string().trim().max(CUSTOM_FIELDS.MAX_TEXT_LENGTH);
+    }
+
+    rule = rule.label(field.name);
+    acc[field.key] = field.required
+      ? rule.required()
+      : rule.allow(null);
+
+    return acc;
+  }, {});
+
+  return Joi.object(keys).messages({
+    'object.unknown': 'Unknown custom field "{#key}"',
+  });
+};
+
 /**
  * Create task validation schema
  */
@@ -43,9 +170,11 @@ const createTaskSchema = Joi.object({
   dueDate: Joi.date()
     .iso()
     .min('now')
+    .when('recurrence', { is: Joi.exist(), then: Joi.required() })
     .messages({
       'date.base': 'Due date must be a valid date',
       'date.min': 'Due date must be in the future',
+      'any.required': 'Recurring tasks require a due date',
     }),
   
   tags: Joi.array()
@@ -53,6 +182,50 @@ const createTaskSchema = Joi.object({
     .messages({
       'array.base': 'Tags must be an array',
     }),
+
+  recurrence: recurrenceSchema,
+
+  customFields: customFieldValuesSchema,
+
+  estimatedMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(TIME_TRACKING.MAX_ESTIMATE_MINUTES)
+    .messages({
+      'number.base': 'Estimate must be a number of minutes',
+      'number.min': 'Estimate cannot be negative',
+      'number.max': `Estimate cannot exceed ${TIME_TRACKING.MAX_ESTIMATE_MINUTES} minutes`,
+    }),
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+  assignees: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .messages({
+      'array.base': 'Assignees must be an array',
+      'array.unique': 'Assignees must not contain duplicates',
+      'string.pattern.base': 'Invalid assignee ID format',
+    }),
+
+  requireChecklist: Joi.boolean(),
+});
+
+/**
+ * Import task validation schema
+ * A new task whose due date may have passed, so an export imports back
+ */
+const importTaskSchema = createTaskSchema.keys({
+  dueDate: Joi.date()
+    .iso()
+    .when('recurrence', { is: Joi.exist(), then: Joi.required() })
+    .messages({
+      'date.base': 'Due date must be a valid date',
+      'any.required': 'Recurring tasks require a due date',
+    }),
 });
 
 /**
@@ -90,6 +263,7 @@ const updateTaskSchema = Joi.object({
   
   dueDate: Joi.date()
     .iso()
+    .allow(null) // null clears the due date
     .messages({
       'date.base': 'Due date must be a valid date',
     }),
@@ -99,31 +273,173 @@ const updateTaskSchema = Joi.object({
     .messages({
       'array.base': 'Tags must be an array',
     }),
+
+  recurrence: recurrenceSchema.allow(null), // null stops the series
+
+  customFields: customFieldValuesSchema, // Merged into existing values
+
+  estimatedMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(TIME_TRACKING.MAX_ESTIMATE_MINUTES)
+    .allow(null) // null clears the estimate
+    .messages({
+      'number.base': 'Estimate must be a number of minutes',
+      'number.min': 'Estimate cannot be negative',
+      'number.max': `Estimate cannot exceed ${TIME_TRACKING.MAX_ESTIMATE_MINUTES} minutes`,
+    }),
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null) // null removes the task from its project
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+
+  assignees: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .messages({
+      'array.base': 'Assignees must be an array',
+      'array.unique': 'Assignees must not contain duplicates',
+      'string.pattern.base': 'Invalid assignee ID format',
+    }),
+
+  requireChecklist: Joi.boolean(), // Block completion while items are unchecked
 }).min(1); // At least one field must be provided
 
 /**
- * Task query parameters validation
+ * Joi extended with a "list" type: an array that also accepts
+ * a comma-separated string, e.g. ?status=pending,in_progress
  */
-const taskQuerySchema = Joi.object({
-  status: Joi.string()
-    .valid(...Object.values(TASK_STATUS))
+const ListJoi = Joi.extend((joi) => ({
+  type: 'list',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({
+      value: value.split(',').map((item) => item.trim()).filter(Boolean),
+    }),
+  },
+}));
+
+/**
+ * Date range bound: an ISO date or a date token such as "today" or "now+3d"
+ */
+const dateBoundSchema = Joi.alternatives()
+  .try(
+    Joi.string().pattern(DATE_TOKEN_PATTERN),
+    Joi.string().isoDate()
+  )
+  .messages({
+    'alternatives.match': '{#label} must be an ISO date or a date token like "today" or "now+3d"',
+  });
+
+/**
+ * Task sort validation
+ */
+const taskSortSchema = Joi.string()
+  .pattern(/^(relevance|-?(createdAt|dueDate|priority|position|customFields\.[a-zA-Z][a-zA-Z0-9_]{0,39}))$/)
+  .messages({
+    'string.pattern.base': 'Invalid sort field',
+  });
+
+/**
+ * Task filter validation, shared by the task list and saved views
+ */
+const taskFilterSchema = Joi.object({
+  // Any of the listed values
+  status: ListJoi.list()
+    .items(Joi.string().valid(...Object.values(TASK_STATUS)))
+    .min(1)
+    .unique()
     .messages({
       'any.only': `Status must be one of: ${Object.values(TASK_STATUS).join(', ')}`,
     }),
-  
-  priority: Joi.string()
-    .valid(...Object.values(TASK_PRIORITY))
+
+  priority: ListJoi.list()
+    .items(Joi.string().valid(...Object.values(TASK_PRIORITY)))
+    .min(1)
+    .unique()
     .messages({
       'any.only': `Priority must be one of: ${Object.values(TASK_PRIORITY).join(', ')}`,
     }),
+
+  tags: ListJoi.list()
+    .items(Joi.string().trim().lowercase().max(30))
+    .min(1)
+    .max(20)
+    .unique()
+    .messages({
+      'array.max': 'Cannot filter on more than 20 tags',
+    }),
+
+  // Whether a task needs any (default) or all of the listed tags
+  tagMatch: Joi.string()
+    .valid('any', 'all')
+    .messages({
+      'any.only': 'tagMatch must be "any" or "all"',
+    }),
   
+  // Words, "quoted phrases" and prefix* matches; see utils/search
   search: Joi.string()
     .trim()
+    .max(SEARCH.MAX_QUERY_LENGTH)
     .allow('')
     .messages({
       'string.base': 'Search must be a string',
+      'string.max': `Search cannot exceed ${SEARCH.MAX_QUERY_LENGTH} characters`,
+    }),
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
     }),
   
+  assignedTo: Joi.alternatives()
+    .try(
+      Joi.string().valid('me'),
+      Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+    )
+    .messages({
+      'alternatives.match': 'assignedTo must be "me" or a user ID',
+    }),
+
+  // hasDueDate=false lists tasks without a due date, so no due date range applies
+  hasDueDate: Joi.boolean(),
+
+  dueAfter: dateBoundSchema.when('hasDueDate', { is: false, then: Joi.forbidden() }),
+
+  dueBefore: dateBoundSchema.when('hasDueDate', { is: false, then: Joi.forbidden() }),
+
+  // Open tasks whose due date has passed
+  overdue: Joi.boolean()
+    .when('hasDueDate', { is: false, then: Joi.invalid(true) })
+    .messages({
+      'any.invalid': 'overdue cannot be combined with hasDueDate=false',
+    }),
+
+  createdAfter: dateBoundSchema,
+
+  createdBefore: dateBoundSchema,
+
+  completedAfter: dateBoundSchema,
+
+  completedBefore: dateBoundSchema,
+
+  // e.g. ?customField[environment]=production
+  customField: Joi.object()
+    .pattern(CUSTOM_FIELDS.KEY_PATTERN, Joi.string())
+    .messages({
+      'object.unknown': 'Invalid custom field key "{#key}"',
+    }),
+});
+
+/**
+ * Task query parameters validation
+ */
+const taskQuerySchema = taskFilterSchema.keys({
   page: Joi.number()
     .integer()
     .min(1)
@@ -144,12 +460,52 @@ const taskQuerySchema = Joi.object({
       'number.max': 'Limit cannot exceed 100',
     }),
   
-  sort: Joi.string()
-    .valid('createdAt', '-createdAt', 'dueDate', '-dueDate', 'priority', '-priority')
-    .default('-createdAt')
+  // Defaults to relevance when searching, otherwise newest first
+  sort: taskSortSchema,
+
+  // Opaque cursor from a previous page's nextCursor/prevCursor; takes precedence over page
+  cursor: Joi.string()
+    .max(2000)
+    .pattern(/^[A-Za-z0-9_-]+$/)
     .messages({
-      'any.only': 'Invalid sort field',
+      'string.pattern.base': 'Invalid cursor',
     }),
+
+  // Cursor pages skip the total count unless asked for
+  withTotal: Joi.boolean(),
+});
+
+/**
+ * Trash query parameters validation
+ */
+const trashQuerySchema = Joi.object(Object.fromEntries(['page', 'limit', 'cursor', 'withTotal']
+  .map((key) => [key, taskQuerySchema.extract(key)])));
+
+/**
+ * Watched tasks query parameters validation (pagination only, like the trash)
+ */
+const watchingQuerySchema = trashQuerySchema;
+
+/**
+ * Task export query parameters validation: list filters, sort and format
+ */
+const exportQuerySchema = taskFilterSchema.keys({
+  format: Joi.string()
+    .valid(...Object.values(TASK_TRANSFER.FORMATS))
+    .default(TASK_TRANSFER.FORMATS.JSON)
+    .messages({
+      'any.only': `Format must be one of: ${Object.values(TASK_TRANSFER.FORMATS).join(', ')}`,
+    }),
+
+  sort: taskSortSchema,
+});
+
+/**
+ * Task import query parameters validation
+ */
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean()
+    .default(false),
 });
 
 /**
@@ -164,9 +520,221 @@ const taskIdParamSchema = Joi.object({
     }),
 });
 
+/**
+ * Add dependency validation schema
+ */
+const dependencySchema = Joi.object({
+  blockerId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid blocker task ID format',
+      'any.required': 'Blocker task ID is required',
+    }),
+});
+
+/**
+ * Dependency parameters validation
+ */
+const dependencyParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid task ID format',
+    }),
+
+  blockerId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid blocker task ID format',
+    }),
+});
+
+/**
+ * Checklist item (add or rename) validation schema
+ */
+const checklistItemSchema = Joi.object({
+  text: Joi.string()
+    .max(TASK_CHECKLIST.MAX_TEXT_LENGTH)
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Checklist item text is required',
+      'string.max': `Checklist item cannot exceed ${TASK_CHECKLIST.MAX_TEXT_LENGTH} characters`,
+    }),
+});
+
+/**
+ * Reorder checklist validation schema
+ * Lists every item ID of the checklist in the new order
+ */
+const checklistOrderSchema = Joi.object({
+  itemIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Item IDs must be an array',
+      'array.unique': 'Item IDs must not contain duplicates',
+      'string.pattern.base': 'Invalid checklist item ID format',
+      'any.required': 'Item IDs are required',
+    }),
+});
+
+/**
+ * Checklist item parameters validation
+ */
+const checklistItemParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid task ID format',
+    }),
+
+  itemId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid checklist item ID format',
+    }),
+});
+
+/**
+ * Move task (board drag and drop) validation schema
+ */
+const moveTaskSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(TASK_STATUS))
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(TASK_STATUS).join(', ')}`,
+    }),
+
+  prevId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid prevId format',
+    }),
+
+  nextId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .invalid(Joi.ref('prevId'))
+    .messages({
+      'string.pattern.base': 'Invalid nextId format',
+      'any.invalid': 'prevId and nextId must be different tasks',
+    }),
+});
+
+/**
+ * Bulk task operation validation schema
+ * Changes are only allowed (and required) for the update action
+ */
+const bulkTaskSchema = Joi.object({
+  ids: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .min(1)
+    .max(TASK_BULK.MAX_IDS)
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Task IDs must be an array',
+      'array.min': 'At least one task ID is required',
+      'array.max': `Cannot process more than ${TASK_BULK.MAX_IDS} tasks at once`,
+      'array.unique': 'Task IDs must not contain duplicates',
+      'string.pattern.base': 'Invalid task ID format',
+      'any.required': 'Task IDs are required',
+    }),
+
+  action: Joi.string()
+    .valid(...Object.values(TASK_BULK.ACTIONS))
+    .required()
+    .messages({
+      'any.only': `Action must be one of: ${Object.values(TASK_BULK.ACTIONS).join(', ')}`,
+      'any.required': 'Action is required',
+    }),
+
+  changes: Joi.object(Object.fromEntries(TASK_BULK.UPDATABLE_FIELDS
+    .map((field) => [field, updateTaskSchema.extract(field)])))
+    .min(1)
+    .when('action', {
+      is: TASK_BULK.ACTIONS.UPDATE,
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'object.min': 'At least one change is required',
+      'any.required': 'Changes are required for the update action',
+      'any.unknown': 'Changes are only allowed for the update action',
+    }),
+});
+
+/**
+ * Task history query parameters validation
+ */
+const historyQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+/**
+ * Attachment parameters validation
+ */
+const attachmentParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid task ID format',
+    }),
+
+  attachmentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid attachment ID format',
+    }),
+});
+
 module.exports = {
   createTaskSchema,
+  importTaskSchema,
   updateTaskSchema,
   taskQuerySchema,
+  trashQuerySchema,
+  watchingQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
+  taskFilterSchema,
+  taskSortSchema,
+  dateBoundSchema,
   taskIdParamSchema,
+  dependencySchema,
+  dependencyParamSchema,
+  checklistItemSchema,
+  checklistOrderSchema,
+  checklistItemParamSchema,
+  attachmentParamSchema,
+  historyQuerySchema,
+  moveTaskSchema,
+  bulkTaskSchema,
+  buildCustomFieldsSchema,
 };
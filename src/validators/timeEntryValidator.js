@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const { TIME_TRACKING } = require('../config/constants');
+
+/**
+ * Time Entry Validation Schemas
+ */
+
+/**
+ * Start timer validation schema
+ */
+const startTimerSchema = Joi.object({
+  note: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .messages({
+      'string.max': 'Note cannot exceed 500 characters',
+    }),
+});
+
+/**
+ * Manual time entry validation schema
+ */
+const manualEntrySchema = Joi.object({
+  minutes: Joi.number()
+    .positive()
+    .max(TIME_TRACKING.MAX_ENTRY_MINUTES)
+    .required()
+    .messages({
+      'number.base': 'Minutes must be a number',
+      'number.positive': 'Minutes must be greater than 0',
+      'number.max': `A time entry cannot exceed ${TIME_TRACKING.MAX_ENTRY_MINUTES} minutes`,
+      'any.required': 'Minutes are required',
+    }),
+
+  startedAt: Joi.date()
+    .iso()
+    .max('now')
+    .messages({
+      'date.base': 'Start time must be a valid date',
+      'date.max': 'Start time cannot be in the future',
+    }),
+
+  note: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .messages({
+      'string.max': 'Note cannot exceed 500 characters',
+    }),
+});
+
+/**
+ * Time report query parameters validation
+ */
+const timeReportQuerySchema = Joi.object({
+  from: Joi.date()
+    .iso()
+    .messages({
+      'date.base': '"from" must be a valid date',
+    }),
+
+  to: Joi.date()
+    .iso()
+    .messages({
+      'date.base': '"to" must be a valid date',
+    }),
+
+  project: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid project ID format',
+    }),
+
+  tag: Joi.string()
+    .trim()
+    .lowercase(),
+});
+
+/**
+ * Time entry parameters validation
+ */
+const timeEntryParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid task ID format',
+    }),
+
+  entryId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid time entry ID format',
+    }),
+});
+
+module.exports = {
+  startTimerSchema,
+  manualEntrySchema,
+  timeReportQuerySchema,
+  timeEntryParamSchema,
+};
@@ -39,6 +39,42 @@ const changePasswordSchema = Joi.object({
     }),
 });
 
+/**
+ * User list query parameters validation
+ */
+const userQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+
+  // Opaque cursor from a previous page's nextCursor/prevCursor; takes precedence over page
+  cursor: Joi.string()
+    .max(2000)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.pattern.base': 'Invalid cursor',
+    }),
+
+  // Cursor pages skip the total count unless asked for
+  withTotal: Joi.boolean(),
+});
+
 /**
  * User ID parameter validation
  */
@@ -54,5 +90,6 @@ const userIdParamSchema = Joi.object({
 module.exports = {
   updateProfileSchema,
   changePasswordSchema,
+  userQuerySchema,
   userIdParamSchema,
 };
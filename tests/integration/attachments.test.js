@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const Attachment = require('../../src/models/Attachment');
+
+/**
+ * Integration Tests for Attachments
+ */
+
+describe('Attachment API', () => {
+  let accessToken;
+  let task;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and attachments before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Attachment.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+
+    const taskResponse = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ title: 'Collect receipts' })
+      .expect(201);
+
+    task = taskResponse.body.data;
+  });
+
+  const upload = (content, filename, contentType) => request(app)
+    .post(`/api/v1/tasks/${task._id}/attachments`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .attach('file', Buffer.from(content), { filename, contentType });
+
+  describe('POST /api/v1/tasks/:id/attachments', () => {
+    it('should upload a file and list it on the task', async () => {
+      await upload('total: 42', 'receipt.txt', 'text/plain').expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.attachments).toHaveLength(1);
+      expect(response.body.data.attachments[0].filename).toBe('receipt.txt');
+      expect(response.body.data.attachments[0].storageKey).toBeUndefined();
+    });
+
+    it('should change the task ETag', async () => {
+      const getTask = () => request(app)
+        .get(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      const { etag } = (await getTask().expect(200)).headers;
+
+      await upload('total: 42', 'receipt.txt', 'text/plain').expect(201);
+
+      const response = await getTask().set('If-None-Match', etag).expect(200);
+      expect(response.body.data.attachments).toHaveLength(1);
+    });
+
+    it('should reject content types outside the allowlist', async () => {
+      await upload('MZ', 'setup.exe', 'application/x-msdownload').expect(415);
+    });
+  });
+
+  describe('GET /api/v1/tasks/:id/attachments/:attachmentId', () => {
+    it('should download the file contents', async () => {
+      const attachment = (await upload('total: 42', 'receipt.txt', 'text/plain').expect(201)).body.data;
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/attachments/${attachment._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('receipt.txt');
+      expect(response.text).toBe('total: 42');
+    });
+  });
+
+  describe('DELETE /api/v1/tasks/:id/attachments/:attachmentId', () => {
+    it('should delete the attachment', async () => {
+      const attachment = (await upload('total: 42', 'receipt.txt', 'text/plain').expect(201)).body.data;
+
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}/attachments/${attachment._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments({ task: task._id })).toBe(0);
+    });
+  });
+});
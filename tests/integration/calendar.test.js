@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+
+/**
+ * Integration Tests for the iCalendar Feed
+ */
+
+describe('Calendar API', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users and tasks before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTask = (data) => request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data)
+    .expect(201);
+
+  const regenerateToken = () => request(app)
+    .post('/api/v1/users/calendar-token')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200);
+
+  describe('POST /api/v1/users/calendar-token', () => {
+    it('should return a token and the feed URL', async () => {
+      const response = await regenerateToken();
+
+      const { token, url } = response.body.data;
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(url).toMatch(new RegExp(`/api/v1/calendar/${token}\\.ics$`));
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/v1/users/calendar-token')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/v1/calendar/:token.ics', () => {
+    let token;
+    let task;
+
+    beforeEach(async () => {
+      const dueDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      dueDate.setUTCHours(15, 30, 0, 0);
+
+      const created = await createTask({
+        title: 'Ship, then celebrate',
+        tags: ['release'],
+        dueDate,
+      });
+      task = created.body.data.task;
+      await createTask({ title: 'No due date' });
+
+      token = (await regenerateToken()).body.data.token;
+    });
+
+    it('should publish tasks with a due date as events', async () => {
+      const response = await request(app)
+        .get(`/api/v1/calendar/${token}.ics`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+      expect(response.text).toContain(`UID:task-${task._id}@`);
+      expect(response.text).toContain('SUMMARY:Ship\\, then celebrate');
+      expect(response.text).toContain('CATEGORIES:release');
+      expect(response.text).toMatch(/DTSTART:\d{8}T153000Z/);
+      expect(response.text).not.toContain('No due date');
+    });
+
+    it('should publish to-dos when asked', async () => {
+      const response = await request(app)
+        .get(`/api/v1/calendar/${token}.ics?type=todo`)
+        .expect(200);
+
+      expect(response.text).toContain('BEGIN:VTODO');
+      expect(response.text).toContain('STATUS:NEEDS-ACTION');
+    });
+
+    it('should apply the filters', async () => {
+      const response = await request(app)
+        .get(`/api/v1/calendar/${token}.ics?tags=other`)
+        .expect(200);
+
+      expect(response.text).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('should keep the UID when the task changes', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Ship it' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/calendar/${token}.ics`)
+        .expect(200);
+
+      expect(response.text).toContain(`UID:task-${task._id}@`);
+      expect(response.text).toContain('SUMMARY:Ship it');
+      expect(response.text).toMatch(/SEQUENCE:[1-9]/);
+    });
+
+    it('should stop serving the previous token after regenerating', async () => {
+      await regenerateToken();
+
+      await request(app)
+        .get(`/api/v1/calendar/${token}.ics`)
+        .expect(404);
+    });
+
+    it('should stop serving the feed once revoked', async () => {
+      await request(app)
+        .delete('/api/v1/users/calendar-token')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/calendar/${token}.ics`)
+        .expect(404);
+    });
+
+    it('should reject malformed tokens', async () => {
+      await request(app)
+        .get('/api/v1/calendar/short.ics')
+        .expect(422);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const Comment = require('../../src/models/Comment');
+
+/**
+ * Integration Tests for Comments
+ */
+
+describe('Comment API', () => {
+  let ownerToken;
+  let otherToken;
+  let otherUser;
+  let task;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and comments before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Comment.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Task Owner',
+        email: 'owner@example.com',
+        password: 'Test@123',
+      });
+
+    ownerToken = ownerResponse.body.data.accessToken;
+
+    const otherResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'Test@123',
+      });
+
+    otherToken = otherResponse.body.data.accessToken;
+    otherUser = otherResponse.body.data.user;
+
+    const taskResponse = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Discuss the roadmap' })
+      .expect(201);
+
+    task = taskResponse.body.data;
+  });
+
+  const addComment = (token, data) => request(app)
+    .post(`/api/v1/tasks/${task._id}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  describe('POST /api/v1/tasks/:id/comments', () => {
+    it('should add a comment and list it with its replies', async () => {
+      const comment = (await addComment(ownerToken, { body: 'First draft is up' }).expect(201)).body.data;
+
+      await addComment(ownerToken, { body: 'Updated it', parent: comment._id }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].replies).toHaveLength(1);
+    });
+
+    it('should not allow replying to a reply', async () => {
+      const comment = (await addComment(ownerToken, { body: 'Top' }).expect(201)).body.data;
+      const reply = (await addComment(ownerToken, { body: 'Reply', parent: comment._id }).expect(201)).body.data;
+
+      await addComment(ownerToken, { body: 'Nested', parent: reply._id }).expect(422);
+    });
+
+    it('should not allow commenting on inaccessible tasks', async () => {
+      await addComment(otherToken, { body: 'Hello' }).expect(404);
+    });
+
+    it('should only record mentions of users with access to the task', async () => {
+      const response = await addComment(ownerToken, {
+        body: `@other@example.com and @${otherUser._id} have a look`,
+      }).expect(201);
+
+      expect(response.body.data.mentions).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/v1/comments/mentions', () => {
+    it('should list comments mentioning the assignee', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ assignees: [otherUser._id] })
+        .expect(200);
+
+      await addComment(ownerToken, { body: 'Can you review this, @other@example.com?' }).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/comments/mentions')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].task.title).toBe('Discuss the roadmap');
+    });
+  });
+
+  describe('PUT /api/v1/tasks/:id/comments/:commentId', () => {
+    it('should mark edited comments', async () => {
+      const comment = (await addComment(ownerToken, { body: 'Typo' }).expect(201)).body.data;
+
+      const response = await request(app)
+        .put(`/api/v1/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ body: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.data.isEdited).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/v1/tasks/:id/comments/:commentId', () => {
+    it('should delete a comment together with its replies', async () => {
+      const comment = (await addComment(ownerToken, { body: 'Top' }).expect(201)).body.data;
+      await addComment(ownerToken, { body: 'Reply', parent: comment._id }).expect(201);
+
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments({ task: task._id })).toBe(0);
+    });
+  });
+});
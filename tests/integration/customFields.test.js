@@ -0,0 +1,191 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const Project = require('../../src/models/Project');
+const CustomField = require('../../src/models/CustomField');
+
+/**
+ * Integration Tests for Custom Fields
+ */
+
+describe('Custom Fields API', () => {
+  let accessToken;
+  let project;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, projects, tasks and custom fields before each test
+    await User.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await CustomField.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+
+    const projectResponse = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Platform' })
+      .expect(201);
+
+    project = projectResponse.body.data;
+
+    await defineField({ name: 'Story points', key: 'points', type: 'number' }).expect(201);
+    await defineField({
+      name: 'Environment',
+      key: 'env',
+      type: 'select',
+      options: ['prod', 'staging'],
+      required: true,
+    }).expect(201);
+  });
+
+  const defineField = (data) => request(app)
+    .post('/api/v1/custom-fields')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ project: project._id, ...data });
+
+  const createTask = (data) => request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ project: project._id, ...data });
+
+  describe('Definitions', () => {
+    it('should list the fields of a project', async () => {
+      const response = await request(app)
+        .get(`/api/v1/custom-fields?project=${project._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((field) => field.key)).toEqual(['env', 'points']);
+    });
+
+    it('should reject a duplicate key', async () => {
+      await defineField({ name: 'Points again', key: 'points', type: 'text' }).expect(409);
+    });
+
+    it('should require options for select fields', async () => {
+      await defineField({ name: 'Tier', key: 'tier', type: 'select' }).expect(422);
+    });
+
+    it('should reserve global fields for admins', async () => {
+      await defineField({ name: 'Customer', key: 'customer', type: 'text', project: null })
+        .expect(403);
+    });
+  });
+
+  describe('Values', () => {
+    it('should store typed values', async () => {
+      const response = await createTask({
+        title: 'Ship it',
+        customFields: { points: '5', env: 'prod' },
+      }).expect(201);
+
+      expect(response.body.data.customFields).toEqual({ points: 5, env: 'prod' });
+    });
+
+    it('should reject invalid and unknown values', async () => {
+      const response = await createTask({
+        title: 'Ship it',
+        customFields: { points: 'many', env: 'dev', color: 'red' },
+      }).expect(422);
+
+      expect(response.body.message).toBeDefined();
+    });
+
+    it('should enforce required fields', async () => {
+      await createTask({ title: 'Ship it' }).expect(422);
+    });
+
+    it('should clear a value with null', async () => {
+      const created = await createTask({
+        title: 'Ship it',
+        customFields: { points: 3, env: 'prod' },
+      }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/tasks/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ customFields: { points: null } })
+        .expect(200);
+
+      expect(response.body.data.customFields).toEqual({ env: 'prod' });
+    });
+
+    it('should clear values when a field is deleted', async () => {
+      const created = await createTask({
+        title: 'Ship it',
+        customFields: { points: 3, env: 'prod' },
+      }).expect(201);
+
+      const field = await CustomField.findOne({ key: 'points' });
+
+      await request(app)
+        .delete(`/api/v1/custom-fields/${field._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const task = await Task.findById(created.body.data._id);
+      expect(task.customFields).toEqual({ env: 'prod' });
+    });
+  });
+
+  describe('Filtering and sorting', () => {
+    beforeEach(async () => {
+      await createTask({ title: 'Small', customFields: { points: 1, env: 'prod' } }).expect(201);
+      await createTask({ title: 'Large', customFields: { points: 8, env: 'staging' } }).expect(201);
+      await createTask({ title: 'Medium', customFields: { points: 3, env: 'prod' } }).expect(201);
+    });
+
+    it('should filter by a custom field value', async () => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?project=${project._id}&customField[env]=prod`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title).sort()).toEqual(['Medium', 'Small']);
+    });
+
+    it('should cast number filters', async () => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?project=${project._id}&customField[points]=8`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title)).toEqual(['Large']);
+    });
+
+    it('should reject filters on unknown fields', async () => {
+      await request(app)
+        .get('/api/v1/tasks?customField[env]=prod')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(422);
+    });
+
+    it('should sort by a custom field value', async () => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?project=${project._id}&sort=-customFields.points`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title)).toEqual(['Large', 'Medium', 'Small']);
+    });
+  });
+});
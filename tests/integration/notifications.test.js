@@ -0,0 +1,314 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TaskActivity = require('../../src/models/TaskActivity');
+const Comment = require('../../src/models/Comment');
+const Notification = require('../../src/models/Notification');
+const TaskService = require('../../src/services/TaskService');
+const TaskRepository = require('../../src/repositories/TaskRepository');
+const ProjectRepository = require('../../src/repositories/ProjectRepository');
+const UserRepository = require('../../src/repositories/UserRepository');
+const TaskActivityRepository = require('../../src/repositories/TaskActivityRepository');
+const TimeEntryRepository = require('../../src/repositories/TimeEntryRepository');
+const CustomFieldRepository = require('../../src/repositories/CustomFieldRepository');
+const CommentRepository = require('../../src/repositories/CommentRepository');
+const taskEvents = require('../../src/events/taskEvents');
+const { TASK_EVENTS } = require('../../src/config/constants');
+
+/**
+ * Integration Tests for Notifications
+ */
+
+describe('Notification API', () => {
+  let accessToken;
+  let assigneeToken;
+  let assigneeId;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and notifications before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskActivity.deleteMany({});
+    await Comment.deleteMany({});
+    await Notification.deleteMany({});
+
+    const owner = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    const assignee = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Assignee User',
+        email: 'assignee@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = owner.body.data.accessToken;
+    assigneeToken = assignee.body.data.accessToken;
+    assigneeId = assignee.body.data.user._id;
+  });
+
+  const createTask = async (data) => {
+    const response = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const getNotifications = (token, query = '') => request(app)
+    .get(`/api/v1/notifications${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  // Notifications are written by event listeners, after the response
+  const waitForNotifications = async (token, count, attempts = 20) => {
+    const response = await getNotifications(token);
+
+    if (response.body.data.length >= count || attempts <= 1) {
+      return response.body.data;
+    }
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 25);
+    });
+
+    return waitForNotifications(token, count, attempts - 1);
+  };
+
+  describe('Generated notifications', () => {
+    it('should notify users assigned to a new task', async () => {
+      const task = await createTask({ title: 'Write report', assignees: [assigneeId] });
+
+      const notifications = await waitForNotifications(assigneeToken, 1);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('assigned');
+      expect(notifications[0].task).toBe(task._id);
+      expect(notifications[0].title).toBe('Write report');
+      expect(notifications[0].isRead).toBe(false);
+
+      // The owner made the change, so is not told about it
+      expect((await getNotifications(accessToken)).body.data).toHaveLength(0);
+    });
+
+    it('should notify watchers of a change made by someone else', async () => {
+      const task = await createTask({ title: 'Write report', assignees: [assigneeId] });
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      const notifications = await waitForNotifications(accessToken, 1);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('task_changed');
+      expect(notifications[0].action).toBe('status_changed');
+      expect(notifications[0].fields).toEqual(['status']);
+      expect(notifications[0].actor.name).toBe('Assignee User');
+    });
+
+    it('should notify mentioned users', async () => {
+      const task = await createTask({ title: 'Write report', assignees: [assigneeId] });
+      await waitForNotifications(assigneeToken, 1);
+
+      const comment = await request(app)
+        .post(`/api/v1/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ body: 'Can you take a look, @assignee@example.com?' })
+        .expect(201);
+
+      const notifications = await waitForNotifications(assigneeToken, 2);
+
+      expect(notifications[0].type).toBe('mentioned');
+      expect(notifications[0].comment).toBe(comment.body.data._id);
+    });
+
+    it('should remind watchers of due dates once per due date', async () => {
+      const taskService = new TaskService(
+        new TaskRepository(),
+        new ProjectRepository(),
+        new UserRepository(),
+        new TaskActivityRepository(),
+        new TimeEntryRepository(),
+        new CustomFieldRepository(),
+        new CommentRepository()
+      );
+      const dueDate = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      const task = await createTask({ title: 'Pay invoice', dueDate: dueDate.toISOString() });
+      const getTask = () => request(app)
+        .get(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      const before = await getTask();
+
+      expect(await taskService.sendDueReminders()).toBe(1);
+      expect(await taskService.sendDueReminders()).toBe(0);
+
+      const notifications = await waitForNotifications(accessToken, 1);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('due_soon');
+      expect(new Date(notifications[0].dueDate).getTime()).toBe(dueDate.getTime());
+
+      // Reminders leave the task version and timestamps alone
+      const after = await getTask();
+
+      expect(after.headers.etag).toBe(before.headers.etag);
+      expect(after.body.data.updatedAt).toBe(before.body.data.updatedAt);
+      expect(after.body.data.reminders).toBeUndefined();
+
+      // Once the due date has passed, the overdue reminder follows
+      expect(await taskService.sendDueReminders(new Date(dueDate.getTime() + 60 * 1000))).toBe(1);
+    });
+
+    it('should send the reminders of every due task in one event', async () => {
+      const taskService = new TaskService(
+        new TaskRepository(),
+        new ProjectRepository(),
+        new UserRepository(),
+        new TaskActivityRepository(),
+        new TimeEntryRepository(),
+        new CustomFieldRepository(),
+        new CommentRepository()
+      );
+      const dueDate = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+      await Promise.all([
+        createTask({ title: 'Pay invoice', dueDate }),
+        createTask({ title: 'File taxes', dueDate, assignees: [assigneeId] }),
+      ]);
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.DUE_SOON, listener);
+
+      try {
+        expect(await taskService.sendDueReminders()).toBe(2);
+      } finally {
+        taskEvents.off(TASK_EVENTS.DUE_SOON, listener);
+      }
+
+      expect(events).toHaveLength(1);
+      expect(events[0].reminders).toHaveLength(2);
+
+      // The assignee was also notified of the assignment
+      const [ownerNotifications, assigneeNotifications] = await Promise.all([
+        waitForNotifications(accessToken, 2),
+        waitForNotifications(assigneeToken, 2),
+      ]);
+      const dueSoonTitles = (notifications) => notifications
+        .filter((notification) => notification.type === 'due_soon')
+        .map((notification) => notification.title)
+        .sort();
+
+      expect(dueSoonTitles(ownerNotifications)).toEqual(['File taxes', 'Pay invoice']);
+      expect(dueSoonTitles(assigneeNotifications)).toEqual(['File taxes']);
+    });
+  });
+
+  describe('Reading notifications', () => {
+    beforeEach(async () => {
+      await createTask({ title: 'First', assignees: [assigneeId] });
+      await createTask({ title: 'Second', assignees: [assigneeId] });
+      await createTask({ title: 'Third', assignees: [assigneeId] });
+      await waitForNotifications(assigneeToken, 3);
+    });
+
+    it('should page through notifications with a cursor, newest first', async () => {
+      const first = await getNotifications(assigneeToken, '?limit=2');
+
+      expect(first.body.data.map((notification) => notification.title))
+        .toEqual(['Third', 'Second']);
+      expect(first.body.pagination.nextCursor).toBeTruthy();
+
+      const second = await getNotifications(
+        assigneeToken,
+        `?limit=2&cursor=${first.body.pagination.nextCursor}`
+      );
+
+      expect(second.body.data.map((notification) => notification.title)).toEqual(['First']);
+      expect(second.body.pagination.hasNext).toBe(false);
+    });
+
+    it('should mark read and unread, and filter unread', async () => {
+      const [latest] = (await getNotifications(assigneeToken)).body.data;
+
+      const read = await request(app)
+        .post(`/api/v1/notifications/${latest._id}/read`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect(read.body.data.isRead).toBe(true);
+
+      const unread = await getNotifications(assigneeToken, '?unread=true');
+      expect(unread.body.data.map((notification) => notification.title))
+        .toEqual(['Second', 'First']);
+
+      await request(app)
+        .post(`/api/v1/notifications/${latest._id}/unread`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect((await getNotifications(assigneeToken, '?unread=true')).body.data).toHaveLength(3);
+    });
+
+    it('should count unread notifications and mark all read', async () => {
+      const before = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect(before.body.data.total).toBe(3);
+      expect(before.body.data.byType.assigned).toBe(3);
+      expect(before.body.data.byType.mentioned).toBe(0);
+
+      const response = await request(app)
+        .post('/api/v1/notifications/read-all')
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect(response.body.data.updated).toBe(3);
+
+      const after = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect(after.body.data.total).toBe(0);
+    });
+
+    it("should not let users read someone else's notifications", async () => {
+      const [notification] = (await getNotifications(assigneeToken)).body.data;
+
+      await request(app)
+        .post(`/api/v1/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+
+    it('should reject an invalid notification ID', async () => {
+      await request(app)
+        .post('/api/v1/notifications/not-an-id/read')
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(422);
+    });
+  });
+});
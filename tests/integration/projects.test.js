@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const Project = require('../../src/models/Project');
+
+/**
+ * Integration Tests for Projects
+ */
+
+describe('Project API', () => {
+  let accessToken;
+  let project;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, projects and tasks before each test
+    await User.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+
+    const projectResponse = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Website relaunch' })
+      .expect(201);
+
+    project = projectResponse.body.data;
+  });
+
+  const createTask = (data) => request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data)
+    .expect(201);
+
+  describe('POST /api/v1/projects', () => {
+    it('should fail with duplicate name', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Website relaunch' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/tasks?project=', () => {
+    it('should filter tasks by project', async () => {
+      await createTask({ title: 'Pick a theme', project: project._id });
+      await createTask({ title: 'Unrelated chore' });
+
+      const response = await request(app)
+        .get(`/api/v1/tasks?project=${project._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Pick a theme');
+    });
+  });
+
+  describe('POST /api/v1/projects/:id/archive', () => {
+    beforeEach(async () => {
+      await createTask({ title: 'Pick a theme', project: project._id });
+      await createTask({ title: 'Unrelated chore' });
+
+      await request(app)
+        .post(`/api/v1/projects/${project._id}/archive`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+    });
+
+    it('should hide tasks of archived projects from the default list', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Unrelated chore');
+    });
+
+    it('should not accept new tasks in an archived project', async () => {
+      await request(app)
+        .post('/api/v1/tasks')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Late addition', project: project._id })
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/statistics', () => {
+    it('should only count tasks of the project', async () => {
+      await createTask({ title: 'Pick a theme', project: project._id });
+      await createTask({ title: 'Unrelated chore' });
+
+      const response = await request(app)
+        .get(`/api/v1/projects/${project._id}/statistics`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.byStatus.pending).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const SavedView = require('../../src/models/SavedView');
+
+/**
+ * Integration Tests for Saved Views
+ */
+
+describe('Saved Views API', () => {
+  let accessToken;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and views before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await SavedView.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTask = (data) => request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data)
+    .expect(201);
+
+  const createView = (data) => request(app)
+    .post('/api/v1/views')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data);
+
+  describe('CRUD', () => {
+    it('should save and list views', async () => {
+      await createView({ name: 'Urgent', filters: { priority: 'high' } }).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/views')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].filters).toEqual({ priority: ['high'] });
+    });
+
+    it('should reject duplicate names', async () => {
+      await createView({ name: 'Urgent' }).expect(201);
+      await createView({ name: 'Urgent' }).expect(409);
+    });
+
+    it('should reject invalid filters', async () => {
+      await createView({ name: 'Bad', filters: { status: 'done', dueBefore: 'soon' } })
+        .expect(422);
+    });
+
+    it('should replace filters on update', async () => {
+      const created = await createView({
+        name: 'Urgent',
+        filters: { priority: 'high', status: 'pending' },
+      }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/views/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ filters: { priority: 'medium' } })
+        .expect(200);
+
+      expect(response.body.data.filters).toEqual({ priority: ['medium'] });
+    });
+
+    it('should delete a view', async () => {
+      const created = await createView({ name: 'Urgent' }).expect(201);
+
+      await request(app)
+        .delete(`/api/v1/views/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/views/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Running views', () => {
+    it('should list tasks matching the view in its sort order', async () => {
+      await createTask({ title: 'Low task', priority: 'low' });
+      await createTask({ title: 'First high', priority: 'high' });
+      await createTask({ title: 'Second high', priority: 'high' });
+
+      const created = await createView({
+        name: 'Urgent',
+        filters: { priority: 'high' },
+        sort: 'createdAt',
+      }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/views/${created.body.data._id}/tasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title)).toEqual(['First high', 'Second high']);
+    });
+
+    it('should resolve date tokens when the view runs', async () => {
+      await createTask({ title: 'Due soon', dueDate: new Date(Date.now() + DAY_MS) });
+      await createTask({ title: 'Due later', dueDate: new Date(Date.now() + 10 * DAY_MS) });
+
+      const created = await createView({
+        name: 'Due within 3 days',
+        filters: { dueAfter: 'now', dueBefore: 'now+3d' },
+      }).expect(201);
+
+      expect(created.body.data.filters.dueBefore).toBe('now+3d');
+
+      const response = await request(app)
+        .get(`/api/v1/views/${created.body.data._id}/tasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title)).toEqual(['Due soon']);
+    });
+
+    it('should not run views of other users', async () => {
+      const created = await createView({ name: 'Mine' }).expect(201);
+
+      const other = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Other User',
+          email: 'other@example.com',
+          password: 'Test@123',
+        });
+
+      await request(app)
+        .get(`/api/v1/views/${created.body.data._id}/tasks`)
+        .set('Authorization', `Bearer ${other.body.data.accessToken}`)
+        .expect(404);
+    });
+  });
+});
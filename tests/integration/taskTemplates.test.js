@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TaskTemplate = require('../../src/models/TaskTemplate');
+const TaskService = require('../../src/services/TaskService');
+const taskEvents = require('../../src/events/taskEvents');
+const { TASK_EVENTS } = require('../../src/config/constants');
+
+/**
+ * Integration Tests for Task Templates
+ */
+
+describe('Task Templates API', () => {
+  let accessToken;
+
+  const onboarding = {
+    name: 'Customer onboarding',
+    title: 'Onboard new customer',
+    priority: 'high',
+    tags: ['onboarding'],
+    dueOffset: '+2w',
+    subtasks: [
+      { title: 'Kickoff call', dueOffset: '+1d' },
+      { title: 'Send welcome pack', tags: ['mail'] },
+    ],
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and templates before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskTemplate.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTemplate = (data) => request(app)
+    .post('/api/v1/templates')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data);
+
+  const instantiate = (templateId, data = {}) => request(app)
+    .post(`/api/v1/templates/${templateId}/instantiate`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data);
+
+  describe('CRUD', () => {
+    it('should save and list templates', async () => {
+      await createTemplate(onboarding).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].subtasks).toHaveLength(2);
+    });
+
+    it('should reject duplicate names and invalid offsets', async () => {
+      await createTemplate(onboarding).expect(201);
+      await createTemplate(onboarding).expect(409);
+      await createTemplate({ name: 'Other', title: 'Other task', dueOffset: '+3 days' })
+        .expect(422);
+    });
+
+    it('should replace the subtasks on update', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/templates/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ subtasks: [{ title: 'Kickoff call' }] })
+        .expect(200);
+
+      expect(response.body.data.subtasks).toEqual([
+        expect.objectContaining({ title: 'Kickoff call' }),
+      ]);
+      expect(response.body.data.title).toBe(onboarding.title);
+    });
+
+    it('should delete a template', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      await request(app)
+        .delete(`/api/v1/templates/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/templates/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/v1/templates/:id/instantiate', () => {
+    it('should create the task and its subtasks relative to the start date', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      const response = await instantiate(created.body.data._id, { startDate: '2030-01-15' })
+        .expect(201);
+
+      const { task, subtasks } = response.body.data;
+      expect(task).toMatchObject({ title: 'Onboard new customer', priority: 'high' });
+      expect(task.dueDate).toBe('2030-01-29T00:00:00.000Z');
+      expect(subtasks.map((subtask) => subtask.dueDate))
+        .toEqual(['2030-01-16T00:00:00.000Z', undefined]);
+      expect(subtasks.every((subtask) => subtask.parent === task._id)).toBe(true);
+
+      expect(await Task.countDocuments({})).toBe(3);
+    });
+
+    it('should create new tasks every time', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      await instantiate(created.body.data._id).expect(201);
+      await instantiate(created.body.data._id).expect(201);
+
+      expect(await Task.countDocuments({ parent: null })).toBe(2);
+    });
+
+    it('should reject start dates that put a due date in the past', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      await instantiate(created.body.data._id, { startDate: '2020-01-01' }).expect(422);
+
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+
+    it('should check the project like any new task', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+
+      await instantiate(created.body.data._id, { project: '507f1f77bcf86cd799439011' })
+        .expect(404);
+    });
+
+    it('should remove the tasks and emit no events when a subtask fails', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+      const spy = jest.spyOn(TaskService.prototype, 'createSubtask')
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await instantiate(created.body.data._id).expect(500);
+      } finally {
+        spy.mockRestore();
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events).toHaveLength(0);
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+
+    it('should emit the events of all created tasks on success', async () => {
+      const created = await createTemplate(onboarding).expect(201);
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await instantiate(created.body.data._id).expect(201);
+      } finally {
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events.map((event) => event.action)).toEqual(['created', 'created', 'created']);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TaskActivity = require('../../src/models/TaskActivity');
+const TaskService = require('../../src/services/TaskService');
+const taskEvents = require('../../src/events/taskEvents');
+const { TASK_EVENTS } = require('../../src/config/constants');
+
+/**
+ * Integration Tests for Task Import and Export
+ */
+
+describe('Task Import/Export API', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and their history before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskActivity.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTask = (data) => request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(data)
+    .expect(201);
+
+  const importTasks = (contentType, body, query = '') => request(app)
+    .post(`/api/v1/tasks/import${query}`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .set('Content-Type', contentType)
+    .send(body);
+
+  describe('GET /api/v1/tasks/export', () => {
+    beforeEach(async () => {
+      await createTask({ title: 'Write, then "ship"', priority: 'high', tags: ['docs', 'api'] });
+      await createTask({ title: 'Plan sprint', priority: 'low' });
+    });
+
+    it('should export the filtered tasks as CSV', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks/export?format=csv&priority=high')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition'])
+        .toMatch(/attachment; filename="tasks-.*\.csv"/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatch(/^id,title,description,status,priority/);
+      expect(lines[1]).toContain('"Write, then ""ship""",,pending,high');
+      expect(lines[1]).toContain('"docs,api"');
+    });
+
+    it('should export JSON by default', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks/export')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const tasks = JSON.parse(response.text);
+      expect(tasks.map((task) => task.title).sort()).toEqual(['Plan sprint', 'Write, then "ship"']);
+    });
+
+    it('should export an empty list when nothing matches', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks/export?status=cancelled')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(JSON.parse(response.text)).toEqual([]);
+    });
+  });
+
+  describe('POST /api/v1/tasks/import', () => {
+    const csv = [
+      'title,priority,tags',
+      'Write docs,high,"docs,api"',
+      'Plan sprint,low,',
+    ].join('\r\n');
+
+    it('should import tasks from CSV', async () => {
+      const response = await importTasks('text/csv', csv).expect(201);
+
+      expect(response.body.data.summary).toMatchObject({ total: 2, imported: 2 });
+
+      const task = await Task.findOne({ title: 'Write docs' });
+      expect(task.tags).toEqual(['docs', 'api']);
+      expect(await TaskActivity.countDocuments({ action: 'created' })).toBe(2);
+    });
+
+    it('should import what an export produced', async () => {
+      await createTask({ title: 'Write docs', tags: ['docs'] });
+
+      const exported = await request(app)
+        .get('/api/v1/tasks/export?format=csv')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await importTasks('text/csv', exported.text).expect(201);
+
+      expect(await Task.countDocuments({ title: 'Write docs' })).toBe(2);
+    });
+
+    it('should import an export with past due dates', async () => {
+      const late = await createTask({
+        title: 'Renew domain',
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      });
+      const dueDate = new Date('2024-01-15T09:00:00.000Z');
+      await Task.updateOne({ _id: late.body.data._id }, { dueDate });
+
+      const exported = await request(app)
+        .get('/api/v1/tasks/export')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await importTasks('application/json', exported.text).expect(201);
+
+      const tasks = await Task.find({ title: 'Renew domain' });
+      expect(tasks).toHaveLength(2);
+      expect(tasks.map((task) => task.dueDate.toISOString())).toEqual([
+        dueDate.toISOString(),
+        dueDate.toISOString(),
+      ]);
+    });
+
+    it('should only check the tasks on a dry run', async () => {
+      const response = await importTasks('text/csv', csv, '?dryRun=true').expect(200);
+
+      expect(response.body.data.dryRun).toBe(true);
+      expect(response.body.data.summary).toEqual({ total: 2, valid: 2, invalid: 0 });
+      expect(response.body.data.tasks).toHaveLength(2);
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+
+    it('should report invalid rows and import nothing', async () => {
+      const response = await importTasks('application/json', [
+        { title: 'Write docs' },
+        { title: 'No', priority: 'someday' },
+        { title: 'Plan sprint', project: '507f1f77bcf86cd799439011' },
+      ]).expect(422);
+
+      expect(response.body.details).toEqual([
+        { row: 2, errors: [expect.stringMatching(/^Title/), expect.stringMatching(/^Priority/)] },
+        { row: 3, errors: ['Project not found'] },
+      ]);
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+
+    it('should reject other content types with 415', async () => {
+      await importTasks('text/plain', 'Write docs').expect(415);
+    });
+
+    it('should emit no task events when a failed import is rolled back', async () => {
+      const { createTask: create } = TaskService.prototype;
+      const spy = jest.spyOn(TaskService.prototype, 'createTask')
+        .mockImplementationOnce(create)
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await importTasks('application/json', [
+          { title: 'Write docs' },
+          { title: 'Plan sprint' },
+        ]).expect(500);
+      } finally {
+        spy.mockRestore();
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events).toHaveLength(0);
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,1168 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TaskActivity = require('../../src/models/TaskActivity');
+const Comment = require('../../src/models/Comment');
+const TimeEntry = require('../../src/models/TimeEntry');
+const taskEvents = require('../../src/events/taskEvents');
+const { TASK_EVENTS } = require('../../src/config/constants');
+
+/**
+ * Integration Tests for Tasks
+ */
+
+describe('Task API', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users and tasks before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskActivity.deleteMany({});
+    await TimeEntry.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTask = async (data) => {
+    const response = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('Subtasks', () => {
+    let parent;
+
+    beforeEach(async () => {
+      parent = await createTask({ title: 'Launch website' });
+    });
+
+    const createSubtask = (data) => request(app)
+      .post(`/api/v1/tasks/${parent._id}/subtasks`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+
+    it('should create a subtask and roll up progress on the parent', async () => {
+      const first = await createSubtask({ title: 'Write copy' }).expect(201);
+      await createSubtask({ title: 'Design pages' }).expect(201);
+
+      expect(first.body.data.parent).toBe(parent._id);
+
+      await request(app)
+        .put(`/api/v1/tasks/${first.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${parent._id}/subtasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.subtasks).toHaveLength(2);
+      expect(response.body.data.progress).toEqual({
+        total: 2,
+        completed: 1,
+        percent: 50,
+      });
+    });
+
+    it('should not allow subtasks of subtasks', async () => {
+      const subtask = await createSubtask({ title: 'Write copy' }).expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/tasks/${subtask.body.data._id}/subtasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Too deep' })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should refuse to complete a parent with open subtasks', async () => {
+      await createSubtask({ title: 'Write copy' }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/tasks/${parent._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should cancel open subtasks when the parent is cancelled', async () => {
+      const subtask = await createSubtask({ title: 'Write copy' }).expect(201);
+
+      await request(app)
+        .put(`/api/v1/tasks/${parent._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${subtask.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('cancelled');
+    });
+
+    it('should stop timers and emit events for the subtasks it cancels', async () => {
+      const subtask = await createSubtask({ title: 'Write copy' }).expect(201);
+
+      await request(app)
+        .post(`/api/v1/tasks/${subtask.body.data._id}/timer/start`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(201);
+
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await request(app)
+          .put(`/api/v1/tasks/${parent._id}`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ status: 'cancelled' })
+          .expect(200);
+      } finally {
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events.map((event) => String(event.task._id)))
+        .toEqual([parent._id, subtask.body.data._id]);
+      expect(events[1].changes).toEqual([{ field: 'status', from: 'pending', to: 'cancelled' }]);
+      expect(await TimeEntry.countDocuments({ isRunning: true })).toBe(0);
+    });
+
+    it('should count subtasks separately in statistics', async () => {
+      await createSubtask({ title: 'Write copy' }).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/tasks/statistics/summary')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.subtasks.total).toBe(1);
+    });
+  });
+
+  describe('Dependencies', () => {
+    let blocker;
+    let blocked;
+
+    beforeEach(async () => {
+      blocker = await createTask({ title: 'Provision database' });
+      blocked = await createTask({ title: 'Deploy application' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${blocked._id}/dependencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ blockerId: blocker._id })
+        .expect(201);
+    });
+
+    it('should reject a dependency that forms a cycle', async () => {
+      const response = await request(app)
+        .post(`/api/v1/tasks/${blocker._id}/dependencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ blockerId: blocked._id })
+        .expect(409);
+
+      expect(response.body.details).toMatch(/cycle/);
+    });
+
+    it('should not start a task while a blocker is open', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${blocked._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'in_progress' })
+        .expect(409);
+
+      await request(app)
+        .put(`/api/v1/tasks/${blocker._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/v1/tasks/${blocked._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+    });
+
+    it('should return the dependency graph', async () => {
+      const response = await request(app)
+        .get(`/api/v1/tasks/${blocked._id}/dependencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.nodes).toHaveLength(2);
+      expect(response.body.data.edges).toEqual([
+        { from: blocker._id, to: blocked._id },
+      ]);
+    });
+
+    it('should remove a dependency', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/tasks/${blocked._id}/dependencies/${blocker._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.blockedBy).toHaveLength(0);
+    });
+  });
+
+  describe('Checklist', () => {
+    let task;
+
+    const addItem = (text) => request(app)
+      .post(`/api/v1/tasks/${task._id}/checklist`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ text })
+      .expect(201);
+
+    const setChecked = (itemId, action) => request(app)
+      .post(`/api/v1/tasks/${task._id}/checklist/${itemId}/${action}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      task = await createTask({ title: 'Release 2.0', requireChecklist: true });
+      await addItem('Update changelog');
+      const response = await addItem('Tag the release');
+      task = response.body.data;
+    });
+
+    it('should add items in order and report progress', async () => {
+      expect(task.checklist.map((item) => item.text))
+        .toEqual(['Update changelog', 'Tag the release']);
+      expect(task.checklistProgress).toEqual({ total: 2, checked: 0, percent: 0 });
+
+      const response = await setChecked(task.checklist[0]._id, 'check');
+
+      expect(response.body.data.checklist[0].checked).toBe(true);
+      expect(response.body.data.checklistProgress).toEqual({ total: 2, checked: 1, percent: 50 });
+    });
+
+    it('should rename, reorder and remove items', async () => {
+      const [first, second] = task.checklist;
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}/checklist/${first._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ text: 'Write changelog' })
+        .expect(200);
+
+      const reordered = await request(app)
+        .put(`/api/v1/tasks/${task._id}/checklist/order`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ itemIds: [second._id, first._id] })
+        .expect(200);
+
+      expect(reordered.body.data.checklist.map((item) => item.text))
+        .toEqual(['Tag the release', 'Write changelog']);
+
+      const removed = await request(app)
+        .delete(`/api/v1/tasks/${task._id}/checklist/${second._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(removed.body.data.checklist).toHaveLength(1);
+    });
+
+    it('should reject an order that leaves out items', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}/checklist/order`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ itemIds: [task.checklist[0]._id] })
+        .expect(422);
+    });
+
+    it('should not complete the task while items are unchecked', async () => {
+      const complete = () => request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' });
+
+      const response = await complete().expect(409);
+      expect(response.body.details).toMatch(/2 unchecked checklist item/);
+
+      await setChecked(task.checklist[0]._id, 'check');
+      await setChecked(task.checklist[1]._id, 'check');
+
+      await complete().expect(200);
+    });
+
+    it('should allow completion with unchecked items unless required', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ requireChecklist: false, status: 'completed' })
+        .expect(200);
+    });
+
+    it('should record switching the completion rule in the history', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ requireChecklist: false, status: 'completed' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/history`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const [completion] = response.body.data;
+      const creation = response.body.data[response.body.data.length - 1];
+
+      expect(completion.action).toBe('status_changed');
+      expect(completion.changes).toEqual(expect.arrayContaining([
+        { field: 'requireChecklist', from: true, to: false },
+      ]));
+      expect(creation.changes).toEqual(expect.arrayContaining([
+        { field: 'requireChecklist', from: null, to: true },
+      ]));
+    });
+
+    it('should not record the default completion rule of a new task', async () => {
+      const plain = await createTask({ title: 'No checklist' });
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${plain._id}/history`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data[0].changes.map((change) => change.field))
+        .not.toContain('requireChecklist');
+    });
+  });
+
+  describe('Bulk operations', () => {
+    const bulk = (data) => request(app)
+      .post('/api/v1/tasks/bulk')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+
+    it('should update several tasks and report each result', async () => {
+      const first = await createTask({ title: 'Write changelog' });
+      const second = await createTask({ title: 'Tag release' });
+      const missing = '507f1f77bcf86cd799439011';
+
+      const response = await bulk({
+        ids: [first._id, second._id, missing],
+        action: 'update',
+        changes: { priority: 'high', tags: ['release'] },
+      }).expect(200);
+
+      expect(response.body.data.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+      expect(response.body.data.results[2]).toMatchObject({
+        id: missing,
+        success: false,
+        statusCode: 404,
+      });
+
+      const updated = await Task.find({ tags: 'release', priority: 'high' });
+      expect(updated).toHaveLength(2);
+    });
+
+    it('should keep going when one task breaks a rule', async () => {
+      const blocker = await createTask({ title: 'Provision database' });
+      const blocked = await createTask({ title: 'Deploy application' });
+      const free = await createTask({ title: 'Write docs' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${blocked._id}/dependencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ blockerId: blocker._id })
+        .expect(201);
+
+      const response = await bulk({
+        ids: [blocked._id, free._id],
+        action: 'update',
+        changes: { status: 'completed' },
+      }).expect(200);
+
+      expect(response.body.data.results.map((result) => result.statusCode)).toEqual([409, 200]);
+    });
+
+    it('should soft delete tasks', async () => {
+      const parent = await createTask({ title: 'Launch website' });
+      const subtask = await request(app)
+        .post(`/api/v1/tasks/${parent._id}/subtasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Buy domain' })
+        .expect(201);
+
+      const response = await bulk({
+        ids: [parent._id, subtask.body.data._id],
+        action: 'delete',
+      }).expect(200);
+
+      expect(response.body.data.summary.succeeded).toBe(2);
+      expect(await Task.countDocuments({ isDeleted: false })).toBe(0);
+    });
+
+    it('should not touch tasks owned by someone else', async () => {
+      const task = await createTask({ title: 'Private task' });
+
+      const other = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'Test@123' });
+
+      const response = await request(app)
+        .post('/api/v1/tasks/bulk')
+        .set('Authorization', `Bearer ${other.body.data.accessToken}`)
+        .send({ ids: [task._id], action: 'delete' })
+        .expect(200);
+
+      expect(response.body.data.results[0].statusCode).toBe(404);
+      expect(await Task.countDocuments({ isDeleted: false })).toBe(1);
+    });
+
+    it('should validate the request', async () => {
+      await bulk({ ids: [], action: 'update', changes: { status: 'completed' } }).expect(422);
+      await bulk({ ids: ['507f1f77bcf86cd799439011'], action: 'update' }).expect(422);
+      await bulk({
+        ids: ['507f1f77bcf86cd799439011'],
+        action: 'delete',
+        changes: { status: 'completed' },
+      }).expect(422);
+    });
+  });
+
+  describe('Conditional requests', () => {
+    let task;
+
+    beforeEach(async () => {
+      task = await createTask({ title: 'Review contract' });
+    });
+
+    const getTask = () => request(app)
+      .get(`/api/v1/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    it('should return the task version in the ETag and 304 when unchanged', async () => {
+      const response = await getTask().expect(200);
+      const { etag } = response.headers;
+
+      expect(etag).toMatch(/^"0\.[A-Za-z0-9_-]+"$/);
+
+      await getTask().set('If-None-Match', etag).expect(304);
+    });
+
+    it('should accept the ETag of a read in If-Match', async () => {
+      const { etag } = (await getTask().expect(200)).headers;
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', etag)
+        .send({ priority: 'high' })
+        .expect(200);
+    });
+
+    it('should bump the ETag on every update', async () => {
+      const response = await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', '"0"')
+        .send({ priority: 'high' })
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"1"');
+
+      await getTask().set('If-None-Match', '"0"').expect(200);
+    });
+
+    it('should reject a stale If-Match with 412', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Review contract draft' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Review final contract' })
+        .expect(412);
+
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', '"0"')
+        .expect(412);
+
+      const current = await getTask().expect(200);
+      expect(current.body.data.title).toBe('Review contract draft');
+    });
+
+    it('should delete when If-Match is current', async () => {
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', '"0"')
+        .expect(200);
+    });
+  });
+
+  describe('Patch', () => {
+    let task;
+
+    beforeEach(async () => {
+      task = await createTask({
+        title: 'Review contract',
+        tags: ['legal'],
+        dueDate: '2030-01-15T00:00:00.000Z',
+      });
+    });
+
+    const patchTask = (contentType, body) => request(app)
+      .patch(`/api/v1/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .set('Content-Type', contentType)
+      .send(JSON.stringify(body));
+
+    it('should apply a merge patch, clearing fields set to null', async () => {
+      const response = await patchTask('application/merge-patch+json', {
+        priority: 'high',
+        dueDate: null,
+      }).expect(200);
+
+      expect(response.body.data.priority).toBe('high');
+      expect(response.body.data.dueDate).toBeNull();
+      expect(response.body.data.tags).toEqual(['legal']);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    it('should apply JSON Patch operations to tags', async () => {
+      const response = await patchTask('application/json-patch+json', [
+        { op: 'add', path: '/tags/-', value: 'Urgent' },
+        { op: 'remove', path: '/tags/0' },
+      ]).expect(200);
+
+      expect(response.body.data.tags).toEqual(['urgent']);
+    });
+
+    it('should validate the patched task like an update', async () => {
+      await patchTask('application/merge-patch+json', { status: 'archived' }).expect(422);
+      await patchTask('application/merge-patch+json', { user: 'someone' }).expect(422);
+      await patchTask('application/json-patch+json', [
+        { op: 'remove', path: '/project' },
+      ]).expect(422);
+    });
+
+    it('should return 409 when a test operation fails', async () => {
+      await patchTask('application/json-patch+json', [
+        { op: 'test', path: '/title', value: 'Something else' },
+        { op: 'replace', path: '/title', value: 'Review contract draft' },
+      ]).expect(409);
+
+      const unchanged = await Task.findById(task._id);
+      expect(unchanged.title).toBe('Review contract');
+    });
+
+    it('should reject other content types with 415', async () => {
+      await patchTask('application/json', { priority: 'high' }).expect(415);
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    it('should generate the next occurrence when one is completed', async () => {
+      const dueDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const task = await createTask({
+        title: 'Water the plants',
+        dueDate: dueDate.toISOString(),
+        recurrence: { frequency: 'daily', interval: 2 },
+      });
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const next = await Task.findOne({ series: task._id });
+
+      expect(next.occurrence).toBe(2);
+      expect(next.status).toBe('pending');
+      expect(next.dueDate.getTime() - dueDate.getTime()).toBe(2 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should require a due date for recurring tasks', async () => {
+      const response = await request(app)
+        .post('/api/v1/tasks')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Water the plants', recurrence: { frequency: 'daily' } })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Assignment', () => {
+    let assigneeToken;
+    let task;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Assignee User',
+          email: 'assignee@example.com',
+          password: 'Test@123',
+        });
+
+      assigneeToken = response.body.data.accessToken;
+      task = await createTask({
+        title: 'Review pull request',
+        assignees: [response.body.data.user._id],
+      });
+    });
+
+    it('should list tasks assigned to the current user', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks?assignedTo=me')
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]._id).toBe(task._id);
+    });
+
+    it('should let an assignee update status but nothing else', async () => {
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .send({ title: 'Renamed by assignee' })
+        .expect(403);
+    });
+
+    it('should not let an assignee delete the task', async () => {
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(404);
+    });
+
+    it('should let the owner reassign the task', async () => {
+      const response = await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ assignees: [] })
+        .expect(200);
+
+      expect(response.body.data.assignees).toHaveLength(0);
+    });
+  });
+
+  describe('Watchers', () => {
+    let assigneeToken;
+    let assigneeId;
+    let task;
+
+    const getWatching = (token) => request(app)
+      .get('/api/v1/tasks/watching')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Assignee User',
+          email: 'assignee@example.com',
+          password: 'Test@123',
+        });
+
+      assigneeToken = response.body.data.accessToken;
+      assigneeId = response.body.data.user._id;
+      task = await createTask({ title: 'Review pull request', assignees: [assigneeId] });
+    });
+
+    it('should make owners and assignees watch the task', async () => {
+      const [ownerList, assigneeList] = await Promise.all([
+        getWatching(accessToken),
+        getWatching(assigneeToken),
+      ]);
+
+      expect(ownerList.body.data.map((watched) => watched._id)).toEqual([task._id]);
+      expect(assigneeList.body.data.map((watched) => watched._id)).toEqual([task._id]);
+    });
+
+    it('should unwatch and watch again', async () => {
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/unwatch`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect((await getWatching(assigneeToken)).body.data).toHaveLength(0);
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/watch`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      expect((await getWatching(assigneeToken)).body.data).toHaveLength(1);
+    });
+
+    it('should make commenters watch the task', async () => {
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/unwatch`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .send({ body: 'Looks good to me' })
+        .expect(201);
+
+      expect((await getWatching(assigneeToken)).body.data).toHaveLength(1);
+    });
+
+    it('should keep the ETag when watchers change', async () => {
+      const { etag } = (await request(app)
+        .get(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200)).headers;
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/unwatch`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${assigneeToken}`)
+        .send({ body: 'Looks good to me' })
+        .expect(201);
+
+      expect((await getWatching(assigneeToken)).body.data).toHaveLength(1);
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', etag)
+        .send({ priority: 'high' })
+        .expect(200);
+    });
+
+    it('should not let outsiders watch the task', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Other User',
+          email: 'other@example.com',
+          password: 'Test@123',
+        });
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/watch`)
+        .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+        .expect(404);
+    });
+
+    it('should address change events to the other watchers', async () => {
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await request(app)
+          .put(`/api/v1/tasks/${task._id}`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ priority: 'urgent' })
+          .expect(200);
+      } finally {
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        action: 'updated',
+        audience: [assigneeId],
+        changes: [expect.objectContaining({ field: 'priority', to: 'urgent' })],
+      });
+    });
+  });
+
+  describe('History', () => {
+    it('should record field-level changes with the acting user', async () => {
+      const task = await createTask({ title: 'Audit me', priority: 'low' });
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ priority: 'high' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/history`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const [statusChange, update, creation] = response.body.data;
+
+      expect(creation.action).toBe('created');
+      expect(update.action).toBe('updated');
+      expect(update.changes).toEqual([{ field: 'priority', from: 'low', to: 'high' }]);
+      expect(statusChange.action).toBe('status_changed');
+      expect(statusChange.actor.email).toBe('test@example.com');
+    });
+
+    it('should not record updates that change nothing', async () => {
+      const task = await createTask({ title: 'Audit me', priority: 'low' });
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ priority: 'low' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/history`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+  });
+
+  describe('Board', () => {
+    const move = (taskId, data) => request(app)
+      .patch(`/api/v1/tasks/${taskId}/move`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+
+    const boardTitles = async (status) => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?status=${status}&sort=position`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      return response.body.data.map((task) => task.title);
+    };
+
+    it('should append new tasks to the bottom of their column', async () => {
+      await createTask({ title: 'First card' });
+      await createTask({ title: 'Second card' });
+
+      expect(await boardTitles('pending')).toEqual(['First card', 'Second card']);
+    });
+
+    it('should place a moved task between its neighbors', async () => {
+      const first = await createTask({ title: 'First card' });
+      await createTask({ title: 'Second card' });
+      const third = await createTask({ title: 'Third card' });
+
+      await move(third._id, { prevId: first._id }).expect(200);
+
+      expect(await boardTitles('pending')).toEqual(['First card', 'Third card', 'Second card']);
+    });
+
+    it('should move a task into another column', async () => {
+      const card = await createTask({ title: 'Started card' });
+
+      const response = await move(card._id, { status: 'in_progress' }).expect(200);
+
+      expect(response.body.data.status).toBe('in_progress');
+      expect(await boardTitles('in_progress')).toEqual(['Started card']);
+    });
+
+    it('should reject neighbors from another column', async () => {
+      const card = await createTask({ title: 'Pending card' });
+      const other = await createTask({ title: 'Done card', status: 'completed' });
+
+      await move(card._id, { prevId: other._id }).expect(422);
+    });
+  });
+
+  describe('Filtering', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const listTitles = async (query) => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?${query}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      return response.body.data.map((task) => task.title).sort();
+    };
+
+    beforeEach(async () => {
+      await createTask({ title: 'Write docs', tags: ['docs'], priority: 'low' });
+      await createTask({ title: 'Fix login', tags: ['bug', 'auth'], priority: 'high' });
+      await createTask({
+        title: 'Ship release',
+        tags: ['bug'],
+        dueDate: new Date(Date.now() + 2 * DAY_MS),
+      });
+
+      // Due dates in the past cannot be set through the API
+      const late = await createTask({
+        title: 'Renew domain',
+        dueDate: new Date(Date.now() + DAY_MS),
+      });
+      await Task.updateOne({ _id: late._id }, { dueDate: new Date(Date.now() - DAY_MS) });
+    });
+
+    it('should match any of several statuses and priorities', async () => {
+      const titles = await listTitles('priority=low,high&status=pending,in_progress');
+
+      expect(titles).toEqual(['Fix login', 'Write docs']);
+    });
+
+    it('should match any or all tags', async () => {
+      expect(await listTitles('tags=bug,docs'))
+        .toEqual(['Fix login', 'Ship release', 'Write docs']);
+      expect(await listTitles('tags=bug,auth&tagMatch=all')).toEqual(['Fix login']);
+    });
+
+    it('should list tasks without a due date', async () => {
+      expect(await listTitles('hasDueDate=false')).toEqual(['Fix login', 'Write docs']);
+    });
+
+    it('should list overdue tasks only', async () => {
+      expect(await listTitles('overdue=true')).toEqual(['Renew domain']);
+    });
+
+    it('should agree with the overdue list and statistics, leaving out cancelled tasks', async () => {
+      const dropped = await createTask({
+        title: 'Old plan',
+        status: 'cancelled',
+        dueDate: new Date(Date.now() + DAY_MS),
+      });
+      await Task.updateOne({ _id: dropped._id }, { dueDate: new Date(Date.now() - DAY_MS) });
+
+      const list = await request(app)
+        .get('/api/v1/tasks/overdue/list')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      const statistics = await request(app)
+        .get('/api/v1/tasks/statistics/summary')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await listTitles('overdue=true')).toEqual(['Renew domain']);
+      expect(list.body.data.map((task) => task.title)).toEqual(['Renew domain']);
+      expect(statistics.body.data.overdue).toBe(1);
+
+      const cancelled = await request(app)
+        .get(`/api/v1/tasks/${dropped._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(cancelled.body.data.isOverdue).toBe(false);
+    });
+
+    it('should filter by due date range with date tokens', async () => {
+      expect(await listTitles('dueAfter=now&dueBefore=now%2B3d')).toEqual(['Ship release']);
+    });
+
+    it('should filter by completion date', async () => {
+      const tasks = await request(app)
+        .get('/api/v1/tasks?tags=docs')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      await request(app)
+        .put(`/api/v1/tasks/${tasks.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(await listTitles('completedAfter=today')).toEqual(['Write docs']);
+    });
+
+    it('should reject operators in filter values', async () => {
+      await request(app)
+        .get('/api/v1/tasks?status[$ne]=completed')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(422);
+    });
+
+    it('should reject contradicting due date filters', async () => {
+      await request(app)
+        .get('/api/v1/tasks?hasDueDate=false&overdue=true')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(422);
+    });
+  });
+
+  describe('Search', () => {
+    let deployTask;
+
+    const search = async (query) => {
+      const response = await request(app)
+        .get(`/api/v1/tasks?search=${encodeURIComponent(query)}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    beforeAll(async () => {
+      // Text indexes must exist before $text queries run
+      await Task.init();
+      await Comment.init();
+    });
+
+    beforeEach(async () => {
+      await Comment.deleteMany({});
+
+      deployTask = await createTask({
+        title: 'Deploy the API',
+        description: 'Roll out the release to production',
+      });
+      await createTask({ title: 'Write release notes', tags: ['docs'] });
+      const login = await createTask({ title: 'Fix login page' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${login._id}/comments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ body: 'Blocked until we deploy the new session store' })
+        .expect(201);
+    });
+
+    it('should rank title matches above comment matches', async () => {
+      const results = await search('deploy');
+
+      expect(results.map((task) => task.title)).toEqual(['Deploy the API', 'Fix login page']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should highlight matches in titles and comments', async () => {
+      const [first, second] = await search('deploy');
+
+      expect(first.highlights.title).toBe('<mark>Deploy</mark> the API');
+      expect(second.highlights.comment).toContain('<mark>deploy</mark>');
+    });
+
+    it('should match quoted phrases', async () => {
+      const results = await search('"release notes"');
+
+      expect(results.map((task) => task.title)).toEqual(['Write release notes']);
+    });
+
+    it('should match word prefixes', async () => {
+      const results = await search('prod*');
+
+      expect(results.map((task) => task._id)).toEqual([deployTask._id]);
+    });
+
+    it('should treat regex characters literally', async () => {
+      expect(await search('(a+)+$')).toEqual([]);
+    });
+
+    it('should keep an explicit sort order', async () => {
+      const response = await request(app)
+        .get('/api/v1/tasks?search=deploy&sort=createdAt')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((task) => task.title))
+        .toEqual(['Deploy the API', 'Fix login page']);
+    });
+  });
+
+  describe('Cursor pagination', () => {
+    const list = (query) => request(app)
+      .get(`/api/v1/tasks?${query}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    // One at a time, so the tasks are created in order
+    beforeEach(() => [1, 2, 3, 4, 5].reduce(async (previous, i) => {
+      await previous;
+      await createTask({ title: `Task number ${i}` });
+    }, Promise.resolve()));
+
+    it('should hand out a cursor with the first page', async () => {
+      const response = await list('limit=2');
+
+      expect(response.body.meta.pagination.total).toBe(5);
+      expect(response.body.meta.pagination.nextCursor).toEqual(expect.any(String));
+      expect(response.body.meta.pagination.prevCursor).toBeNull();
+    });
+
+    it('should not shift items when tasks are created mid-scroll', async () => {
+      const first = await list('limit=2');
+      await createTask({ title: 'Created while scrolling' });
+
+      const second = await list(`limit=2&cursor=${first.body.meta.pagination.nextCursor}`);
+
+      expect(first.body.data.map((task) => task.title))
+        .toEqual(['Task number 5', 'Task number 4']);
+      expect(second.body.data.map((task) => task.title))
+        .toEqual(['Task number 3', 'Task number 2']);
+      expect(second.body.meta.pagination.total).toBeUndefined();
+    });
+
+    it('should page backwards with prevCursor', async () => {
+      const first = await list('limit=2');
+      const second = await list(`limit=2&cursor=${first.body.meta.pagination.nextCursor}`);
+      const back = await list(`limit=2&cursor=${second.body.meta.pagination.prevCursor}`);
+
+      expect(back.body.data.map((task) => task._id))
+        .toEqual(first.body.data.map((task) => task._id));
+    });
+
+    it('should count the total only when asked', async () => {
+      const first = await list('limit=2');
+      const { nextCursor } = first.body.meta.pagination;
+      const second = await list(`limit=2&withTotal=true&cursor=${nextCursor}`);
+
+      expect(second.body.meta.pagination.total).toBe(5);
+    });
+
+    it('should reject a cursor from another sort order', async () => {
+      const first = await list('limit=2');
+      const { nextCursor } = first.body.meta.pagination;
+
+      await request(app)
+        .get(`/api/v1/tasks?limit=2&sort=dueDate&cursor=${nextCursor}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(422);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TimeEntry = require('../../src/models/TimeEntry');
+
+/**
+ * Integration Tests for Time Tracking
+ */
+
+describe('Time Tracking API', () => {
+  let accessToken;
+  let task;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and time entries before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TimeEntry.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+    task = await createTask({ title: 'Billable work', estimatedMinutes: 120, tags: ['acme'] });
+  });
+
+  const createTask = async (data) => {
+    const response = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const startTimer = (taskId) => request(app)
+    .post(`/api/v1/tasks/${taskId}/timer/start`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({});
+
+  describe('Timers', () => {
+    it('should allow only one running timer per user', async () => {
+      const other = await createTask({ title: 'Other work' });
+
+      await startTimer(task._id).expect(201);
+      await startTimer(other._id).expect(409);
+    });
+
+    it('should stop a running timer', async () => {
+      await startTimer(task._id).expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/tasks/${task._id}/timer/stop`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.isRunning).toBe(false);
+      expect(response.body.data.endedAt).toBeDefined();
+    });
+
+    it('should stop the timer when the task is completed', async () => {
+      await startTimer(task._id).expect(201);
+
+      await request(app)
+        .put(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/v1/time-entries/running')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toBeNull();
+    });
+  });
+
+  describe('Manual entries', () => {
+    it('should total logged time against the estimate', async () => {
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/time-entries`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ minutes: 45, note: 'Kick-off call' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/tasks/${task._id}/time-entries`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.totals).toEqual({
+        totalMinutes: 45,
+        estimatedMinutes: 120,
+        remainingMinutes: 75,
+      });
+    });
+  });
+
+  describe('GET /api/v1/time-entries', () => {
+    it('should report time by tag', async () => {
+      const other = await createTask({ title: 'Internal work' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/time-entries`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ minutes: 30 })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/tasks/${other._id}/time-entries`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ minutes: 15 })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/time-entries?tag=acme')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.totalMinutes).toBe(30);
+      expect(response.body.data.tasks).toHaveLength(1);
+      expect(response.body.data.tasks[0].task.title).toBe('Billable work');
+    });
+  });
+});
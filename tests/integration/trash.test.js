@@ -0,0 +1,228 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Task = require('../../src/models/Task');
+const TaskActivity = require('../../src/models/TaskActivity');
+const Comment = require('../../src/models/Comment');
+const TrashService = require('../../src/services/TrashService');
+const TaskRepository = require('../../src/repositories/TaskRepository');
+const TaskActivityRepository = require('../../src/repositories/TaskActivityRepository');
+const CommentRepository = require('../../src/repositories/CommentRepository');
+const AttachmentRepository = require('../../src/repositories/AttachmentRepository');
+const TimeEntryRepository = require('../../src/repositories/TimeEntryRepository');
+const taskEvents = require('../../src/events/taskEvents');
+const { TASK_EVENTS } = require('../../src/config/constants');
+const { createStorage } = require('../../src/storage');
+
+/**
+ * Integration Tests for the Trash
+ */
+
+describe('Trash API', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users, tasks and their history before each test
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskActivity.deleteMany({});
+    await Comment.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const createTask = async (data, path = '/api/v1/tasks') => {
+    const response = await request(app)
+      .post(path)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const deleteTask = (taskId) => request(app)
+    .delete(`/api/v1/tasks/${taskId}`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200);
+
+  describe('GET /api/v1/tasks/trash', () => {
+    it('should list deleted tasks with their purge date', async () => {
+      const task = await createTask({ title: 'Old idea' });
+      await createTask({ title: 'Current work' });
+      await deleteTask(task._id);
+
+      const response = await request(app)
+        .get('/api/v1/tasks/trash')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]._id).toBe(task._id);
+      expect(response.body.data[0].deletedAt).toBeDefined();
+      expect(response.body.data[0].purgeAt).toBeDefined();
+    });
+  });
+
+  describe('POST /api/v1/tasks/:id/restore', () => {
+    it('should restore a task with the subtasks deleted along with it', async () => {
+      const parent = await createTask({ title: 'Launch website' });
+      const removedEarlier = await createTask(
+        { title: 'Pick a font' },
+        `/api/v1/tasks/${parent._id}/subtasks`
+      );
+      await createTask({ title: 'Buy domain' }, `/api/v1/tasks/${parent._id}/subtasks`);
+
+      await deleteTask(removedEarlier._id);
+      await deleteTask(parent._id);
+
+      await request(app)
+        .post(`/api/v1/tasks/${parent._id}/restore`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const subtasks = await request(app)
+        .get(`/api/v1/tasks/${parent._id}/subtasks`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(subtasks.body.data.subtasks.map((task) => task.title)).toEqual(['Buy domain']);
+
+      const restored = await TaskActivity.countDocuments({ action: 'restored' });
+      expect(restored).toBe(2);
+    });
+
+    it('should emit a task change event', async () => {
+      const task = await createTask({ title: 'Launch website' });
+      await deleteTask(task._id);
+
+      const events = [];
+      const listener = (event) => events.push(event);
+      taskEvents.on(TASK_EVENTS.CHANGED, listener);
+
+      try {
+        await request(app)
+          .post(`/api/v1/tasks/${task._id}/restore`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(200);
+      } finally {
+        taskEvents.off(TASK_EVENTS.CHANGED, listener);
+      }
+
+      expect(events).toHaveLength(1);
+      expect(events[0].action).toBe('restored');
+      expect(String(events[0].task._id)).toBe(task._id);
+      expect(events[0].changes).toEqual([{ field: 'isDeleted', from: true, to: false }]);
+    });
+
+    it('should not restore a subtask while its parent is in the trash', async () => {
+      const parent = await createTask({ title: 'Launch website' });
+      const subtask = await createTask(
+        { title: 'Buy domain' },
+        `/api/v1/tasks/${parent._id}/subtasks`
+      );
+
+      await deleteTask(parent._id);
+
+      await request(app)
+        .post(`/api/v1/tasks/${subtask._id}/restore`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+
+    it('should return 404 for a task that is not in the trash', async () => {
+      const task = await createTask({ title: 'Current work' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/restore`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/v1/tasks/:id/permanent', () => {
+    it('should delete a trashed task and its comments for good', async () => {
+      const task = await createTask({ title: 'Old idea' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ body: 'Not worth it' })
+        .expect(201);
+
+      await deleteTask(task._id);
+
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}/permanent`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await Task.countDocuments({})).toBe(0);
+      expect(await Comment.countDocuments({})).toBe(0);
+      expect(await TaskActivity.countDocuments({})).toBe(0);
+    });
+
+    it('should only delete tasks that are in the trash', async () => {
+      const task = await createTask({ title: 'Current work' });
+
+      await request(app)
+        .delete(`/api/v1/tasks/${task._id}/permanent`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Retention sweep', () => {
+    const trashService = new TrashService(
+      new TaskRepository(),
+      new TaskActivityRepository(),
+      new CommentRepository(),
+      new AttachmentRepository(),
+      new TimeEntryRepository(),
+      createStorage()
+    );
+
+    it('should purge tasks trashed longer than the retention period', async () => {
+      const expired = await createTask({ title: 'Old idea' });
+      const recent = await createTask({ title: 'Recent idea' });
+      const blocked = await createTask({ title: 'Waiting' });
+
+      await request(app)
+        .post(`/api/v1/tasks/${blocked._id}/dependencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ blockerId: expired._id })
+        .expect(201);
+
+      await deleteTask(expired._id);
+      await deleteTask(recent._id);
+
+      await Task.updateOne({ _id: expired._id }, { deletedAt: new Date('2020-01-01') });
+
+      const purged = await trashService.purgeExpired();
+
+      expect(purged).toBe(1);
+      expect(await Task.exists({ _id: expired._id })).toBeNull();
+      expect(await Task.exists({ _id: recent._id })).not.toBeNull();
+
+      const waiting = await Task.findById(blocked._id);
+      expect(waiting.blockedBy).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const database = require('../../src/config/database');
+const User = require('../../src/models/User');
+
+/**
+ * Integration Tests for Users
+ */
+
+describe('User API', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear users before each test
+    await User.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'Test@123',
+      });
+
+    accessToken = response.body.data.accessToken;
+  });
+
+  const getProfile = () => request(app)
+    .get('/api/v1/users/profile')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  const updateProfile = (data, etag) => request(app)
+    .put('/api/v1/users/profile')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .set('If-Match', etag)
+    .send(data);
+
+  describe('Conditional requests', () => {
+    it('should answer If-None-Match with 304 while the profile is unchanged', async () => {
+      const { etag } = (await getProfile().expect(200)).headers;
+
+      await getProfile().set('If-None-Match', etag).expect(304);
+    });
+
+    it('should only update a profile that has not changed since it was read', async () => {
+      const { etag } = (await getProfile().expect(200)).headers;
+
+      const response = await updateProfile({ name: 'Jane Doe' }, etag).expect(200);
+      expect(response.headers.etag).not.toBe(etag);
+
+      await updateProfile({ name: 'John Doe' }, etag).expect(412);
+
+      const profile = await getProfile().expect(200);
+      expect(profile.body.data.name).toBe('Jane Doe');
+    });
+
+    it('should not deactivate an account with a stale If-Match', async () => {
+      await request(app)
+        .delete('/api/v1/users/account')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('If-Match', '"999"')
+        .expect(412);
+    });
+  });
+});
@@ -7,7 +7,8 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key';
 process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret-key';
-process.env.MONGODB_TEST_URI = 'mongodb://localhost:27017/task_management_test_db';
+process.env.MONGODB_TEST_URI = process.env.MONGODB_TEST_URI
+  || 'mongodb://localhost:27017/task_management_test_db';
 
 // Global test timeout
 jest.setTimeout(10000);
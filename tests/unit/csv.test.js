@@ -0,0 +1,50 @@
+const { formatRow, unguardField, parseCsv } = require('../../src/utils/csv');
+
+/**
+ * Unit Tests for CSV helpers
+ */
+
+describe('formatRow', () => {
+  it('should quote fields with commas, quotes and line breaks', () => {
+    expect(formatRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3]))
+      .toBe('plain,"a,b","say ""hi""","two\nlines",,3\r\n');
+  });
+
+  it('should guard text a spreadsheet would run as a formula', () => {
+    expect(formatRow(['=SUM(A1)', '@cmd', -5])).toBe("'=SUM(A1),'@cmd,-5\r\n");
+  });
+});
+
+describe('unguardField', () => {
+  it('should remove the formula guard only', () => {
+    expect(unguardField("'=SUM(A1)")).toBe('=SUM(A1)');
+    expect(unguardField("'quoted'")).toBe("'quoted'");
+  });
+});
+
+describe('parseCsv', () => {
+  it('should parse quoted fields and mixed line endings', () => {
+    const text = 'title,tags\r\n"Write ""docs""","a,b"\nPlan,\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['title', 'tags'],
+      ['Write "docs"', 'a,b'],
+      ['Plan', ''],
+    ]);
+  });
+
+  it('should keep line breaks inside quotes and skip blank lines', () => {
+    expect(parseCsv('\uFEFFa\n\n"one\ntwo"\n')).toEqual([['a'], ['one\ntwo']]);
+  });
+
+  it('should read back what formatRow wrote', () => {
+    const values = ['=1+1', 'a "b", c', 'x\r\ny'];
+    const [row] = parseCsv(formatRow(values));
+
+    expect(row.map(unguardField)).toEqual(values);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => parseCsv('"open')).toThrow('Unterminated quoted field');
+  });
+});
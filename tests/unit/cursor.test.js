@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const ApiError = require('../../src/utils/ApiError');
+const {
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  keysetCriteria,
+} = require('../../src/utils/cursor');
+
+/**
+ * Unit Tests for Cursor Utilities
+ */
+
+describe('normalizeSort', () => {
+  it('should parse strings and objects and add an _id tie-breaker', () => {
+    expect(normalizeSort('-createdAt')).toEqual([['createdAt', -1], ['_id', -1]]);
+    expect(normalizeSort({ status: 1, position: 1 }))
+      .toEqual([['status', 1], ['position', 1], ['_id', 1]]);
+    expect(normalizeSort()).toEqual([['_id', 1]]);
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  const sort = normalizeSort('-createdAt');
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date('2030-01-02T09:30:00.000Z'),
+  };
+
+  it('should round-trip dates and ObjectIds', () => {
+    const { direction, values } = decodeCursor(encodeCursor(doc, sort, 'next'), sort);
+
+    expect(direction).toBe('next');
+    expect(values[0]).toEqual(doc.createdAt);
+    expect(values[1].equals(doc._id)).toBe(true);
+  });
+
+  it('should reject cursors from another sort order', () => {
+    const cursor = encodeCursor(doc, sort, 'next');
+
+    expect(() => decodeCursor(cursor, normalizeSort('createdAt'))).toThrow(ApiError);
+  });
+
+  it('should reject operators smuggled into a cursor', () => {
+    const cursor = Buffer.from(JSON.stringify({
+      s: 'createdAt:-1,_id:-1',
+      d: 'next',
+      v: [{ $gt: '' }, null],
+    })).toString('base64url');
+
+    expect(() => decodeCursor(cursor, sort)).toThrow(ApiError);
+    expect(() => decodeCursor('not a cursor', sort)).toThrow(ApiError);
+  });
+});
+
+describe('keysetCriteria', () => {
+  it('should continue after the boundary values', () => {
+    expect(keysetCriteria([['priority', 1], ['_id', 1]], ['high', 'x'])).toEqual({
+      $or: [
+        { priority: { $gt: 'high' } },
+        { $and: [{ priority: 'high' }, { _id: { $gt: 'x' } }] },
+      ],
+    });
+  });
+
+  it('should place nulls after all values when descending', () => {
+    expect(keysetCriteria([['dueDate', -1]], [new Date(0)])).toEqual({
+      $or: [{ $or: [{ dueDate: { $lt: new Date(0) } }, { dueDate: null }] }],
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { DATE_OFFSET_PATTERN, isDateToken, resolveDate } = require('../../src/utils/dateTokens');
+
+/**
+ * Unit Tests for Date Token Utilities
+ */
+
+describe('resolveDate', () => {
+  // Wednesday, 9:30 UTC
+  const now = new Date('2030-01-02T09:30:00.000Z');
+
+  it('should resolve anchors', () => {
+    expect(resolveDate('now', now).toISOString()).toBe('2030-01-02T09:30:00.000Z');
+    expect(resolveDate('today', now).toISOString()).toBe('2030-01-02T00:00:00.000Z');
+    expect(resolveDate('tomorrow', now).toISOString()).toBe('2030-01-03T00:00:00.000Z');
+    expect(resolveDate('yesterday', now).toISOString()).toBe('2030-01-01T00:00:00.000Z');
+  });
+
+  it('should apply offsets to an anchor', () => {
+    expect(resolveDate('today+3d', now).toISOString()).toBe('2030-01-05T00:00:00.000Z');
+    expect(resolveDate('today-1w', now).toISOString()).toBe('2029-12-26T00:00:00.000Z');
+    expect(resolveDate('now+2h', now).toISOString()).toBe('2030-01-02T11:30:00.000Z');
+  });
+
+  it('should treat a bare offset as relative to now', () => {
+    expect(resolveDate('+3d', now).toISOString()).toBe('2030-01-05T09:30:00.000Z');
+  });
+
+  it('should pass plain dates through', () => {
+    expect(resolveDate('2030-05-01T00:00:00.000Z', now).toISOString())
+      .toBe('2030-05-01T00:00:00.000Z');
+  });
+});
+
+describe('isDateToken', () => {
+  it('should reject malformed tokens', () => {
+    expect(isDateToken('')).toBe(false);
+    expect(isDateToken('now+')).toBe(false);
+    expect(isDateToken('soon')).toBe(false);
+    expect(isDateToken('2030-05-01')).toBe(false);
+  });
+});
+
+describe('DATE_OFFSET_PATTERN', () => {
+  it('should only match bare offsets', () => {
+    expect(['+3d', '-1w', '+12h'].every((value) => DATE_OFFSET_PATTERN.test(value))).toBe(true);
+    expect(['3d', 'today+3d', '+3 days', '+3m'].some((value) => DATE_OFFSET_PATTERN.test(value)))
+      .toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { diffFields } = require('../../src/utils/diff');
+
+/**
+ * Unit Tests for field diffs
+ */
+
+describe('diffFields', () => {
+  it('should list changed fields with old and new values', () => {
+    const changes = diffFields(
+      { priority: 'low', title: 'Same' },
+      { priority: 'high', title: 'Same' },
+      ['priority', 'title']
+    );
+
+    expect(changes).toEqual([{ field: 'priority', from: 'low', to: 'high' }]);
+  });
+
+  it('should compare dates and ObjectIds by value', () => {
+    const id = new mongoose.Types.ObjectId();
+    const changes = diffFields(
+      { dueDate: new Date('2030-01-01'), project: id },
+      { dueDate: new Date('2030-01-01'), project: new mongoose.Types.ObjectId(id.toString()) },
+      ['dueDate', 'project']
+    );
+
+    expect(changes).toEqual([]);
+  });
+
+  it('should serialize values to JSON', () => {
+    const changes = diffFields(
+      { dueDate: null },
+      { dueDate: new Date('2030-01-01T00:00:00.000Z') },
+      ['dueDate']
+    );
+
+    expect(changes).toEqual([{ field: 'dueDate', from: null, to: '2030-01-01T00:00:00.000Z' }]);
+  });
+
+  it('should treat null, empty strings, arrays and objects as unset', () => {
+    expect(diffFields(null, { tags: [], description: '' }, ['tags', 'description'])).toEqual([]);
+    expect(diffFields(null, { customFields: {} }, ['customFields'])).toEqual([]);
+  });
+
+  it('should leave false values out of a new document', () => {
+    expect(diffFields(null, { requireChecklist: false }, ['requireChecklist'])).toEqual([]);
+    expect(diffFields(null, { requireChecklist: true }, ['requireChecklist']))
+      .toEqual([{ field: 'requireChecklist', from: null, to: true }]);
+  });
+
+  it('should record a boolean switched off', () => {
+    expect(diffFields(
+      { requireChecklist: true },
+      { requireChecklist: false },
+      ['requireChecklist']
+    )).toEqual([{ field: 'requireChecklist', from: true, to: false }]);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  toETag,
+  parseIfMatch,
+  assertVersion,
+  versionCriteria,
+} = require('../../src/utils/etag');
+const ApiError = require('../../src/utils/ApiError');
+
+/**
+ * Unit Tests for ETag helpers
+ */
+
+describe('toETag', () => {
+  it('should format a version as a strong ETag', () => {
+    expect(toETag(3)).toBe('"3"');
+  });
+
+  it('should add a hash that follows the response body', () => {
+    const tag = toETag(3, { title: 'Draft', attachments: [] });
+
+    expect(tag).toMatch(/^"3\.[A-Za-z0-9_-]+"$/);
+    expect(toETag(3, { title: 'Draft', attachments: [] })).toBe(tag);
+    expect(toETag(3, { title: 'Draft', attachments: [{ filename: 'a.txt' }] })).not.toBe(tag);
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('should return null when the header is absent or a wildcard', () => {
+    expect(parseIfMatch(undefined)).toBeNull();
+    expect(parseIfMatch(' * ')).toBeNull();
+  });
+
+  it('should parse a list of entity tags', () => {
+    expect(parseIfMatch('"3", "5"')).toEqual([3, 5]);
+  });
+
+  it('should read the version of a tag with a body hash', () => {
+    expect(parseIfMatch('"3.q1w2e3-_r4"')).toEqual([3]);
+  });
+
+  it('should ignore weak and foreign tags', () => {
+    expect(parseIfMatch('W/"3", "abc", garbage')).toEqual([]);
+  });
+});
+
+describe('assertVersion', () => {
+  it('should accept any version without If-Match', () => {
+    expect(() => assertVersion({ __v: 7 }, null)).not.toThrow();
+  });
+
+  it('should accept a listed version', () => {
+    expect(() => assertVersion({ __v: 5 }, [3, 5])).not.toThrow();
+  });
+
+  it('should reject a changed document with 412', () => {
+    expect(() => assertVersion({ __v: 4 }, [3])).toThrow(ApiError);
+
+    try {
+      assertVersion({ __v: 4 }, []);
+    } catch (error) {
+      expect(error.statusCode).toBe(412);
+    }
+  });
+});
+
+describe('versionCriteria', () => {
+  it('should only restrict the version when If-Match is given', () => {
+    expect(versionCriteria(null)).toEqual({});
+    expect(versionCriteria([2])).toEqual({ __v: { $in: [2] } });
+  });
+});
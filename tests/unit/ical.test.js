@@ -0,0 +1,70 @@
+const {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  foldLine,
+  buildCalendar,
+} = require('../../src/utils/ical');
+
+/**
+ * Unit Tests for iCalendar helpers
+ */
+
+describe('escapeText', () => {
+  it('should escape backslashes, separators and line breaks', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+  });
+});
+
+describe('formatDateTime / formatDate', () => {
+  const date = new Date('2030-01-15T09:30:05.123Z');
+
+  it('should format UTC date-times and dates', () => {
+    expect(formatDateTime(date)).toBe('20300115T093005Z');
+    expect(formatDate(date)).toBe('20300115');
+  });
+});
+
+describe('foldLine', () => {
+  it('should leave short lines alone', () => {
+    expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const lines = foldLine(`SUMMARY:${'x'.repeat(200)}`).split('\r\n');
+
+    expect(lines.length).toBe(3);
+    lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, index) => (index ? line.slice(1) : line)).join(''))
+      .toBe(`SUMMARY:${'x'.repeat(200)}`);
+  });
+
+  it('should not split multi-byte characters', () => {
+    const value = `SUMMARY:${'é'.repeat(100)}`;
+    const lines = foldLine(value).split('\r\n');
+
+    lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(value);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('should serialize components and skip empty properties', () => {
+    const text = buildCalendar(
+      [['PRODID', '-//Test//EN']],
+      [['VEVENT', [['UID', 'task-1@test'], ['DESCRIPTION', ''], ['PRIORITY', undefined]]]]
+    );
+
+    expect(text).toBe([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Test//EN',
+      'BEGIN:VEVENT',
+      'UID:task-1@test',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      '',
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,108 @@
+const { isEqual, applyMergePatch, applyJsonPatch } = require('../../src/utils/jsonPatch');
+const ApiError = require('../../src/utils/ApiError');
+
+/**
+ * Unit Tests for JSON Merge Patch and JSON Patch helpers
+ */
+
+const statusOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    return error.statusCode;
+  }
+
+  return null;
+};
+
+describe('isEqual', () => {
+  it('should compare nested values structurally', () => {
+    expect(isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(isEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(isEqual([1, 2], [2, 1])).toBe(false);
+  });
+});
+
+describe('applyMergePatch', () => {
+  const task = {
+    title: 'Write docs',
+    tags: ['docs'],
+    recurrence: { frequency: 'weekly', interval: 1 },
+  };
+
+  it('should replace members and remove those set to null', () => {
+    const result = applyMergePatch(task, { title: 'Write API docs', tags: null });
+
+    expect(result).toEqual({
+      title: 'Write API docs',
+      recurrence: { frequency: 'weekly', interval: 1 },
+    });
+  });
+
+  it('should merge nested objects and replace arrays whole', () => {
+    const result = applyMergePatch(task, { recurrence: { interval: 2 }, tags: ['api'] });
+
+    expect(result.recurrence).toEqual({ frequency: 'weekly', interval: 2 });
+    expect(result.tags).toEqual(['api']);
+  });
+
+  it('should not modify the target', () => {
+    applyMergePatch(task, { title: null });
+
+    expect(task.title).toBe('Write docs');
+  });
+});
+
+describe('applyJsonPatch', () => {
+  const task = { title: 'Write docs', tags: ['docs', 'api'], customFields: { 'a/b': 1 } };
+
+  it('should add, remove and replace values', () => {
+    const result = applyJsonPatch(task, [
+      { op: 'add', path: '/tags/-', value: 'urgent' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'replace', path: '/title', value: 'Write API docs' },
+      { op: 'add', path: '/customFields/a~1b', value: 2 },
+    ]);
+
+    expect(result).toEqual({
+      title: 'Write API docs',
+      tags: ['api', 'urgent'],
+      customFields: { 'a/b': 2 },
+    });
+    expect(task.tags).toEqual(['docs', 'api']);
+  });
+
+  it('should move and copy values', () => {
+    const result = applyJsonPatch(task, [
+      { op: 'copy', from: '/title', path: '/description' },
+      { op: 'move', from: '/tags/1', path: '/tags/0' },
+    ]);
+
+    expect(result.description).toBe('Write docs');
+    expect(result.tags).toEqual(['api', 'docs']);
+  });
+
+  it('should reject operations on missing paths', () => {
+    expect(statusOf(() => applyJsonPatch(task, [{ op: 'remove', path: '/dueDate' }]))).toBe(422);
+    expect(statusOf(() => applyJsonPatch(task, [
+      { op: 'add', path: '/tags/5', value: 'x' },
+    ]))).toBe(422);
+  });
+
+  it('should reject malformed patches', () => {
+    expect(statusOf(() => applyJsonPatch(task, { op: 'add' }))).toBe(422);
+    expect(statusOf(() => applyJsonPatch(task, [{ op: 'add', path: '/title' }]))).toBe(422);
+    expect(statusOf(() => applyJsonPatch(task, [{ op: 'merge', path: '/title' }]))).toBe(422);
+  });
+
+  it('should fail with a conflict when a test does not match', () => {
+    const patch = [
+      { op: 'test', path: '/title', value: 'Something else' },
+      { op: 'replace', path: '/title', value: 'Write API docs' },
+    ];
+
+    expect(statusOf(() => applyJsonPatch(task, patch))).toBe(409);
+    expect(task.title).toBe('Write docs');
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../../src/storage/LocalStorageDriver');
+
+/**
+ * Unit Tests for the local storage driver
+ */
+
+describe('LocalStorageDriver', () => {
+  let rootPath;
+  let storage;
+
+  beforeEach(async () => {
+    rootPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = new LocalStorageDriver(rootPath);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootPath, { recursive: true, force: true });
+  });
+
+  const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+
+  it('should save and read back a file', async () => {
+    await storage.save('task/file-1', Buffer.from('hello'));
+
+    expect(await readStream(await storage.createReadStream('task/file-1'))).toBe('hello');
+  });
+
+  it('should remove files and ignore missing ones', async () => {
+    await storage.save('task/file-1', Buffer.from('hello'));
+    await storage.remove('task/file-1');
+    await storage.remove('task/file-1');
+
+    await expect(storage.createReadStream('task/file-1')).rejects.toThrow();
+  });
+
+  it('should reject keys outside the root directory', async () => {
+    await expect(storage.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
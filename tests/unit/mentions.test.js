@@ -0,0 +1,31 @@
+const { extractMentions } = require('../../src/utils/mentions');
+
+/**
+ * Unit Tests for mention parsing
+ */
+
+describe('extractMentions', () => {
+  it('should extract emails and user IDs', () => {
+    const result = extractMentions('Ping @Jane@Example.com and @64b7f0c2a1b2c3d4e5f60718 please');
+
+    expect(result.emails).toEqual(['jane@example.com']);
+    expect(result.userIds).toEqual(['64b7f0c2a1b2c3d4e5f60718']);
+  });
+
+  it('should drop duplicates', () => {
+    const result = extractMentions('@jane@example.com, @jane@example.com!');
+
+    expect(result.emails).toEqual(['jane@example.com']);
+  });
+
+  it('should ignore plain email addresses', () => {
+    const result = extractMentions('Mail jane@example.com directly');
+
+    expect(result.emails).toEqual([]);
+    expect(result.userIds).toEqual([]);
+  });
+
+  it('should return empty lists for empty text', () => {
+    expect(extractMentions()).toEqual({ emails: [], userIds: [] });
+  });
+});
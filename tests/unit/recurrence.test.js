@@ -0,0 +1,89 @@
+const { getNextOccurrence, anchorRule } = require('../../src/utils/recurrence');
+
+/**
+ * Unit Tests for Recurrence Utilities
+ */
+
+describe('getNextOccurrence', () => {
+  // Wednesday, 9:30 UTC
+  const wednesday = new Date('2030-01-02T09:30:00.000Z');
+
+  it('should add the interval in days for daily rules', () => {
+    const next = getNextOccurrence(wednesday, { frequency: 'daily', interval: 3 });
+
+    expect(next.toISOString()).toBe('2030-01-05T09:30:00.000Z');
+  });
+
+  it('should repeat on the same weekday when no weekdays are given', () => {
+    const next = getNextOccurrence(wednesday, { frequency: 'weekly' });
+
+    expect(next.toISOString()).toBe('2030-01-09T09:30:00.000Z');
+  });
+
+  it('should move to the next listed weekday', () => {
+    const rule = { frequency: 'weekly', byWeekday: ['MO', 'TH'] };
+
+    expect(getNextOccurrence(wednesday, rule).toISOString())
+      .toBe('2030-01-03T09:30:00.000Z');
+    expect(getNextOccurrence(new Date('2030-01-03T09:30:00.000Z'), rule).toISOString())
+      .toBe('2030-01-07T09:30:00.000Z');
+  });
+
+  it('should skip weeks for weekly rules with an interval', () => {
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] };
+    const thursday = new Date('2030-01-03T09:30:00.000Z');
+
+    expect(getNextOccurrence(thursday, rule).toISOString())
+      .toBe('2030-01-14T09:30:00.000Z');
+  });
+
+  it('should clamp monthly rules to the end of shorter months', () => {
+    const rule = { frequency: 'monthly', byMonthDay: 31 };
+    const next = getNextOccurrence(new Date('2030-01-31T09:30:00.000Z'), rule);
+
+    expect(next.toISOString()).toBe('2030-02-28T09:30:00.000Z');
+    expect(getNextOccurrence(next, rule).toISOString()).toBe('2030-03-31T09:30:00.000Z');
+  });
+
+  it('should end the series after the given count', () => {
+    const rule = { frequency: 'daily', count: 3 };
+
+    expect(getNextOccurrence(wednesday, rule, 2)).not.toBeNull();
+    expect(getNextOccurrence(wednesday, rule, 3)).toBeNull();
+  });
+
+  it('should end the series after the until date', () => {
+    const rule = { frequency: 'daily', until: new Date('2030-01-02T23:59:59.000Z') };
+
+    expect(getNextOccurrence(wednesday, rule)).toBeNull();
+  });
+});
+
+describe('anchorRule', () => {
+  it('should bring a monthly series back to the day of its first due date', () => {
+    const first = new Date('2027-01-31T09:30:00.000Z');
+    const rule = anchorRule({ frequency: 'monthly' }, first);
+
+    const series = [first];
+    for (let i = 0; i < 4; i += 1) {
+      series.push(getNextOccurrence(series[i], rule));
+    }
+
+    expect(rule.byMonthDay).toBe(31);
+    expect(series.map((date) => date.toISOString().slice(0, 10))).toEqual([
+      '2027-01-31',
+      '2027-02-28',
+      '2027-03-31',
+      '2027-04-30',
+      '2027-05-31',
+    ]);
+  });
+
+  it('should leave an explicit day of month and other frequencies alone', () => {
+    const due = new Date('2027-01-31T09:30:00.000Z');
+
+    expect(anchorRule({ frequency: 'monthly', byMonthDay: 15 }, due).byMonthDay).toBe(15);
+    expect(anchorRule({ frequency: 'weekly' }, due)).toEqual({ frequency: 'weekly' });
+    expect(anchorRule(null, due)).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+const { parseSearch, prefixRegex, highlight } = require('../../src/utils/search');
+
+/**
+ * Unit Tests for Search Utilities
+ */
+
+describe('parseSearch', () => {
+  it('should split words, phrases and prefixes', () => {
+    const search = parseSearch('deploy "release notes" fix*');
+
+    expect(search.terms).toEqual(['deploy']);
+    expect(search.phrases).toEqual(['release notes']);
+    expect(search.prefixes).toEqual(['fix']);
+    expect(search.text).toBe('"release notes" deploy');
+  });
+
+  it('should drop characters with a meaning to $text', () => {
+    expect(parseSearch('-secret $where').text).toBe('secret where');
+  });
+
+  it('should leave no text for prefix-only searches', () => {
+    expect(parseSearch('dep*').text).toBe('');
+  });
+});
+
+describe('prefixRegex', () => {
+  it('should match word beginnings literally', () => {
+    expect(prefixRegex('a.b').test('see a.bc')).toBe(true);
+    expect(prefixRegex('a.b').test('see axbc')).toBe(false);
+    expect(prefixRegex('(a+)+').test('aaaaaaaaaaaaaaaaaaaaaaaaaaaa!')).toBe(false);
+  });
+});
+
+describe('highlight', () => {
+  const search = parseSearch('deploy');
+
+  it('should mark matches and escape HTML', () => {
+    expect(highlight('<b>Deployment</b> day', search))
+      .toBe('&lt;b&gt;<mark>Deploy</mark>ment&lt;/b&gt; day');
+  });
+
+  it('should return null without a match', () => {
+    expect(highlight('Write docs', search)).toBeNull();
+    expect(highlight(undefined, search)).toBeNull();
+  });
+
+  it('should cut long texts down to a snippet around the first match', () => {
+    const text = `${'a '.repeat(200)}deploy${' b'.repeat(200)}`;
+    const snippet = highlight(text, search, { snippet: true });
+
+    expect(snippet).toContain('<mark>deploy</mark>');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet.length).toBeLessThan(text.length);
+  });
+});